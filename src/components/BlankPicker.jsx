@@ -0,0 +1,33 @@
+const ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+// ─── BLANK LETTER PICKER ────────────────────────────────────────
+// Shown when a blank lands on the board; the chosen letter is reported in
+// upper case and the caller stores it as a designated blank.
+export default function BlankPicker({ onPick, onCancel }) {
+  return (
+    <div
+      onClick={onCancel}
+      style={{ position: 'fixed', inset: 0, background: 'rgba(0,0,0,0.6)', display: 'flex', alignItems: 'center', justifyContent: 'center', zIndex: 10000 }}
+    >
+      <div
+        onClick={(e) => e.stopPropagation()}
+        style={{ background: '#16213e', border: '2px solid #c9a44a', borderRadius: 10, padding: 12, maxWidth: 300, boxShadow: '0 6px 20px rgba(0,0,0,0.5)' }}
+      >
+        <div style={{ textAlign: 'center', fontSize: 12, fontWeight: 700, color: '#c9a44a', letterSpacing: 1.5, textTransform: 'uppercase', marginBottom: 8 }}>Choose a letter for the blank</div>
+        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(7, 34px)', gap: 4, justifyContent: 'center' }}>
+          {[...ALPHABET].map(letter => (
+            <button
+              key={letter}
+              onClick={() => onPick(letter)}
+              style={{ width: 34, height: 34, background: 'linear-gradient(160deg,#f0dcc0 0%,#c9a44a 100%)', border: '2px solid #a07830', borderRadius: 4, fontSize: 18, fontWeight: 700, color: '#1a1a2e', fontFamily: "'Palatino Linotype',serif", cursor: 'pointer', padding: 0 }}
+            >{letter}</button>
+          ))}
+        </div>
+        <button
+          onClick={onCancel}
+          style={{ width: '100%', marginTop: 10, padding: '6px 0', background: '#2a2a3e', color: '#aaa', border: '1px solid #444', borderRadius: 6, fontSize: 11, fontWeight: 600, cursor: 'pointer', letterSpacing: 1, fontFamily: "'Palatino Linotype',serif" }}
+        >CANCEL</button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,32 @@
+import { BLITZ_MINUTES, formatClock } from "../engine/index.js";
+import { smallButton } from "./theme.js";
+
+const buttonStyle = { ...smallButton, borderRadius: 6, fontSize: 10 };
+
+// ─── BLITZ BAR ──────────────────────────────────────────────────
+// A running blitz session's clock and count with a button to stop it,
+// or otherwise a button per session length and how the last one went.
+// `blitz` is the running session or null, `result` the last finished one.
+export default function BlitzBar({ blitz, result, now, onStart, onStop }) {
+  if (blitz) {
+    return (
+      <div style={{ display: 'flex', justifyContent: 'center', alignItems: 'center', gap: 8, fontSize: 11, color: '#c9a44a', marginBottom: 3 }}>
+        <span>⚡ Blitz {formatClock(blitz.endsAt - now)} · {blitz.solved} solved of {blitz.played}</span>
+        <button onClick={onStop} style={buttonStyle}>STOP</button>
+      </div>
+    );
+  }
+  return (
+    <div style={{ display: 'flex', justifyContent: 'center', alignItems: 'center', gap: 6, fontSize: 11, color: '#888', marginBottom: 3 }}>
+      <span>⚡ Blitz:</span>
+      {BLITZ_MINUTES.map(m => (
+        <button key={m} onClick={() => onStart(m)} style={buttonStyle}>{m} MIN</button>
+      ))}
+      {result && (
+        <span style={{ color: '#c9a44a' }}>
+          Last {result.minutes} min: {result.solved} solved of {result.played}{result.isBest && ' · a new best!'}
+        </span>
+      )}
+    </div>
+  );
+}
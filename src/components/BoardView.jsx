@@ -0,0 +1,51 @@
+import { TV, getPremium, isDesignatedBlank } from "../engine/index.js";
+import { premColors, premLabels, tileColor, centerColor, emptyColor } from "./theme.js";
+
+// ─── READ-ONLY BOARD ────────────────────────────────────────────
+// Draws a board plus an optional play on top of it: `play.positions` and
+// `play.word` line up letter for letter, and squares already holding a tile
+// are left as they are.
+export default function BoardView({ board, play = null, playColor = '#7d3c98', cellSize = 22 }) {
+  const overlay = {};
+  if (play) {
+    play.positions.forEach(([r, c], i) => {
+      if (board[r][c] === null) overlay[`${r},${c}`] = play.word[i];
+    });
+  }
+
+  return (
+    <div style={{ display: 'flex', justifyContent: 'center' }}>
+      <div style={{ display: 'grid', gridTemplateColumns: `repeat(15,${cellSize}px)`, gridTemplateRows: `repeat(15,${cellSize}px)`, gap: '1px', background: '#1a1a2e', padding: '1px', borderRadius: 6 }}>
+        {board.map((row, r) => row.map((boardLetter, c) => {
+          const key = `${r},${c}`;
+          const playLetter = overlay[key];
+          const letter = boardLetter || playLetter;
+          const prem = getPremium(r, c);
+
+          let bg = emptyColor;
+          if (boardLetter) bg = tileColor;
+          else if (playLetter) bg = playColor;
+          else if (prem) bg = premColors[prem];
+          else if (r === 7 && c === 7) bg = centerColor;
+
+          return (
+            <div key={key} style={{ width: cellSize, height: cellSize, background: bg, display: 'flex', alignItems: 'center', justifyContent: 'center', position: 'relative' }}>
+              {letter ? (
+                <>
+                  <span style={{ fontSize: cellSize * 0.68, fontWeight: 700, color: playLetter ? '#fff' : '#1a1a2e', fontFamily: "'Palatino Linotype',serif", lineHeight: 1, fontStyle: isDesignatedBlank(letter) ? 'italic' : 'normal' }}>{letter.toUpperCase()}</span>
+                  {!isDesignatedBlank(letter) && (
+                    <span style={{ fontSize: cellSize * 0.3, fontWeight: 700, color: playLetter ? 'rgba(255,255,255,0.85)' : '#6d5a2a', position: 'absolute', bottom: 0, right: 1 }}>{TV[letter]}</span>
+                  )}
+                </>
+              ) : prem && cellSize >= 20 ? (
+                <span style={{ fontSize: cellSize * 0.24, color: '#fff', fontWeight: 700, textAlign: 'center', lineHeight: 1.1, fontFamily: "'Arial Narrow',Arial,sans-serif" }}>
+                  {premLabels[prem].split('\n').map((l, i) => <span key={i} style={{ display: 'block' }}>{l}</span>)}
+                </span>
+              ) : null}
+            </div>
+          );
+        }))}
+      </div>
+    </div>
+  );
+}
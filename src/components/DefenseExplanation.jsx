@@ -0,0 +1,54 @@
+import { defenseBreakdown, explainDefense } from "../engine/index.js";
+
+const MARK_COLORS = { block: '#27ae60', lane: '#e74c3c', open: '#f39c12' };
+
+// Board squares to ring for a breakdown, keyed "r,c".
+export function defenseMarks(breakdown) {
+  const marks = {};
+  breakdown.opens.forEach(o => { marks[`${o.r},${o.c}`] = { color: MARK_COLORS.open, dashed: true }; });
+  breakdown.lanes.forEach(l => { marks[`${l.tw[0]},${l.tw[1]}`] = { color: MARK_COLORS.lane, dashed: false }; });
+  breakdown.blocks.forEach(b => { marks[`${b.r},${b.c}`] = { color: MARK_COLORS.block, dashed: false }; });
+  return marks;
+}
+
+// ─── DEFENSE EXPLANATION ────────────────────────────────────────
+// Why the heuristic rated each play as it did, for the user's defense and
+// the best one. Selecting a side shows it on the board with its marks.
+export default function DefenseExplanation({ board, userPlay, bestPlay, active, onSelect }) {
+  const sides = [
+    { key: 'user', label: 'Your defense', play: userPlay },
+    { key: 'best', label: 'Best defense', play: bestPlay },
+  ].filter(s => s.play);
+
+  return (
+    <div style={{ background: '#fff', borderRadius: 8, padding: 8, marginTop: 8, color: '#1a1a2e' }}>
+      <div style={{ fontSize: 11, fontWeight: 700, color: '#3498db', marginBottom: 4 }}>🛡️ Why these defense scores?</div>
+      <div style={{ display: 'flex', gap: 8 }}>
+        {sides.map(side => {
+          const breakdown = defenseBreakdown(side.play, board);
+          const isActive = active === side.key;
+          return (
+            <div
+              key={side.key}
+              onClick={() => onSelect(isActive ? null : side.key)}
+              style={{ flex: 1, padding: 6, borderRadius: 6, cursor: 'pointer', border: `1px solid ${isActive ? '#3498db' : '#ddd'}`, background: isActive ? 'rgba(52,152,219,0.08)' : 'transparent' }}
+            >
+              <div style={{ fontSize: 10, fontWeight: 700, marginBottom: 2 }}>
+                {side.label}: {side.play.word} <span style={{ color: '#3498db' }}>{breakdown.total.toFixed(1)}</span>
+              </div>
+              {explainDefense(breakdown).map((line, i) => (
+                <div key={i} style={{ fontSize: 10, color: '#555', lineHeight: 1.35 }}>• {line}</div>
+              ))}
+            </div>
+          );
+        })}
+      </div>
+      <div style={{ display: 'flex', justifyContent: 'center', gap: 10, marginTop: 5, fontSize: 9, color: '#999' }}>
+        <span><span style={{ color: MARK_COLORS.block }}>■</span> blocked premium</span>
+        <span><span style={{ color: MARK_COLORS.lane }}>■</span> TW within reach</span>
+        <span><span style={{ color: MARK_COLORS.open }}>■</span> opened premium</span>
+        <span>· tap a side to show it on the board</span>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,34 @@
+import GradingToggle from "./GradingToggle.jsx";
+import { GAME_PHASES, SCENARIO_TAGS, ROUND_TIMERS } from "../engine/index.js";
+
+// ─── DRILL SETTINGS ─────────────────────────────────────────────
+// The toggles above the board in a strategy drill, with notes on the
+// scenario they produced: where boards come from, how the next scenario
+// is picked and which kind it must be, and the round timer. `settings`
+// holds the current { boardSource, practice, scenarioTag, roundTimer };
+// `onChange(key, value)` changes one of them.
+export default function DrillSettings({ scenario, settings, onChange }) {
+  const { boardSource, practice, scenarioTag, roundTimer } = settings;
+  const note = { textAlign: 'center', fontSize: 10, color: '#666', marginBottom: 3 };
+
+  return (
+    <>
+      <GradingToggle label="Boards" options={['words', ...Object.keys(GAME_PHASES)]} value={boardSource} onChange={v => onChange('boardSource', v)} color="#c9a44a" />
+      {scenario.game && (
+        <div style={{ ...note, color: '#888' }}>
+          Simulated {scenario.game.phase} game · turn {scenario.game.turn + 1} · you {scenario.game.scores.player}, opponent {scenario.game.scores.opponent} · {scenario.game.bagSize} in the bag
+        </div>
+      )}
+      <GradingToggle label="Practice" options={['adaptive', 'random']} value={practice} onChange={v => onChange('practice', v)} color="#27ae60" />
+      <GradingToggle label="Kind" options={['any', ...Object.keys(SCENARIO_TAGS)]} value={scenarioTag} onChange={v => onChange('scenarioTag', v)} color="#27ae60" />
+      <div style={note}>
+        {scenarioTag !== 'any' && `Only "${SCENARIO_TAGS[scenarioTag].label}" scenarios · `}
+        This one: {scenario.tags.length ? scenario.tags.map(t => SCENARIO_TAGS[t].label).join(', ') : 'no particular kind'}
+      </div>
+      {scenario.review && (
+        <div style={{ ...note, color: '#27ae60' }}>🔁 A position you missed before, back for review</div>
+      )}
+      <GradingToggle label="Round timer" options={Object.keys(ROUND_TIMERS)} value={roundTimer} onChange={v => onChange('roundTimer', v)} color="#888" />
+    </>
+  );
+}
@@ -0,0 +1,59 @@
+import { useState } from "react";
+import { drillNotation, drillGcg, formatPlay } from "../engine/index.js";
+import { boardSvg, svgToPng, downloadFile } from "./boardImage.js";
+import { smallButton } from "./theme.js";
+
+// ─── DRILL EXPORT ───────────────────────────────────────────────
+// Gets a finished drill out of the app: notation for chat, a .gcg
+// fragment and an SVG or PNG of the board with one of the plays on it.
+export default function ExportPanel({ drill }) {
+  const [shown, setShown] = useState('bestOffense');
+  const [status, setStatus] = useState(null);
+  const { scenario } = drill;
+
+  const choices = [
+    { key: 'bestOffense', label: 'Best offense', color: '#c0392b' },
+    { key: 'offense', label: 'My offense', color: '#e74c3c' },
+    { key: 'bestDefense', label: 'Best defense', color: '#2471a3' },
+    { key: 'defense', label: 'My defense', color: '#3498db' },
+  ];
+  const choice = choices.find(c => c.key === shown);
+  const fileName = `drill-${scenario.code.slice(0, 24)}`;
+
+  const flash = (message) => { setStatus(message); setTimeout(() => setStatus(null), 1500); };
+
+  const copyNotation = () => {
+    navigator.clipboard.writeText(drillNotation(drill))
+      .then(() => flash('COPIED ✓'))
+      .catch(error => console.error('Failed to copy the drill:', error));
+  };
+
+  const svg = () => boardSvg(scenario.board, {
+    play: drill[shown],
+    playColor: choice.color,
+    caption: `${scenario.rack.join('')} · ${choice.label}: ${formatPlay(drill[shown])}`,
+  });
+
+  const savePng = () => {
+    svgToPng(svg())
+      .then(blob => downloadFile(`${fileName}.png`, blob))
+      .catch(error => flash(error.message));
+  };
+
+  return (
+    <div style={{ display: 'flex', justifyContent: 'center', alignItems: 'center', flexWrap: 'wrap', gap: 6, marginTop: 6, fontSize: 9, color: '#666' }}>
+      <span style={{ textTransform: 'uppercase', letterSpacing: 1 }}>Export</span>
+      <button onClick={copyNotation} style={smallButton}>{status || 'COPY NOTATION'}</button>
+      <button onClick={() => downloadFile(`${fileName}.gcg`, drillGcg(drill), 'text/plain')} style={smallButton}>.GCG</button>
+      <select
+        value={shown}
+        onChange={(e) => setShown(e.target.value)}
+        style={{ fontSize: 10, background: '#1a1a2e', color: '#c9a44a', border: '1px solid #444', borderRadius: 4, padding: '1px 4px' }}
+      >
+        {choices.map(c => <option key={c.key} value={c.key}>{c.label}</option>)}
+      </select>
+      <button onClick={() => downloadFile(`${fileName}.svg`, svg(), 'image/svg+xml')} style={smallButton}>SVG</button>
+      <button onClick={savePng} style={smallButton}>PNG</button>
+    </div>
+  );
+}
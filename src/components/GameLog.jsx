@@ -0,0 +1,30 @@
+import { formatPlay } from "../engine/index.js";
+
+// ─── GAME LOG ───────────────────────────────────────────────────
+// Every turn of a full game, newest first, as "Name: 8H WORD 24 → total".
+// `moves` is the game's move list (see engine/game.js) and `names` the
+// player names by index. Exchanges show only how many tiles went back, as
+// the other player would see them; challenged plays are marked as taken
+// back or upheld.
+export default function GameLog({ moves, names }) {
+  if (moves.length === 0) return null;
+  const totals = [0, 0];
+  const rows = moves.map((m, i) => {
+    totals[m.player] += m.score;
+    return { ...m, i, total: totals[m.player] };
+  });
+
+  return (
+    <div style={{ marginTop: 6, maxHeight: 120, overflowY: 'auto', background: 'rgba(255,255,255,0.04)', borderRadius: 6, padding: '4px 8px' }}>
+      {rows.reverse().map(m => (
+        <div key={m.i} style={{ display: 'flex', gap: 8, fontSize: 11, padding: '1px 0' }}>
+          <span style={{ width: 24, color: '#666' }}>{m.i + 1}.</span>
+          <span style={{ width: 70, color: m.player === 0 ? '#c9a44a' : '#3498db' }}>{names[m.player]}</span>
+          <span style={{ flex: 1, fontFamily: 'monospace', color: '#ddd' }}>{m.move.exchange ? `Exchanged ${m.move.exchange.length}` : formatPlay(m.move)}</span>
+          {m.challenged && <span style={{ color: m.withdrawn ? '#e74c3c' : '#27ae60' }}>{m.withdrawn ? 'withdrawn' : 'upheld'}</span>}
+          <span style={{ color: '#888' }}>{m.total}</span>
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,27 @@
+// ─── GAME OVER ──────────────────────────────────────────────────
+// The result of a finished game: who won, how it ended and the rack and
+// overtime penalties (see engine/game.js). Against the engine the banner
+// speaks to the player; in pass-and-play (`versus`) it names the winner.
+export default function GameOver({ game, players, versus }) {
+  const { winner, reason, adjustments, timePenalties } = game.over;
+  return (
+    <div style={{ marginTop: 8 }}>
+      <div style={{
+        background: winner === null ? '#e67e22' : versus || winner === 0 ? '#27ae60' : '#c0392b',
+        color: '#fff', borderRadius: 10, padding: '9px 14px', textAlign: 'center', fontSize: 16, fontWeight: 700,
+        boxShadow: '0 3px 10px rgba(0,0,0,0.25)',
+      }}>
+        {winner === null ? '🤝 A tie!' : versus ? `🏆 ${players[winner]} wins` : winner === 0 ? '🎉 You win!' : `📚 ${players[1]} wins`} {game.scores[0]}–{game.scores[1]}
+      </div>
+      <div style={{ textAlign: 'center', fontSize: 11, color: '#888', marginTop: 4 }}>
+        {reason === 'out'
+          ? `${players[game.moves[game.moves.length - 1].player]} went out.`
+          : 'Six scoreless turns in a row ended the game.'}
+        {' '}Rack penalties: {players.map((name, p) => `${name} ${adjustments[p] >= 0 ? '+' : ''}${adjustments[p]}`).join(', ')}.
+        {timePenalties && timePenalties.some(t => t > 0) && (
+          ` Overtime: ${players.map((name, p) => `${name} −${timePenalties[p]}`).join(', ')}.`
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,21 @@
+import StatsPanel from "./StatsPanel.jsx";
+import { clockDisplayTime, formatClock } from "../engine/index.js";
+
+// ─── GAME SCOREBOARD ────────────────────────────────────────────
+// The headline numbers of a full game: both scores, both clocks as of
+// `now` and the tiles left in the bag. `flow` is the game state from
+// hooks/useGame.js.
+export default function GameScoreboard({ flow, now }) {
+  const { game, players } = flow;
+  return (
+    <StatsPanel items={[
+      { label: players[0], val: game.scores[0], color: '#c9a44a' },
+      { label: players[1], val: game.scores[1], color: '#3498db' },
+      ...players.map((name, p) => {
+        const left = clockDisplayTime(game.clock, p, now);
+        return { label: `${name} ⏱`, val: formatClock(left), color: left < 0 ? '#e74c3c' : game.clock.running === p ? '#fff' : '#666' };
+      }),
+      { label: 'In bag', val: game.bag.length, color: '#888' },
+    ]} />
+  );
+}
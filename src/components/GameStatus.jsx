@@ -0,0 +1,42 @@
+import GradingToggle from "./GradingToggle.jsx";
+import { CHALLENGE_RULES, OPPONENT_LEVELS, GAME_CLOCKS, OVERTIME_PENALTY } from "../engine/index.js";
+
+// ─── GAME STATUS ────────────────────────────────────────────────
+// The settings and turn line above the board in a full game: the
+// challenge rule in pass-and-play or the engine's level otherwise, the
+// clock, whose turn it is and how the last challenge was ruled. `flow` is
+// the game state from hooks/useGame.js. Rule and clock changes apply from
+// the next game, which the notes under them say.
+export default function GameStatus({ flow }) {
+  const { game, versus, players, rackHidden, challengeNote, challengeRule, gameClock, opponentLevel } = flow;
+  const note = { textAlign: 'center', fontSize: 10, color: '#666', marginBottom: 3 };
+
+  return (
+    <>
+      {versus ? (
+        <>
+          <GradingToggle label="Challenge" options={Object.keys(CHALLENGE_RULES)} value={challengeRule} onChange={flow.setChallengeRule} color="#3498db" />
+          <div style={note}>
+            {CHALLENGE_RULES[game.challengeRule].label}{challengeRule !== game.challengeRule && ` · ${challengeRule} from the next game`}
+          </div>
+        </>
+      ) : (
+        <>
+          <GradingToggle label="Opponent" options={Object.keys(OPPONENT_LEVELS)} value={opponentLevel} onChange={flow.setOpponentLevel} color="#3498db" />
+          <div style={note}>{OPPONENT_LEVELS[opponentLevel].label}</div>
+        </>
+      )}
+      <GradingToggle label="Clock" options={Object.keys(GAME_CLOCKS)} value={gameClock} onChange={flow.setGameClock} color="#888" />
+      <div style={note}>
+        {game.clock.limit === null ? 'Counting the time each side uses' : `${game.clock.limit / 60000} minutes each · ${OVERTIME_PENALTY} points per minute over`}
+        {GAME_CLOCKS[gameClock] !== game.clock.limit && ` · ${gameClock} from the next game`}
+      </div>
+      <div style={{ textAlign: 'center', fontSize: 13, fontWeight: 700, color: game.toMove === 0 ? '#e74c3c' : '#3498db', letterSpacing: 1, marginBottom: 1 }}>
+        {game.over ? '🏁 Game over'
+          : versus ? (rackHidden ? `🔒 Pass the device to ${players[game.toMove]}` : `⚔️ ${players[game.toMove]} to play`)
+            : game.toMove === 0 ? '⚔️ Your turn' : `🤖 ${players[1]} is thinking…`}
+      </div>
+      {challengeNote && <div style={{ textAlign: 'center', fontSize: 11, color: '#c9a44a', marginBottom: 3 }}>{challengeNote}</div>}
+    </>
+  );
+}
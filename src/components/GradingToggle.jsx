@@ -0,0 +1,16 @@
+// ─── GRADING TOGGLE ─────────────────────────────────────────────
+// A row of pill buttons for picking how a round is graded.
+export default function GradingToggle({ label, options, value, onChange, color }) {
+  return (
+    <div style={{ display: 'flex', flexWrap: 'wrap', justifyContent: 'center', alignItems: 'center', gap: 4, fontSize: 9, color: '#666', marginBottom: 3 }}>
+      <span style={{ textTransform: 'uppercase', letterSpacing: 1 }}>{label}</span>
+      {options.map(option => (
+        <button
+          key={option}
+          onClick={() => onChange(option)}
+          style={{ padding: '1px 8px', fontSize: 9, fontWeight: 700, borderRadius: 10, cursor: 'pointer', textTransform: 'uppercase', letterSpacing: 1, fontFamily: "'Palatino Linotype',serif", border: `1px solid ${color}`, background: value === option ? color : 'transparent', color: value === option ? '#fff' : color }}
+        >{option}</button>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,141 @@
+import { useState } from "react";
+import BoardView from "./BoardView.jsx";
+import { summarize, accuracyTrend, TREND_BLOCK } from "../storage/history.js";
+import { SKILLS, skillProfile, reviewSchedule } from "../engine/index.js";
+import { smallButton } from "./theme.js";
+
+const buttonStyle = { ...smallButton, padding: '6px 10px', borderRadius: 6, fontSize: 11 };
+
+// ─── ACCURACY TREND ─────────────────────────────────────────────
+function TrendChart({ points }) {
+  const w = 300, h = 80, pad = 6;
+  if (points.length < 2) {
+    return <div style={{ fontSize: 10, color: '#666', textAlign: 'center', fontStyle: 'italic' }}>Play at least {TREND_BLOCK + 1} rounds to see a trend.</div>;
+  }
+  const x = (i) => pad + i * (w - 2 * pad) / (points.length - 1);
+  const y = (v) => h - pad - v * (h - 2 * pad);
+  const line = (key) => points.map((p, i) => `${i ? 'L' : 'M'}${x(i).toFixed(1)},${y(p[key]).toFixed(1)}`).join(' ');
+  return (
+    <svg viewBox={`0 0 ${w} ${h}`} style={{ width: '100%', maxWidth: w, display: 'block', margin: '0 auto' }}>
+      {[0, 0.5, 1].map(v => <line key={v} x1={pad} x2={w - pad} y1={y(v)} y2={y(v)} stroke="#2a2a3e" strokeWidth="1" />)}
+      <path d={line('off')} fill="none" stroke="#e74c3c" strokeWidth="2" />
+      <path d={line('def')} fill="none" stroke="#3498db" strokeWidth="2" />
+    </svg>
+  );
+}
+
+// ─── ROUND REPLAY ───────────────────────────────────────────────
+function RoundReplay({ round, onBack }) {
+  const views = [
+    { label: 'Your offense', play: round.offense, color: '#e74c3c' },
+    { label: 'Best offense', play: round.bestOffensive, color: '#27ae60' },
+    { label: 'Best equity', play: round.bestEquity, color: '#8e44ad' },
+    { label: 'Your defense', play: round.defense, color: '#3498db' },
+    { label: 'Best defense', play: round.bestDefensive, color: '#27ae60' },
+  ].filter(v => v.play);
+  const [viewIdx, setViewIdx] = useState(0);
+  const view = views[viewIdx];
+
+  return (
+    <div>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 6 }}>
+        <button onClick={onBack} style={buttonStyle}>← BACK</button>
+        <div style={{ fontSize: 10, color: '#888' }}>{new Date(round.at).toLocaleString()}</div>
+      </div>
+      <BoardView board={round.board} play={view.play} playColor={view.color} />
+      <div style={{ textAlign: 'center', fontSize: 12, color: '#c9a44a', marginTop: 6, letterSpacing: 2 }}>
+        Rack: <strong>{round.rack.join(' ')}</strong>
+      </div>
+      {round.code && (
+        <div style={{ textAlign: 'center', fontSize: 9, color: '#666', marginTop: 2, userSelect: 'text' }}>
+          Scenario <a href={`#${round.code}`} style={{ color: '#c9a44a', fontFamily: 'monospace' }}>{round.code}</a>{round.lexicon && ` · ${round.lexicon.replace(/^upload:/, '')}`}
+        </div>
+      )}
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: 4, justifyContent: 'center', marginTop: 6 }}>
+        {views.map((v, i) => (
+          <button
+            key={v.label}
+            onClick={() => setViewIdx(i)}
+            style={{ ...buttonStyle, border: `1px solid ${i === viewIdx ? v.color : '#444'}`, color: i === viewIdx ? '#fff' : '#aaa' }}
+          >{v.label}: {v.play.word} ({v.play.score})</button>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+// ─── SKILL BREAKDOWN ────────────────────────────────────────────
+// Misses per skill over the recent rounds (see engine/learner.js), weakest
+// first, and how many missed positions of `lexicon` are queued for review.
+function SkillBreakdown({ history, lexicon }) {
+  const profile = skillProfile(history);
+  const skills = Object.keys(SKILLS).sort((a, b) => profile[b].weakness - profile[a].weakness);
+  const reviews = reviewSchedule(history, lexicon);
+  const due = reviews.filter(r => r.due <= Date.now()).length;
+  return (
+    <div style={{ marginTop: 8 }}>
+      <div style={{ display: 'flex', flexWrap: 'wrap', justifyContent: 'center', gap: 10, fontSize: 10, color: '#999' }}>
+        {skills.map(s => (
+          <span key={s} style={{ color: profile[s].seen && profile[s].missed / profile[s].seen > 0.5 ? '#e67e22' : '#999' }}>
+            {SKILLS[s].label}: {profile[s].seen ? `${profile[s].missed} missed of ${profile[s].seen}` : 'not seen yet'}
+          </span>
+        ))}
+      </div>
+      {reviews.length > 0 && (
+        <div style={{ textAlign: 'center', fontSize: 10, color: '#27ae60', marginTop: 3 }}>
+          {reviews.length} missed position{reviews.length === 1 ? '' : 's'} on the review schedule{due > 0 && `, ${due} due now`}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ─── HISTORY SCREEN ─────────────────────────────────────────────
+export default function HistoryScreen({ history, lexicon, onClose, onClear }) {
+  const [selected, setSelected] = useState(null);
+  const { played, offOk, defOk, avgSeconds } = summarize(history);
+
+  if (selected !== null && history[selected]) {
+    return <RoundReplay round={history[selected]} onBack={() => setSelected(null)} />;
+  }
+
+  return (
+    <div>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 8 }}>
+        <button onClick={onClose} style={buttonStyle}>← BACK TO DRILL</button>
+        {history.length > 0 && <button onClick={onClear} style={buttonStyle}>CLEAR HISTORY</button>}
+      </div>
+
+      <div style={{ textAlign: 'center', fontSize: 9, color: '#555', letterSpacing: 1.5, textTransform: 'uppercase', marginBottom: 4 }}>Lifetime accuracy per 10 rounds</div>
+      <TrendChart points={accuracyTrend(history)} />
+      <div style={{ display: 'flex', justifyContent: 'center', gap: 14, fontSize: 10, color: '#999', marginTop: 4 }}>
+        <span style={{ color: '#e74c3c' }}>Attack {played ? Math.round(offOk / played * 100) : 0}%</span>
+        <span style={{ color: '#3498db' }}>Defense {played ? Math.round(defOk / played * 100) : 0}%</span>
+        {avgSeconds !== null && <span>{avgSeconds.toFixed(1)}s a round</span>}
+      </div>
+      {history.length > 0 && <SkillBreakdown history={history} lexicon={lexicon} />}
+
+      <div style={{ marginTop: 10 }}>
+        {history.length === 0 && <div style={{ textAlign: 'center', fontSize: 11, color: '#666', fontStyle: 'italic' }}>No rounds played yet.</div>}
+        {history.map((round, i) => i).reverse().map(i => {
+          const round = history[i];
+          return (
+            <div
+              key={round.id}
+              onClick={() => setSelected(i)}
+              style={{ display: 'flex', alignItems: 'center', gap: 8, padding: '6px 8px', marginBottom: 3, background: 'rgba(255,255,255,0.04)', borderRadius: 6, cursor: 'pointer', fontSize: 11 }}
+            >
+              <span style={{ color: '#666', width: 28 }}>#{i + 1}</span>
+              <span style={{ color: '#c9a44a', letterSpacing: 1, flex: 1 }}>{round.rack.join('')}</span>
+              <span style={{ color: round.offense.match ? '#27ae60' : '#c0392b' }}>⚔️ {round.offense.word}</span>
+              <span style={{ color: round.defense.match ? '#27ae60' : '#c0392b' }}>🛡️ {round.defense.word}</span>
+              {round.offense.seconds !== undefined && round.defense.seconds !== undefined && (
+                <span style={{ color: '#666', width: 40, textAlign: 'right' }}>{Math.round(round.offense.seconds + round.defense.seconds)}s</span>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,85 @@
+import { useState, useRef } from "react";
+import { parseGcg, parseBoardText, checkPosition, encodePositionCode } from "../engine/index.js";
+import { smallButton } from "./theme.js";
+
+// ─── POSITION IMPORT ────────────────────────────────────────────
+// Paste or open a .gcg game (then pick a turn) or a text board with a
+// rack (see engine/boardText.js). Accepted positions are handed on as a
+// position code, so they load, share and replay like any other scenario.
+export default function ImportPanel({ lexicon, onImport }) {
+  const [open, setOpen] = useState(false);
+  const [text, setText] = useState('');
+  const [game, setGame] = useState(null); // Parsed .gcg waiting for a turn to be picked
+  const [error, setError] = useState(null);
+  const fileRef = useRef(null);
+
+  const close = () => { setOpen(false); setText(''); setGame(null); setError(null); };
+
+  const accept = (board, rack) => {
+    const problem = checkPosition(board, rack, lexicon);
+    if (problem) { setError(problem); return; }
+    onImport(encodePositionCode(board, rack));
+    close();
+  };
+
+  const read = (source) => {
+    setGame(null); setError(null);
+    const isGcg = source.split('\n').some(line => line.trim().startsWith('>'));
+    const parsed = isGcg ? parseGcg(source) : parseBoardText(source);
+    if (parsed.error) setError(parsed.error);
+    else if (isGcg) setGame(parsed);
+    else accept(parsed.board, parsed.rack);
+  };
+
+  const openFile = (file) => {
+    file.text().then(t => { setText(t); read(t); }).catch(err => setError(err.message));
+  };
+
+  if (!open) return (
+    <div style={{ textAlign: 'center', marginBottom: 4 }}>
+      <button onClick={() => setOpen(true)} style={smallButton}>IMPORT POSITION…</button>
+    </div>
+  );
+
+  return (
+    <div style={{ maxWidth: 440, margin: '0 auto 6px', padding: 6, background: '#1a1a2e', border: '1px solid #333', borderRadius: 6, fontSize: 10, color: '#888' }}>
+      <textarea
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        rows={6}
+        placeholder={'Paste a .gcg game, or 15 board rows (. for empty) and a line "Rack: AEINRS?"'}
+        style={{ width: '100%', boxSizing: 'border-box', fontFamily: 'monospace', fontSize: 10, background: '#0f0f1e', color: '#ddd', border: '1px solid #444', borderRadius: 4, padding: 4, userSelect: 'text' }}
+      />
+      <div style={{ display: 'flex', justifyContent: 'center', gap: 6, marginTop: 4 }}>
+        <button onClick={() => read(text)} style={smallButton}>READ</button>
+        <button onClick={() => fileRef.current.click()} style={smallButton}>OPEN FILE…</button>
+        <button onClick={close} style={smallButton}>✕</button>
+        <input
+          ref={fileRef}
+          type="file"
+          accept=".gcg,.txt,text/plain"
+          style={{ display: 'none' }}
+          onChange={(e) => { if (e.target.files[0]) openFile(e.target.files[0]); e.target.value = ''; }}
+        />
+      </div>
+      {error && <div style={{ textAlign: 'center', color: '#e74c3c', marginTop: 4 }}>{error}</div>}
+      {game && (
+        <div style={{ marginTop: 4, maxHeight: 160, overflowY: 'auto' }}>
+          <div style={{ textAlign: 'center', marginBottom: 2 }}>Pick a turn to drill{game.players.length === 2 ? ` (${game.players.join(' vs ')})` : ''}:</div>
+          {game.turns.map(turn => (
+            <div
+              key={turn.number}
+              onClick={() => accept(turn.board, turn.rack)}
+              style={{ display: 'flex', gap: 8, padding: '1px 6px', cursor: 'pointer', borderRadius: 3, fontFamily: 'monospace' }}
+            >
+              <span style={{ width: 22, color: '#555' }}>{turn.number}.</span>
+              <span style={{ width: 70, color: '#aaa' }}>{turn.player}</span>
+              <span style={{ width: 60, color: '#c9a44a' }}>{turn.rack.join('')}</span>
+              <span>{turn.move}</span>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
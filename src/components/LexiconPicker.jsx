@@ -0,0 +1,40 @@
+import { useRef } from "react";
+import { OVERLAYS } from "../lexicons/registry.js";
+import { smallButton } from "./theme.js";
+
+// ─── LEXICON PICKER ─────────────────────────────────────────────
+export default function LexiconPicker({ lexicons, current, overlays, error, onSelect, onToggleOverlay, onUpload, onDelete }) {
+  const fileRef = useRef(null);
+  const currentEntry = lexicons.find(l => l.id === current);
+
+  return (
+    <div style={{ marginBottom: 4 }}>
+      <div style={{ display: 'flex', justifyContent: 'center', alignItems: 'center', flexWrap: 'wrap', gap: 6, fontSize: 9, color: '#666' }}>
+        <span style={{ textTransform: 'uppercase', letterSpacing: 1 }}>Lexicon</span>
+        <select
+          value={current}
+          onChange={(e) => onSelect(e.target.value)}
+          style={{ fontSize: 10, background: '#1a1a2e', color: '#c9a44a', border: '1px solid #444', borderRadius: 4, padding: '1px 4px' }}
+        >
+          {lexicons.map(l => <option key={l.id} value={l.id}>{l.name}</option>)}
+        </select>
+        <button onClick={() => fileRef.current.click()} style={smallButton}>UPLOAD…</button>
+        {currentEntry && currentEntry.uploaded && <button onClick={() => onDelete(current)} style={smallButton}>REMOVE</button>}
+        <input
+          ref={fileRef}
+          type="file"
+          accept=".txt,text/plain"
+          style={{ display: 'none' }}
+          onChange={(e) => { if (e.target.files[0]) onUpload(e.target.files[0]); e.target.value = ''; }}
+        />
+        {OVERLAYS.map(o => (
+          <label key={o.id} style={{ display: 'flex', alignItems: 'center', gap: 3, cursor: 'pointer' }} title={o.words.join(', ')}>
+            <input type="checkbox" checked={overlays.includes(o.id)} onChange={() => onToggleOverlay(o.id)} />
+            {o.name}
+          </label>
+        ))}
+      </div>
+      {error && <div style={{ textAlign: 'center', fontSize: 10, color: '#e74c3c', marginTop: 2 }}>{error}</div>}
+    </div>
+  );
+}
@@ -0,0 +1,70 @@
+import { useState } from "react";
+import { playCoordinate, samePlay, rankOf } from "../engine/index.js";
+
+const TOP_N = 10;
+
+const METRICS = {
+  score: { label: 'By score', value: p => p.score, format: v => `${v} pts`, color: '#e74c3c' },
+  equity: { label: 'By equity', value: p => p.equity, format: v => v.toFixed(1), color: '#8e44ad' },
+  defScore: { label: 'By defense', value: p => p.defScore, format: v => v.toFixed(1), color: '#3498db' },
+};
+
+// ─── RANKED MOVE LIST ───────────────────────────────────────────
+// Top plays by score, equity or defense, with the user's own play marked.
+// `userPlays` maps each metric to the user's play for it, carrying that
+// metric's value; clicking a row previews it on the board.
+export default function MoveList({ plays, userPlays, preview, onPreview }) {
+  const [metric, setMetric] = useState('score');
+  const m = METRICS[metric];
+  const ranked = [...plays].sort((a, b) => m.value(b) - m.value(a));
+  const top = ranked.slice(0, TOP_N);
+  const user = userPlays[metric];
+  const userRank = user ? rankOf(user[metric], ranked.map(m.value)) : null;
+  const userInTop = user && top.some(p => samePlay(p, user));
+
+  const row = (play, rank, isUser, key) => {
+    const isPreview = preview && samePlay(preview, play);
+    return (
+      <div
+        key={key}
+        onClick={() => onPreview(isPreview ? null : play)}
+        style={{
+          display: 'flex', alignItems: 'center', gap: 8, padding: '4px 8px', borderRadius: 4, cursor: 'pointer', fontSize: 11,
+          background: isPreview ? 'rgba(22,160,133,0.25)' : isUser ? 'rgba(201,164,74,0.18)' : 'transparent',
+          border: `1px solid ${isUser ? '#c9a44a' : 'transparent'}`,
+        }}
+      >
+        <span style={{ width: 26, color: '#888' }}>#{rank}</span>
+        <span style={{ width: 34, color: '#999', fontFamily: 'monospace' }}>{playCoordinate(play)}</span>
+        <span style={{ flex: 1, fontWeight: 700, letterSpacing: 1, color: '#1a1a2e' }}>{play.word}</span>
+        {metric === 'equity' && play.leave && <span style={{ fontSize: 9, color: '#999', letterSpacing: 1 }}>{play.leave.join('') || '—'}</span>}
+        {isUser && <span style={{ fontSize: 9, color: '#a07830', fontWeight: 700 }}>YOU</span>}
+        <span style={{ width: 52, textAlign: 'right', color: m.color, fontWeight: 700 }}>{m.format(m.value(play))}</span>
+      </div>
+    );
+  };
+
+  return (
+    <div style={{ background: '#fff', borderRadius: 8, padding: 8, marginTop: 8, color: '#1a1a2e' }}>
+      <div style={{ display: 'flex', gap: 4, marginBottom: 6 }}>
+        {Object.entries(METRICS).map(([key, { label, color }]) => (
+          <button
+            key={key}
+            onClick={() => setMetric(key)}
+            style={{ flex: 1, padding: '4px 0', fontSize: 11, fontWeight: 700, borderRadius: 4, cursor: 'pointer', fontFamily: "'Palatino Linotype',serif", border: `1px solid ${color}`, background: metric === key ? color : '#fff', color: metric === key ? '#fff' : color }}
+          >{label}</button>
+        ))}
+      </div>
+      {top.map((play, i) => row(play, rankOf(m.value(play), ranked.map(m.value)), user && samePlay(play, user), i))}
+      {user && !userInTop && (
+        <>
+          <div style={{ textAlign: 'center', color: '#bbb', fontSize: 10 }}>⋯</div>
+          {row(user, userRank, true, 'user')}
+        </>
+      )}
+      <div style={{ fontSize: 9, color: '#999', textAlign: 'center', marginTop: 4 }}>
+        {plays.length} plays found · tap a play to preview it on the board
+      </div>
+    </div>
+  );
+}
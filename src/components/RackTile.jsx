@@ -0,0 +1,39 @@
+import { TV } from "../engine/index.js";
+
+// ─── RACK TILE ──────────────────────────────────────────────────
+// One tile on a rack. `used` greys it out once it is on the board, `open`
+// draws an empty slot instead (word drills use it for a missing letter),
+// `hidden` lays it face down, `lifted` raises it and `borderColor`/`shadow`
+// override the resting look.
+export default function RackTile({ tile, used = false, open = false, hidden = false, lifted = false, borderColor = null, shadow = null, onClick, onPointerDown }) {
+  if (open) return (
+    <div style={{ width: 38, height: 42, borderRadius: 4, border: '2px dashed #a07830', boxSizing: 'border-box', display: 'flex', alignItems: 'center', justifyContent: 'center', color: '#a07830', fontSize: 20, fontWeight: 700 }}>?</div>
+  );
+
+  if (hidden) return (
+    <div style={{ width: 38, height: 42, borderRadius: 4, border: '2px solid #a07830', boxSizing: 'border-box', background: 'repeating-linear-gradient(45deg,#6d5a2a 0 4px,#a07830 4px 8px)' }} />
+  );
+
+  return (
+    <div
+      onClick={onClick}
+      onPointerDown={onPointerDown}
+      style={{
+        width: 38, height: 42,
+        background: used ? '#2a2a2a' : 'linear-gradient(160deg,#f0dcc0 0%,#c9a44a 100%)',
+        borderRadius: 4,
+        border: `2px solid ${borderColor || (used ? '#444' : '#a07830')}`,
+        boxShadow: shadow || '0 2px 4px rgba(0,0,0,0.35)',
+        transform: lifted ? 'translateY(-4px)' : 'none',
+        display: 'flex', flexDirection: 'column', alignItems: 'center', justifyContent: 'center',
+        cursor: used || !onClick ? 'default' : 'pointer',
+        opacity: used ? 0.35 : 1,
+        touchAction: 'none',
+        transition: 'border 0.1s, box-shadow 0.1s',
+      }}
+    >
+      <span style={{ fontSize: 22, fontWeight: 700, color: used ? '#555' : '#1a1a2e', fontFamily: "'Palatino Linotype',serif", lineHeight: 1 }}>{tile}</span>
+      <span style={{ fontSize: 11, fontWeight: 700, color: used ? '#444' : '#6d5a2a' }}>{TV[tile]}</span>
+    </div>
+  );
+}
@@ -0,0 +1,55 @@
+import { useState } from "react";
+import { smallButton } from "./theme.js";
+
+// ─── SCENARIO CODE ──────────────────────────────────────────────
+// Shows the code for the current position, copies a link to it and accepts
+// a pasted code or link to jump to another position.
+export default function ScenarioCodeBar({ code, onLoadCode }) {
+  const [copied, setCopied] = useState(false);
+  const [entering, setEntering] = useState(false);
+  const [text, setText] = useState('');
+
+  const link = `${window.location.origin}${window.location.pathname}#${code}`;
+
+  const copy = () => {
+    navigator.clipboard.writeText(link).then(() => {
+      setCopied(true);
+      setTimeout(() => setCopied(false), 1500);
+    }).catch(error => console.error('Failed to copy scenario link:', error));
+  };
+
+  const submit = (e) => {
+    e.preventDefault();
+    // Accept a full link as well as a bare code.
+    const value = text.includes('#') ? text.slice(text.indexOf('#') + 1) : text;
+    if (!value.trim()) return;
+    onLoadCode(value.trim());
+    setEntering(false);
+    setText('');
+  };
+
+  return (
+    <div style={{ display: 'flex', justifyContent: 'center', alignItems: 'center', gap: 6, marginBottom: 4, fontSize: 9, color: '#666' }}>
+      {entering ? (
+        <form onSubmit={submit} style={{ display: 'flex', gap: 4 }}>
+          <input
+            autoFocus
+            value={text}
+            onChange={(e) => setText(e.target.value)}
+            placeholder="Paste a scenario code or link"
+            style={{ width: 200, padding: '2px 6px', fontSize: 10, background: '#1a1a2e', color: '#fff', border: '1px solid #444', borderRadius: 4, userSelect: 'text' }}
+          />
+          <button type="submit" style={smallButton}>GO</button>
+          <button type="button" onClick={() => setEntering(false)} style={smallButton}>✕</button>
+        </form>
+      ) : (
+        <>
+          <span style={{ textTransform: 'uppercase', letterSpacing: 1 }}>Scenario</span>
+          <span style={{ color: '#c9a44a', fontFamily: 'monospace', maxWidth: 160, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap', userSelect: 'text' }} title={code}>{code}</span>
+          <button onClick={copy} style={smallButton}>{copied ? 'COPIED ✓' : 'COPY LINK'}</button>
+          <button onClick={() => setEntering(true)} style={smallButton}>LOAD CODE</button>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,35 @@
+import { playCoordinate, samePlay } from "../engine/index.js";
+
+// ─── SIMULATION RESULTS ─────────────────────────────────────────
+// Candidates ranked by average spread after the opponent's best reply.
+export default function SimulationResults({ results, userPlay, preview, onPreview }) {
+  return (
+    <div style={{ background: '#fff', borderRadius: 8, padding: 8, marginTop: 8, color: '#1a1a2e' }}>
+      <div style={{ fontSize: 11, fontWeight: 700, color: '#3498db', marginBottom: 4 }}>
+        🎲 Simulated spread · {results[0].samples} opponent racks per play
+      </div>
+      {results.map((r, i) => {
+        const isUser = samePlay(r.play, userPlay);
+        const isPreview = preview && samePlay(preview, r.play);
+        return (
+          <div
+            key={i}
+            onClick={() => onPreview(isPreview ? null : r.play)}
+            style={{
+              display: 'flex', alignItems: 'center', gap: 8, padding: '4px 8px', borderRadius: 4, cursor: 'pointer', fontSize: 11,
+              background: isPreview ? 'rgba(22,160,133,0.25)' : isUser ? 'rgba(201,164,74,0.18)' : 'transparent',
+              border: `1px solid ${isUser ? '#c9a44a' : 'transparent'}`,
+            }}
+          >
+            <span style={{ width: 26, color: '#888' }}>#{i + 1}</span>
+            <span style={{ width: 34, color: '#999', fontFamily: 'monospace' }}>{playCoordinate(r.play)}</span>
+            <span style={{ flex: 1, fontWeight: 700, letterSpacing: 1 }}>{r.play.word}</span>
+            {isUser && <span style={{ fontSize: 9, color: '#a07830', fontWeight: 700 }}>YOU</span>}
+            <span style={{ width: 44, textAlign: 'right', color: '#999' }}>{r.play.score} pts</span>
+            <span style={{ width: 48, textAlign: 'right', color: r.spread >= 0 ? '#27ae60' : '#c0392b', fontWeight: 700 }}>{r.spread >= 0 ? '+' : ''}{r.spread.toFixed(1)}</span>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
@@ -0,0 +1,21 @@
+// ─── STATS PANEL ────────────────────────────────────────────────
+// The row of headline numbers under the title, plus the history link.
+// `items` is [{ label, val, color }].
+export default function StatsPanel({ items, onHistory }) {
+  return (
+    <div style={{ display: 'flex', justifyContent: 'center', gap: 24, marginBottom: 4 }}>
+      {items.map((s, i) => (
+        <div key={i} style={{ textAlign: 'center' }}>
+          <div style={{ fontSize: 15, fontWeight: 700, color: s.color }}>{s.val}</div>
+          <div style={{ fontSize: 8, color: '#555', textTransform: 'uppercase', letterSpacing: 1 }}>{s.label}</div>
+        </div>
+      ))}
+      {onHistory && (
+        <div onClick={onHistory} style={{ textAlign: 'center', cursor: 'pointer' }}>
+          <div style={{ fontSize: 15 }}>📜</div>
+          <div style={{ fontSize: 8, color: '#555', textTransform: 'uppercase', letterSpacing: 1 }}>History</div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,31 @@
+import { TILE_DISTRIBUTION, BLANK } from "../engine/index.js";
+
+const VOWELS = 'AEIOU';
+
+// ─── UNSEEN TILE TRACKER ────────────────────────────────────────
+// What's left in the bag plus the opponent's rack, as a player would track it.
+export default function UnseenTiles({ unseen }) {
+  const letters = Object.keys(TILE_DISTRIBUTION);
+  const total = letters.reduce((n, t) => n + (unseen[t] || 0), 0);
+  const vowels = [...VOWELS].reduce((n, t) => n + (unseen[t] || 0), 0);
+  const blanks = unseen[BLANK] || 0;
+
+  return (
+    <div style={{ marginTop: 6 }}>
+      <div style={{ textAlign: 'center', fontSize: 9, color: '#555', letterSpacing: 1.5, textTransform: 'uppercase' }}>
+        Unseen Tiles · {total} ({vowels} vowels, {total - vowels - blanks} consonants{blanks ? `, ${blanks} blank${blanks > 1 ? 's' : ''}` : ''})
+      </div>
+      <div style={{ display: 'flex', justifyContent: 'center', flexWrap: 'wrap', gap: 2, marginTop: 3, maxWidth: 440, marginLeft: 'auto', marginRight: 'auto' }}>
+        {letters.map(t => {
+          const n = unseen[t] || 0;
+          return (
+            <div key={t} style={{ display: 'flex', alignItems: 'baseline', gap: 1, padding: '1px 4px', borderRadius: 3, background: n ? 'rgba(240,220,192,0.12)' : 'transparent', opacity: n ? 1 : 0.3 }}>
+              <span style={{ fontSize: 11, fontWeight: 700, color: VOWELS.includes(t) ? '#f0dcc0' : '#c9a44a' }}>{t}</span>
+              <span style={{ fontSize: 8, color: '#999' }}>{n}</span>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,161 @@
+import { useState, useEffect, useRef } from "react";
+import { makeWordDrill, gradeWordList, shuffle, playCoordinate } from "../engine/index.js";
+import RackTile from "./RackTile.jsx";
+import BoardView from "./BoardView.jsx";
+import { smallButton } from "./theme.js";
+
+const bigButton = { flex: 1, padding: '10px 0', color: '#fff', border: 'none', borderRadius: 8, fontSize: 14, fontWeight: 700, letterSpacing: 2, cursor: 'pointer', fontFamily: "'Palatino Linotype',serif" };
+
+// ─── WORD DRILL ─────────────────────────────────────────────────
+// Runs one word-knowledge question at a time (see engine/wordDrills.js)
+// against the clock. Each finished question is reported through
+// `onAnswered({ mode, at, score, possible, seconds })`. `tier` is the
+// BINGO_TIERS key used for bingo questions.
+export default function WordDrill({ mode, lexicon, tier, onAnswered }) {
+  const [question, setQuestion] = useState(null);
+  const [tiles, setTiles] = useState([]);
+  const [entries, setEntries] = useState([]);
+  const [input, setInput] = useState('');
+  const [startedAt, setStartedAt] = useState(0);
+  const [now, setNow] = useState(0);
+  const [result, setResult] = useState(null);
+  const [shown, setShown] = useState(null); // Answer whose placement is drawn on a bingo board
+  const inputRef = useRef(null);
+
+  const next = () => {
+    const q = makeWordDrill(mode, lexicon, Math.random, { tier });
+    setQuestion(q);
+    setTiles(q ? q.tiles : []);
+    setEntries([]); setInput(''); setResult(null); setShown(null);
+    setStartedAt(Date.now()); setNow(Date.now());
+  };
+
+  useEffect(next, [mode, lexicon, tier]);
+
+  const elapsed = (now - startedAt) / 1000;
+  const remaining = question ? Math.max(0, question.timeLimit - elapsed) : 0;
+
+  const finish = (verdict = null) => {
+    if (result || !question) return;
+    const seconds = Math.min(question.timeLimit, (Date.now() - startedAt) / 1000);
+    let graded;
+    if (question.answers) {
+      graded = gradeWordList(question, entries);
+    } else {
+      const correct = verdict === question.valid;
+      graded = { correct, verdict, score: correct ? 1 : 0, possible: 1 };
+    }
+    setResult({ ...graded, seconds });
+    if (question.fits) setShown(graded.missed.find(w => question.fits[w]) || question.answers.find(w => question.fits[w]) || null);
+    onAnswered({ mode, at: new Date().toISOString(), score: graded.score, possible: graded.possible, seconds });
+  };
+
+  // The clock runs until the question is answered; time up ends it as is.
+  useEffect(() => {
+    if (!question || result) return;
+    const timer = setInterval(() => setNow(Date.now()), 250);
+    return () => clearInterval(timer);
+  }, [question, result]);
+  useEffect(() => { if (question && !result && remaining === 0) finish(); });
+
+  // Y and N answer "is it a word?"; Enter moves on once a question is done.
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (e.target.tagName === 'INPUT') return;
+      if (result && e.key === 'Enter') next();
+      else if (!result && question && !question.answers) {
+        if (e.key === 'y' || e.key === 'Y') finish(true);
+        else if (e.key === 'n' || e.key === 'N') finish(false);
+      }
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  });
+
+  if (!question) return <div style={{ textAlign: 'center', color: '#888', fontSize: 12, marginTop: 20 }}>This lexicon has no words for this drill.</div>;
+
+  const addEntry = (e) => {
+    e.preventDefault();
+    const word = input.trim().toUpperCase();
+    setInput('');
+    if (word && !entries.includes(word)) setEntries([...entries, word]);
+  };
+
+  const answers = question.answers ? new Set(question.answers) : null;
+  const found = answers ? entries.filter(w => answers.has(w)).length : 0;
+
+  return (
+    <div style={{ maxWidth: 440, margin: '0 auto' }}>
+      <div style={{ textAlign: 'center', fontSize: 12, color: '#ccc', margin: '6px 0' }}>{question.prompt}</div>
+      {question.board && <BoardView board={question.board} play={shown && question.fits[shown]} playColor="#27ae60" />}
+      <div style={{ display: 'flex', justifyContent: 'center', gap: 3, margin: '6px 0' }}>
+        {tiles.map((t, i) => <RackTile key={i} tile={t} open={t === '?'} />)}
+      </div>
+      <div style={{ display: 'flex', justifyContent: 'center', alignItems: 'center', gap: 8, fontSize: 11, color: remaining < 5 && !result ? '#e74c3c' : '#888' }}>
+        {result ? `Answered in ${result.seconds.toFixed(1)}s` : `⏱ ${Math.ceil(remaining)}s`}
+        {answers && <span style={{ color: '#c9a44a' }}>{found} / {question.answers.length} found</span>}
+        {mode === 'anagram' && !result && <button onClick={() => setTiles(shuffle(tiles, Math.random))} style={smallButton}>SHUFFLE</button>}
+      </div>
+
+      {answers && !result && (
+        <form onSubmit={addEntry} style={{ display: 'flex', gap: 6, marginTop: 8 }}>
+          <input
+            ref={inputRef}
+            autoFocus
+            value={input}
+            onChange={(e) => setInput(e.target.value.replace(/[^a-z]/gi, ''))}
+            placeholder="Type a word and press Enter"
+            style={{ flex: 1, padding: '6px 8px', fontSize: 14, letterSpacing: 2, textTransform: 'uppercase', background: '#1a1a2e', color: '#fff', border: '1px solid #444', borderRadius: 6, userSelect: 'text' }}
+          />
+          <button type="button" onClick={() => finish()} style={{ ...bigButton, flex: 'none', padding: '6px 14px', background: '#2a2a3e', fontSize: 12 }}>DONE</button>
+        </form>
+      )}
+
+      {question.fits && result && (
+        <div style={{ marginTop: 8, fontSize: 11 }}>
+          {question.answers.map(w => {
+            const fit = question.fits[w];
+            return (
+              <div
+                key={w}
+                onClick={() => fit && setShown(w)}
+                style={{ display: 'flex', gap: 8, padding: '2px 8px', borderRadius: 4, cursor: fit ? 'pointer' : 'default', background: w === shown ? 'rgba(39,174,96,0.15)' : 'transparent' }}
+              >
+                <span style={{ flex: 1, fontFamily: 'monospace', fontSize: 12, color: result.found.includes(w) ? '#27ae60' : '#e67e22' }}>{w}</span>
+                <span style={{ color: '#888' }}>{fit ? `${playCoordinate(fit)} · ${fit.score} pts` : 'no spot on this board'}</span>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {answers && !(question.fits && result) && (
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: 4, justifyContent: 'center', marginTop: 8, fontSize: 12, fontFamily: 'monospace' }}>
+          {entries.map(w => <span key={w} style={{ color: answers.has(w) ? '#27ae60' : '#e74c3c' }}>{w}</span>)}
+          {result && result.missed.map(w => <span key={w} style={{ color: '#666' }}>{w}</span>)}
+        </div>
+      )}
+
+      {!answers && !result && (
+        <div style={{ display: 'flex', gap: 8, marginTop: 10 }}>
+          <button onClick={() => finish(true)} style={{ ...bigButton, background: '#27ae60' }}>VALID (Y)</button>
+          <button onClick={() => finish(false)} style={{ ...bigButton, background: '#c0392b' }}>PHONY (N)</button>
+        </div>
+      )}
+
+      {result && (
+        <div style={{ textAlign: 'center', marginTop: 10 }}>
+          <div style={{ fontSize: 14, fontWeight: 700, color: result.score === result.possible ? '#27ae60' : '#e67e22' }}>
+            {answers
+              ? `${result.score} point${result.score === 1 ? '' : 's'} — ${result.found.length} of ${result.possible} found, ${result.wrong.length} wrong`
+              : result.verdict === null
+                ? `Time's up — ${question.word} is ${question.valid ? 'valid' : 'a phony'}.`
+                : `${result.correct ? '✓ Right' : '✗ Wrong'} — ${question.word} is ${question.valid ? 'valid' : 'a phony'}.`}
+          </div>
+          {answers && !question.fits && result.missed.length > 0 && <div style={{ fontSize: 10, color: '#666', marginTop: 2 }}>Missed words are shown in grey.</div>}
+          <button onClick={next} style={{ ...bigButton, width: '100%', marginTop: 10, background: 'linear-gradient(135deg,#c9a44a,#a07830)' }}>NEXT →</button>
+        </div>
+      )}
+    </div>
+  );
+}
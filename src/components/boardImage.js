@@ -0,0 +1,93 @@
+import { TV, BOARD_SIZE, getPremium, isDesignatedBlank } from "../engine/index.js";
+import { premColors, premLabels, tileColor, centerColor, emptyColor } from "./theme.js";
+
+// ─── BOARD IMAGE ────────────────────────────────────────────────
+// The board as a standalone SVG, in the same colours as the live board,
+// for pasting into chat. `play` (optional) is drawn on top in `playColor`
+// and `caption` goes underneath.
+const CELL = 32;
+const GAP = 1;
+const CAPTION_HEIGHT = 24;
+
+const escapeXml = (text) => text.replace(/[<>&"]/g, ch => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;' })[ch]);
+
+export function boardSvg(board, { play = null, playColor = '#7d3c98', caption = '' } = {}) {
+  const overlay = {};
+  if (play) {
+    play.positions.forEach(([r, c], i) => {
+      if (board[r][c] === null) overlay[`${r},${c}`] = play.word[i];
+    });
+  }
+
+  const size = BOARD_SIZE * (CELL + GAP) + GAP;
+  const height = size + (caption ? CAPTION_HEIGHT : 0);
+  const font = "'Palatino Linotype','Book Antiqua',Palatino,serif";
+  const cells = [];
+
+  for (let r = 0; r < BOARD_SIZE; r++) {
+    for (let c = 0; c < BOARD_SIZE; c++) {
+      const x = GAP + c * (CELL + GAP);
+      const y = GAP + r * (CELL + GAP);
+      const boardLetter = board[r][c];
+      const playLetter = overlay[`${r},${c}`];
+      const letter = boardLetter || playLetter;
+      const prem = getPremium(r, c);
+
+      let bg = emptyColor;
+      if (boardLetter) bg = tileColor;
+      else if (playLetter) bg = playColor;
+      else if (prem) bg = premColors[prem];
+      else if (r === 7 && c === 7) bg = centerColor;
+      cells.push(`<rect x="${x}" y="${y}" width="${CELL}" height="${CELL}" fill="${bg}"/>`);
+
+      if (letter) {
+        const ink = playLetter ? '#fff' : '#1a1a2e';
+        const style = isDesignatedBlank(letter) ? ' font-style="italic"' : '';
+        cells.push(`<text x="${x + CELL / 2}" y="${y + CELL * 0.72}" font-size="${CELL * 0.62}" font-weight="700" text-anchor="middle" fill="${ink}"${style}>${letter.toUpperCase()}</text>`);
+        if (!isDesignatedBlank(letter)) {
+          cells.push(`<text x="${x + CELL - 2}" y="${y + CELL - 3}" font-size="${CELL * 0.28}" font-weight="700" text-anchor="end" fill="${playLetter ? 'rgba(255,255,255,0.85)' : '#6d5a2a'}">${TV[letter]}</text>`);
+        }
+      } else if (prem) {
+        premLabels[prem].split('\n').forEach((line, i) => {
+          cells.push(`<text x="${x + CELL / 2}" y="${y + CELL * (0.45 + i * 0.3)}" font-size="${CELL * 0.24}" font-weight="700" text-anchor="middle" fill="#fff" font-family="'Arial Narrow',Arial,sans-serif">${line}</text>`);
+        });
+      }
+    }
+  }
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${height}" viewBox="0 0 ${size} ${height}" font-family="${font}">`,
+    `<rect width="${size}" height="${height}" fill="#1a1a2e"/>`,
+    ...cells,
+    caption ? `<text x="${size / 2}" y="${size + CAPTION_HEIGHT * 0.7}" font-size="13" text-anchor="middle" fill="#c9a44a">${escapeXml(caption)}</text>` : '',
+    '</svg>',
+  ].join('\n');
+}
+
+// Rasterises an SVG string; resolves to a PNG Blob at `scale` times its size.
+export function svgToPng(svg, scale = 2) {
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = image.width * scale;
+      canvas.height = image.height * scale;
+      const ctx = canvas.getContext('2d');
+      ctx.scale(scale, scale);
+      ctx.drawImage(image, 0, 0);
+      canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not render the PNG.'))), 'image/png');
+    };
+    image.onerror = () => reject(new Error('Could not render the board image.'));
+    image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+  });
+}
+
+export function downloadFile(name, content, type) {
+  const blob = content instanceof Blob ? content : new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = name;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
@@ -0,0 +1,10 @@
+// ─── BOARD COLOURS ──────────────────────────────────────────────
+export const premColors = { TW: '#c0392b', DW: '#e67e22', TL: '#2980b9', DL: '#5dade2' };
+export const premLabels = { TW: '3×\nWORD', DW: '2×\nWORD', TL: '3×\nLTR', DL: '2×\nLTR' };
+export const tileColor = '#d4a843';
+export const centerColor = '#e74c3c';
+export const emptyColor = '#f5e6c8';
+
+// ─── BUTTONS ────────────────────────────────────────────────────
+// The small grey button of the panels around the board.
+export const smallButton = { padding: '2px 8px', background: '#2a2a3e', color: '#aaa', border: '1px solid #444', borderRadius: 4, fontSize: 9, fontWeight: 600, cursor: 'pointer', letterSpacing: 1, fontFamily: "'Palatino Linotype',serif" };
@@ -0,0 +1,69 @@
+import { randomInt } from './rng.js';
+
+// ─── TILE BAG ───────────────────────────────────────────────────
+// Standard English distribution: 100 tiles, '?' being the two blanks.
+export const BLANK = '?';
+
+// Once on the board a blank carries its chosen letter in lower case.
+export function isDesignatedBlank(letter) {
+  return letter !== letter.toUpperCase();
+}
+
+// The rack tile a board or placed letter came from.
+export function tileOf(letter) {
+  return isDesignatedBlank(letter) ? BLANK : letter;
+}
+
+export const TILE_DISTRIBUTION = {
+  A:9,B:2,C:2,D:4,E:12,F:2,G:3,H:2,I:9,J:1,K:1,L:4,M:2,N:6,O:8,P:2,Q:1,R:6,S:4,T:6,U:4,V:2,W:2,X:1,Y:2,Z:1,
+  [BLANK]:2,
+};
+
+export function countTiles(tiles) {
+  const counts = {};
+  tiles.forEach(t => { counts[t] = (counts[t] || 0) + 1; });
+  return counts;
+}
+
+export function boardTiles(board) {
+  const tiles = [];
+  board.forEach(row => row.forEach(cell => { if (cell !== null) tiles.push(cell); }));
+  return tiles;
+}
+
+// Takes `tiles` out of a count map. A letter the pool has run out of must
+// have been a blank, so it spends one of those instead. Returns null when
+// not even the blanks can cover it, i.e. the position is impossible.
+export function subtractTiles(counts, tiles) {
+  const left = { ...counts };
+  for (const t of tiles.map(tileOf)) {
+    if (left[t] > 0) left[t]--;
+    else if (left[BLANK] > 0) left[BLANK]--;
+    else return null;
+  }
+  return left;
+}
+
+export function bagFromCounts(counts) {
+  const bag = [];
+  Object.keys(counts).forEach(t => { for (let i = 0; i < counts[t]; i++) bag.push(t); });
+  return bag;
+}
+
+// Removes up to `n` random tiles from `bag`; returns the drawn tiles and the
+// rest of the bag without mutating the original.
+export function drawTiles(bag, n, random = Math.random) {
+  const rest = [...bag];
+  const drawn = [];
+  while (drawn.length < n && rest.length > 0) {
+    const i = randomInt(random, rest.length);
+    drawn.push(rest[i]);
+    rest.splice(i, 1);
+  }
+  return { drawn, bag: rest };
+}
+
+// Tiles the player can't see: the full set minus the board and their rack.
+export function unseenTiles(board, rack) {
+  return subtractTiles(TILE_DISTRIBUTION, [...boardTiles(board), ...rack]) || {};
+}
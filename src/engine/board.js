@@ -0,0 +1,100 @@
+// ─── TILE VALUES ────────────────────────────────────────────────
+export const TV = {A:1,B:3,C:3,D:2,E:1,F:4,G:2,H:4,I:1,J:8,K:5,L:1,M:3,N:1,O:1,P:3,Q:10,R:1,S:1,T:1,U:1,V:4,W:4,X:8,Y:4,Z:10,'?':0};
+
+export const BOARD_SIZE = 15;
+export const CENTER = 7;
+
+// ─── OFFICIAL SCRABBLE BOARD PREMIUM SQUARES (0-indexed) ────────
+export const TW_SQUARES = [[0,0],[0,7],[0,14],[7,0],[7,14],[14,0],[14,7],[14,14]];
+
+export const BOARD_TEMPLATE = (() => {
+  const b = Array(15).fill(null).map(() => Array(15).fill('.'));
+  TW_SQUARES.forEach(([r,c]) => { b[r][c]='TW'; });
+  [[1,1],[2,2],[3,3],[4,4],[1,13],[2,12],[3,11],[4,10],
+   [13,1],[12,2],[11,3],[10,4],[13,13],[12,12],[11,11],[10,10],[7,7]].forEach(([r,c]) => { b[r][c]='DW'; });
+  [[1,5],[1,9],[5,1],[5,5],[5,9],[5,13],[9,1],[9,5],[9,9],[9,13],[13,5],[13,9]].forEach(([r,c]) => { b[r][c]='TL'; });
+  [[0,3],[0,11],[2,6],[2,8],[3,0],[3,7],[3,14],[6,2],[6,6],[6,8],[6,12],
+   [7,3],[7,11],[8,2],[8,6],[8,8],[8,12],[11,0],[11,7],[11,14],[12,6],[12,8],[14,3],[14,11]].forEach(([r,c]) => { b[r][c]='DL'; });
+  return b;
+})();
+
+export function getPremium(r, c) {
+  return BOARD_TEMPLATE[r][c] === '.' ? null : BOARD_TEMPLATE[r][c];
+}
+
+// ─── BOARD MODEL ────────────────────────────────────────────────
+// A board is a 15×15 array of letters, with null for empty squares.
+export function createBoard() {
+  return Array(BOARD_SIZE).fill(null).map(() => Array(BOARD_SIZE).fill(null));
+}
+
+export function cloneBoard(board) {
+  return board.map(row => [...row]);
+}
+
+export function getLetterAt(board, r, c) {
+  return (r >= 0 && r < BOARD_SIZE && c >= 0 && c < BOARD_SIZE) ? board[r][c] : null;
+}
+
+// A new board with `play`'s letters written onto it.
+export function applyPlay(board, play) {
+  const next = cloneBoard(board);
+  play.positions.forEach(([r, c], i) => { next[r][c] = play.word[i]; });
+  return next;
+}
+
+export function isBoardEmpty(board) {
+  return board.every(row => row.every(cell => cell === null));
+}
+
+// The perpendicular word formed by putting `letter` on the empty square (r, c)
+// while the main word runs in the `horizontal` direction. Returns a
+// one-letter word when the square has no perpendicular neighbours.
+export function crossWordAt(board, r, c, letter, horizontal) {
+  let word = '';
+  const positions = [];
+  if (horizontal) {
+    let cr = r;
+    while (cr > 0 && board[cr - 1][c] !== null) cr--;
+    while (cr < BOARD_SIZE) {
+      const ch = (cr === r) ? letter : board[cr][c];
+      if (ch === null) break;
+      word += ch; positions.push([cr, c]); cr++;
+    }
+  } else {
+    let cc = c;
+    while (cc > 0 && board[r][cc - 1] !== null) cc--;
+    while (cc < BOARD_SIZE) {
+      const ch = (cc === c) ? letter : board[r][cc];
+      if (ch === null) break;
+      word += ch; positions.push([r, cc]); cc++;
+    }
+  }
+  return { word, positions };
+}
+
+// Every run of two or more tiles on the board, across and down.
+export function boardWords(board) {
+  const words = [];
+  for (let r = 0; r < BOARD_SIZE; r++) {
+    let c = 0;
+    while (c < BOARD_SIZE) {
+      if (board[r][c] === null) { c++; continue; }
+      const start = c;
+      let word = '';
+      while (c < BOARD_SIZE && board[r][c] !== null) { word += board[r][c]; c++; }
+      if (word.length >= 2) words.push({ word, row: r, col: start, horizontal: true });
+    }
+  }
+  for (let c = 0; c < BOARD_SIZE; c++) {
+    let r = 0;
+    while (r < BOARD_SIZE) {
+      if (board[r][c] === null) { r++; continue; }
+      const start = r;
+      let word = '';
+      while (r < BOARD_SIZE && board[r][c] !== null) { word += board[r][c]; r++; }
+      if (word.length >= 2) words.push({ word, row: start, col: c, horizontal: false });
+    }
+  }
+  return words;
+}
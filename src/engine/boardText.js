@@ -0,0 +1,38 @@
+import { BOARD_SIZE, createBoard } from './board.js';
+import { BLANK } from './bag.js';
+
+// ─── TEXT BOARD NOTATION ────────────────────────────────────────
+// A position typed or pasted as plain text: fifteen rows of fifteen
+// squares, '.' for an empty square and letters for tiles (lower case for
+// a blank), then the rack on its own line with '?' for a blank. Spaces
+// inside a row and a "Rack:" label are optional.
+//   ...............
+//   .......CAT.....   (15 rows in all)
+//   Rack: AEINRS?
+// Returns { board, rack } or { error }.
+export function parseBoardText(text) {
+  const lines = text.split(/\r?\n/).map(l => l.replace(/\s+/g, '')).filter(Boolean);
+  if (lines.length !== BOARD_SIZE + 1) {
+    return { error: `Expected ${BOARD_SIZE} board rows and a rack line, found ${lines.length} lines.` };
+  }
+
+  const board = createBoard();
+  for (let r = 0; r < BOARD_SIZE; r++) {
+    const row = lines[r];
+    if (!/^[A-Za-z.]+$/.test(row) || row.length !== BOARD_SIZE) {
+      return { error: `Row ${r + 1} must be ${BOARD_SIZE} squares of letters or '.'.` };
+    }
+    [...row].forEach((cell, c) => { if (cell !== '.') board[r][c] = cell; });
+  }
+
+  const rack = lines[BOARD_SIZE].replace(/^rack:?/i, '');
+  if (!/^[A-Za-z?]{1,7}$/.test(rack)) return { error: 'The rack must be 1–7 letters, with ? for a blank.' };
+  return { board, rack: [...rack.toUpperCase()].map(t => (t === '?' ? BLANK : t)) };
+}
+
+// The same notation written out, so an exported position can be pasted
+// straight back into the importer.
+export function formatBoardText(board, rack) {
+  const rows = board.map(row => row.map(cell => cell || '.').join(''));
+  return [...rows, `Rack: ${rack.join('')}`].join('\n');
+}
@@ -0,0 +1,137 @@
+import { createBoard, getLetterAt, crossWordAt, boardWords } from './board.js';
+import { shuffle, pick } from './rng.js';
+
+// ─── BOARD GENERATION ───────────────────────────────────────────
+// Drops random 3–6 letter words across existing letters until the board
+// holds 18–40 tiles. Returns { board, premiumsUsed } or null on a dud.
+export function buildConnectedBoard(lexicon, random = Math.random) {
+  if (lexicon.words.length === 0) return null;
+
+  const board = createBoard();
+  const premiumsUsed = {};
+  const pool = lexicon.words.filter(w => w.length >= 3 && w.length <= 6);
+
+  function canPlaceWord(word, row, col, horizontal) {
+    const len = word.length;
+    if (horizontal) { if (col + len > 15) return false; }
+    else { if (row + len > 15) return false; }
+
+    for (let i = 0; i < len; i++) {
+      const r = horizontal ? row : row + i;
+      const c = horizontal ? col + i : col;
+      const existing = getLetterAt(board, r, c);
+      if (existing !== null && existing !== word[i]) return false;
+    }
+
+    if (horizontal) {
+      if (col > 0 && getLetterAt(board, row, col - 1) !== null) return false;
+      if (col + len < 15 && getLetterAt(board, row, col + len) !== null) return false;
+    } else {
+      if (row > 0 && getLetterAt(board, row - 1, col) !== null) return false;
+      if (row + len < 15 && getLetterAt(board, row + len, col) !== null) return false;
+    }
+
+    for (let i = 0; i < len; i++) {
+      const r = horizontal ? row : row + i;
+      const c = horizontal ? col + i : col;
+      if (getLetterAt(board, r, c) !== null) continue;
+      const cw = crossWordAt(board, r, c, word[i], horizontal).word;
+      if (cw.length > 1 && !lexicon.has(cw)) return false;
+    }
+    return true;
+  }
+
+  function placeWord(word, row, col, horizontal) {
+    if (!lexicon.has(word)) {
+      console.warn(`Skipping invalid word: ${word}`);
+      return false;
+    }
+    for (let i = 0; i < word.length; i++) {
+      const r = horizontal ? row : row + i;
+      const c = horizontal ? col + i : col;
+      board[r][c] = word[i];
+      premiumsUsed[`${r},${c}`] = true;
+    }
+    return true;
+  }
+
+  function sharesLetter(word, row, col, horizontal) {
+    for (let i = 0; i < word.length; i++) {
+      const r = horizontal ? row : row + i;
+      const c = horizontal ? col + i : col;
+      if (getLetterAt(board, r, c) !== null) return true;
+    }
+    return false;
+  }
+
+  const firstWords = shuffle(pool.filter(w => w.length >= 3 && w.length <= 5), random);
+  let placed = false;
+  for (const w of firstWords) {
+    const col = 7 - Math.floor(w.length / 2);
+    if (col >= 0 && col + w.length <= 15) {
+      if (placeWord(w, 7, col, true)) {
+        placed = true;
+        break;
+      }
+    }
+  }
+  if (!placed) return null;
+
+  let attempts = 0;
+  while (attempts < 200) {
+    attempts++;
+    const word = pick(random, pool);
+    const tiles = [];
+    for (let r = 0; r < 15; r++)
+      for (let c = 0; c < 15; c++)
+        if (board[r][c] !== null) tiles.push({ r, c, letter: board[r][c] });
+
+    if (tiles.length === 0) break;
+    const anchor = pick(random, tiles);
+    const matchPositions = [];
+    for (let i = 0; i < word.length; i++) {
+      if (word[i] === anchor.letter) matchPositions.push(i);
+    }
+    if (matchPositions.length === 0) continue;
+
+    const matchIdx = pick(random, matchPositions);
+    const horizontal = random() < 0.5;
+    let row, col;
+    if (horizontal) {
+      row = anchor.r;
+      col = anchor.c - matchIdx;
+    } else {
+      row = anchor.r - matchIdx;
+      col = anchor.c;
+    }
+
+    if (row < 0 || col < 0) continue;
+    if (horizontal && col + word.length > 15) continue;
+    if (!horizontal && row + word.length > 15) continue;
+
+    if (canPlaceWord(word, row, col, horizontal) && sharesLetter(word, row, col, horizontal)) {
+      placeWord(word, row, col, horizontal);
+      const tileCount = tiles.length + word.length - matchPositions.filter(i => {
+        const r = horizontal ? row : row + i;
+        const c = horizontal ? col + i : col;
+        return getLetterAt(board, r, c) !== null;
+      }).length;
+      if (tileCount >= 18 && random() < 0.4) break;
+      if (tileCount >= 40) break;
+    }
+  }
+
+  // Final validation: check all words on board are valid
+  const invalid = invalidBoardWords(board, lexicon);
+  if (invalid.length > 0) {
+    console.error(`Invalid words on board: ${invalid.join(', ')}`);
+    return null; // Reject this board
+  }
+
+  return { board, premiumsUsed };
+}
+
+// Every word of two or more letters on `board` that `lexicon` lacks.
+export function invalidBoardWords(board, lexicon) {
+  return boardWords(board).filter(({ word }) => !lexicon.has(word)).map(({ word }) => word);
+}
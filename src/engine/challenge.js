@@ -0,0 +1,71 @@
+import { crossWordAt } from './board.js';
+import { checkGameEnd, winnerOf } from './game.js';
+
+// ─── CHALLENGES ─────────────────────────────────────────────────
+// Under 'double' and 'single' a play may contain phonies (see
+// validatePlacement's allowPhonies) and the next player may challenge it
+// before moving. A phony play is taken back and scores nothing either way;
+// a valid one costs the challenger their turn under 'double' and
+// SINGLE_CHALLENGE_PENALTY points per word under 'single'. 'void' rejects
+// phonies as they are played, so there is nothing to challenge.
+export const CHALLENGE_RULES = {
+  double: { label: 'Double challenge: a wrong challenge loses the turn', allowPhonies: true },
+  single: { label: 'Single challenge: a wrong challenge costs 5 points a word', allowPhonies: true },
+  void: { label: 'Void: phonies are refused as they are played', allowPhonies: false },
+};
+
+export const SINGLE_CHALLENGE_PENALTY = 5;
+
+// Every word `play` forms on `board` (the board before it): the main word
+// and the cross-word at each new tile.
+export function formedWords(board, play) {
+  const cross = play.positions
+    .map(([r, c], i) => (board[r][c] === null ? crossWordAt(board, r, c, play.word[i], play.horizontal).word : ''))
+    .filter(w => w.length > 1);
+  return [play.word, ...cross];
+}
+
+// Whether the play just made can still be challenged: only until the next
+// turn is taken, which also clears `previous`.
+export function canChallenge(game) {
+  const last = game.moves[game.moves.length - 1];
+  if (!last || !game.previous || last.challenged) return false;
+  return CHALLENGE_RULES[game.challengeRule].allowPhonies && last.move.positions.length > 0;
+}
+
+// Rules on a challenge of the last play by the other player. Returns
+// { game, words, phonies } where `words` is everything the play formed.
+export function challengeLastPlay(game, lexicon) {
+  const last = game.moves[game.moves.length - 1];
+  const challenger = 1 - last.player;
+  const before = game.previous;
+  const words = formedWords(before.board, last.move);
+  const phonies = words.filter(w => !lexicon.has(w));
+  const challenged = { ...last, challenged: true, withdrawn: phonies.length > 0 };
+
+  if (phonies.length > 0) {
+    // The tiles go back to the rack and those drawn for them to the bag.
+    const next = {
+      ...before,
+      toMove: challenger,
+      moves: [...before.moves, { ...challenged, score: 0 }],
+      scoreless: before.scoreless + 1,
+      previous: null,
+    };
+    return { game: checkGameEnd(next), words, phonies };
+  }
+
+  const moves = [...game.moves.slice(0, -1), challenged];
+  if (game.challengeRule === 'single') {
+    const scores = [...game.scores];
+    scores[challenger] -= SINGLE_CHALLENGE_PENALTY * words.length;
+    const next = { ...game, scores, moves };
+    if (next.over) next.over = { ...next.over, winner: winnerOf(scores) };
+    return { game: next, words, phonies };
+  }
+  // Double: the challenger loses the turn, which counts as a scoreless one.
+  if (game.over) return { game: { ...game, moves }, words, phonies };
+  const lost = { player: challenger, move: { word: '-', pass: true, positions: [], score: 0 }, score: 0 };
+  const next = { ...game, moves: [...moves, lost], toMove: last.player, scoreless: game.scoreless + 1, previous: null };
+  return { game: checkGameEnd(next), words, phonies };
+}
@@ -0,0 +1,64 @@
+// ─── GAME CLOCK ─────────────────────────────────────────────────
+// A two-sided clock as a plain object,
+// { used: [ms, ms], running, since, limit }: `used` is each side's time
+// already spent, `running` the side whose time is going (or null), `since`
+// when it started and `limit` each side's allowance, or null for a clock
+// that only counts up. Every function takes the current time, so nothing
+// here reads the system clock.
+
+// Time controls for full games, as each side's allowance in ms.
+export const GAME_CLOCKS = {
+  untimed: null,
+  tournament: 25 * 60 * 1000,
+};
+
+// Going over the allowance costs this many points per minute or part of
+// one, taken off at the end of the game.
+export const OVERTIME_PENALTY = 10;
+
+export function createClock(limit = null) {
+  return { used: [0, 0], running: null, since: null, limit };
+}
+
+// Stops the running side and starts `player` (null stops the clock).
+export function pressClock(clock, player, now) {
+  const used = [...clock.used];
+  if (clock.running !== null) used[clock.running] += now - clock.since;
+  return { ...clock, used, running: player, since: player === null ? null : now };
+}
+
+export function clockTime(clock, player, now) {
+  return clock.used[player] + (clock.running === player ? now - clock.since : 0);
+}
+
+// What is left of `player`'s allowance, negative once in overtime; for an
+// untimed clock, the time used.
+export function clockDisplayTime(clock, player, now) {
+  const used = clockTime(clock, player, now);
+  return clock.limit === null ? used : clock.limit - used;
+}
+
+// Points each side loses for the time it ran over its allowance.
+export function overtimePenalties(clock, now) {
+  if (clock.limit === null) return [0, 0];
+  return [0, 1].map(p => OVERTIME_PENALTY * Math.ceil(Math.max(0, clockTime(clock, p, now) - clock.limit) / 60000));
+}
+
+// "m:ss", with a minus sign for overtime. Counts down in whole seconds
+// rounded up, so a clock shows 0:00 only once it has run out.
+export function formatClock(ms) {
+  const seconds = Math.ceil(Math.abs(ms) / 1000);
+  return `${ms < 0 ? '-' : ''}${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+// ─── DRILL TIMERS ───────────────────────────────────────────────
+// Countdowns for each offense and defense round of a drill, in seconds.
+export const ROUND_TIMERS = {
+  off: null,
+  relaxed: 90,
+  standard: 60,
+  fast: 30,
+};
+
+// Lengths of a blitz session, in minutes: solve as many scenarios as you can.
+export const BLITZ_MINUTES = [3, 5, 10];
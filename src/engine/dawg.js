@@ -0,0 +1,135 @@
+// ─── WORD GRAPH ─────────────────────────────────────────────────
+// A lexicon compiles to a minimal DAWG (a trie with identical subtrees
+// shared) packed into one Uint32Array, so it can be cached as a single
+// buffer and handed to workers cheaply. Each node is a run of edges:
+//
+//   bits 0-4   letter (A = 0)
+//   bit  5     the edge ends a word
+//   bit  6     last edge of its node
+//   bits 7-31  index of the child's first edge, 0 if it has none
+//
+// A node handle is the index of the edge that leads to it; slot 0 is a
+// pseudo-edge pointing at the root, so the root handle is 0. Bump
+// DAWG_FORMAT whenever this layout changes so cached graphs are rebuilt.
+export const DAWG_FORMAT = 1;
+export const DAWG_ROOT = 0;
+
+const A = 65;
+const END = 1 << 5;
+const LAST = 1 << 6;
+
+// Incremental construction from sorted input (Daciuk et al.): once a word
+// no longer shares a prefix with the next one, its tail is final and is
+// merged with an equivalent registered node if there is one.
+export function compileDawg(words) {
+  const sorted = [...new Set(words.map(w => w.toUpperCase()))].sort();
+  const root = { edges: [], end: false, id: -1 };
+  const register = new Map();
+  const unchecked = [];
+  let nextId = 0;
+  let prev = '';
+
+  const minimize = (downTo) => {
+    while (unchecked.length > downTo) {
+      const [parent, child] = unchecked.pop();
+      const key = (child.end ? '$' : '') + child.edges.map(([l, n]) => l + n.id).join(',');
+      const known = register.get(key);
+      if (known) parent.edges[parent.edges.length - 1][1] = known;
+      else { child.id = nextId++; register.set(key, child); }
+    }
+  };
+
+  for (const word of sorted) {
+    let common = 0;
+    while (common < word.length && common < prev.length && word[common] === prev[common]) common++;
+    minimize(common);
+    let node = unchecked.length ? unchecked[unchecked.length - 1][1] : root;
+    for (let i = common; i < word.length; i++) {
+      const child = { edges: [], end: false, id: -1 };
+      node.edges.push([word[i], child]);
+      unchecked.push([node, child]);
+      node = child;
+    }
+    node.end = true;
+    prev = word;
+  }
+  minimize(0);
+
+  // Lay the nodes out breadth-first, root first, then fill in the edges.
+  const start = new Map();
+  const order = [];
+  let size = 1;
+  const queue = [root];
+  start.set(root, 0);
+  for (let i = 0; i < queue.length; i++) {
+    const node = queue[i];
+    if (node.edges.length === 0) continue;
+    start.set(node, size);
+    order.push(node);
+    size += node.edges.length;
+    node.edges.forEach(([, child]) => {
+      if (!start.has(child)) { start.set(child, 0); queue.push(child); }
+    });
+  }
+
+  const edges = new Uint32Array(size);
+  edges[0] = start.get(root) << 7;
+  order.forEach(node => {
+    const base = start.get(node);
+    node.edges.forEach(([letter, child], i) => {
+      edges[base + i] = (letter.charCodeAt(0) - A)
+        | (child.end ? END : 0)
+        | (i === node.edges.length - 1 ? LAST : 0)
+        | (start.get(child) << 7);
+    });
+  });
+  return edges;
+}
+
+// Node after `letter` (either case) from `node`, or -1.
+export function dawgChild(edges, node, letter) {
+  let i = edges[node] >>> 7;
+  if (i === 0) return -1;
+  const code = (letter.charCodeAt(0) & ~32) - A;
+  for (;;) {
+    const e = edges[i];
+    if ((e & 31) === code) return i;
+    if (e & LAST) return -1;
+    i++;
+  }
+}
+
+export function dawgIsWord(edges, node) {
+  return (edges[node] & END) !== 0;
+}
+
+// Walks `letters` down from `node`; case-insensitive so that designated
+// blanks (lower-case letters) follow the same path as real tiles.
+export function dawgWalk(edges, node, letters) {
+  for (let i = 0; i < letters.length && node !== -1; i++) node = dawgChild(edges, node, letters[i]);
+  return node;
+}
+
+// Calls `visit(letter, child)` for every edge out of `node`.
+export function dawgEachChild(edges, node, visit) {
+  let i = edges[node] >>> 7;
+  if (i === 0) return;
+  for (;;) {
+    const e = edges[i];
+    visit(String.fromCharCode(A + (e & 31)), i);
+    if (e & LAST) return;
+    i++;
+  }
+}
+
+// Every word in the graph, in alphabetical order.
+export function dawgWords(edges) {
+  const words = [];
+  const walk = (node, prefix) => dawgEachChild(edges, node, (letter, child) => {
+    const word = prefix + letter;
+    if (dawgIsWord(edges, child)) words.push(word);
+    walk(child, word);
+  });
+  walk(DAWG_ROOT, '');
+  return words;
+}
@@ -0,0 +1,96 @@
+import { BOARD_SIZE, getPremium, TW_SQUARES } from './board.js';
+import { squareName } from './notation.js';
+
+const BLOCK_POINTS = { TW: 60, DW: 25, TL: 15, DL: 8 };
+const LANE_REACH = 5;
+const LANE_PENALTY = 12;
+const CENTRALITY_WEIGHT = 1.5;
+const LENGTH_WEIGHT = 2;
+
+// ─── DEFENSE HEURISTIC ──────────────────────────────────────────
+// Higher is better: reward soaking up premium squares, penalise opening
+// lanes to the triple-word corners and sprawling away from the centre.
+// The breakdown itemises every term; `total` is the defense score.
+//   blocks      premium squares the new tiles cover, with their bonus
+//   lanes       each new tile within reach of a TW square along its line
+//   centrality  distance penalty for each new tile
+//   length      penalty for the length of the main word
+//   opens       empty DW/TW squares next to the new tiles that had no
+//               neighbour before; reported only, they carry no points
+export function defenseBreakdown(play, board) {
+  const newTiles = play.positions.filter(([r, c]) => board[r][c] === null);
+
+  const blocks = [];
+  newTiles.forEach(([r, c]) => {
+    const prem = getPremium(r, c);
+    if (prem) blocks.push({ r, c, premium: prem, points: BLOCK_POINTS[prem] });
+  });
+
+  const lanes = [];
+  newTiles.forEach(([r, c]) => {
+    TW_SQUARES.forEach(([tr, tc]) => {
+      if ((r === tr || c === tc) && Math.abs(r - tr) + Math.abs(c - tc) <= LANE_REACH) {
+        lanes.push({ r, c, tw: [tr, tc], points: -LANE_PENALTY });
+      }
+    });
+  });
+
+  const centralitySquares = newTiles.map(([r, c]) => {
+    const dist = Math.abs(r - 7) + Math.abs(c - 7);
+    return { r, c, dist, points: -dist * CENTRALITY_WEIGHT };
+  });
+  const centrality = centralitySquares.reduce((sum, sq) => sum + sq.points, 0);
+
+  const length = -play.word.length * LENGTH_WEIGHT;
+
+  const covered = new Set(play.positions.map(([r, c]) => `${r},${c}`));
+  const hasNeighbour = (r, c) => [[r-1,c],[r+1,c],[r,c-1],[r,c+1]].some(([nr, nc]) =>
+    nr >= 0 && nr < BOARD_SIZE && nc >= 0 && nc < BOARD_SIZE && board[nr][nc] !== null);
+  const opens = [];
+  const seen = new Set();
+  newTiles.forEach(([r, c]) => {
+    [[r-1,c],[r+1,c],[r,c-1],[r,c+1]].forEach(([nr, nc]) => {
+      const key = `${nr},${nc}`;
+      if (nr < 0 || nr >= BOARD_SIZE || nc < 0 || nc >= BOARD_SIZE || seen.has(key)) return;
+      if (board[nr][nc] !== null || covered.has(key)) return;
+      const prem = getPremium(nr, nc);
+      if ((prem === 'TW' || prem === 'DW') && !hasNeighbour(nr, nc)) {
+        seen.add(key);
+        opens.push({ r: nr, c: nc, premium: prem });
+      }
+    });
+  });
+
+  // Summed term by term in the heuristic's original order.
+  let total = 0;
+  blocks.forEach(b => { total += b.points; });
+  lanes.forEach(l => { total += l.points; });
+  centralitySquares.forEach(sq => { total += sq.points; });
+  total += length;
+
+  return { blocks, lanes, opens, centrality, centralitySquares, length, total };
+}
+
+export function defenseScore(play, board) {
+  return defenseBreakdown(play, board).total;
+}
+
+const signed = (n) => `${n >= 0 ? '+' : '−'}${Math.abs(n).toFixed(n % 1 ? 1 : 0)}`;
+
+// One short sentence per term of the breakdown.
+export function explainDefense(breakdown) {
+  const lines = [];
+  breakdown.blocks.forEach(b => lines.push(`Blocks the ${b.premium} at ${squareName(b.r, b.c)} (${signed(b.points)})`));
+
+  const byLane = {};
+  breakdown.lanes.forEach(l => {
+    const key = squareName(l.tw[0], l.tw[1]);
+    byLane[key] = (byLane[key] || 0) + l.points;
+  });
+  Object.entries(byLane).forEach(([tw, points]) => lines.push(`Puts the TW at ${tw} within reach (${signed(points)})`));
+
+  breakdown.opens.forEach(o => lines.push(`Opens the ${o.premium} at ${squareName(o.r, o.c)} for the opponent`));
+  if (breakdown.centrality) lines.push(`Tiles sit away from the centre (${signed(breakdown.centrality)})`);
+  lines.push(`Word length penalty (${signed(breakdown.length)})`);
+  return lines;
+}
@@ -0,0 +1,44 @@
+import { playCoordinate, formatPlay } from './notation.js';
+import { formatBoardText } from './boardText.js';
+import { encodePositionCode } from './scenarioCode.js';
+
+// ─── DRILL EXPORT ───────────────────────────────────────────────
+// Plain-text write-ups of a finished drill for pasting into chat. `drill`
+// is { scenario, offense, bestOffense, defense, bestDefense }, each play
+// carrying word, positions and score as everywhere else in the engine.
+
+// A play as .gcg spells it: tiles already on the board become '.'.
+// Exchanges and passes are already in .gcg form.
+export function gcgMove(play, board) {
+  if (play.positions.length === 0) return play.word;
+  const word = [...play.word].map((letter, i) => {
+    const [r, c] = play.positions[i];
+    return board[r][c] !== null ? '.' : letter;
+  }).join('');
+  return `${playCoordinate(play)} ${word}`;
+}
+
+export function drillNotation({ scenario, offense, bestOffense, defense, bestDefense }) {
+  const lines = [
+    `Scenario ${scenario.code}${scenario.lexicon ? ` (${scenario.lexicon})` : ''} · rack ${scenario.rack.join('')}`,
+    `Offense: mine ${formatPlay(offense)} · best ${formatPlay(bestOffense)}`,
+    `Defense: mine ${formatPlay(defense)} · best ${formatPlay(bestDefense)}`,
+    '',
+    formatBoardText(scenario.board, scenario.rack),
+  ];
+  return lines.join('\n');
+}
+
+// A one-turn .gcg: the best offense is the move, the other answers go in
+// the #note that follows it, since .gcg has no way to list alternatives.
+// The board itself only travels as a position code in the header note.
+export function drillGcg({ scenario, offense, bestOffense, defense, bestDefense }) {
+  return [
+    '#character-encoding UTF-8',
+    `#description Drill ${scenario.code}${scenario.lexicon ? ` (${scenario.lexicon})` : ''}`,
+    '#player1 player Player',
+    `#note Position ${encodePositionCode(scenario.board, scenario.rack)}`,
+    `>player: ${scenario.rack.join('')} ${gcgMove(bestOffense, scenario.board)} +${bestOffense.score} ${bestOffense.score}`,
+    `#note Best offense. Mine: ${formatPlay(offense)}. Best defense: ${formatPlay(bestDefense)}. Mine: ${formatPlay(defense)}.`,
+  ].join('\n') + '\n';
+}
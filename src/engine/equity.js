@@ -0,0 +1,22 @@
+import { tileOf } from './bag.js';
+import { leaveValue } from './leaves.js';
+
+// ─── EQUITY ─────────────────────────────────────────────────────
+// Tiles still on the rack after `play`. Letters the play puts on empty
+// squares come off the rack; lower-case letters came from a blank.
+export function playLeave(play, rack, board) {
+  const leave = [...rack];
+  play.positions.forEach(([r, c], i) => {
+    if (board[r][c] !== null) return;
+    const idx = leave.indexOf(tileOf(play.word[i]));
+    if (idx !== -1) leave.splice(idx, 1);
+  });
+  return leave;
+}
+
+// Score plus the value of what's left on the rack.
+export function playEquity(play, rack, board) {
+  const leave = playLeave(play, rack, board);
+  const value = leaveValue(leave);
+  return { leave, leaveValue: value, equity: play.score + value };
+}
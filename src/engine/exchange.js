@@ -0,0 +1,42 @@
+import { leaveValue } from './leaves.js';
+import { unseenTiles } from './bag.js';
+
+// ─── EXCHANGES AND PASSES ───────────────────────────────────────
+// Turns that place no tiles, shaped like plays so they can sit beside them:
+// no positions, a score of 0 and `word` in .gcg notation ("-ABC" for an
+// exchange, "-" for a pass). An exchange's equity is the value of what is
+// kept. A pass keeps the whole rack too, but only by giving up the turn, so
+// it is valued at nothing: any play or exchange worth having beats it.
+
+// An exchange needs at least this many tiles left in the bag.
+export const MIN_BAG_FOR_EXCHANGE = 7;
+
+// Tiles in the bag, given that the opponent holds a full rack of the unseen.
+export function bagSize(board, rack) {
+  const unseen = unseenTiles(board, rack);
+  const total = Object.values(unseen).reduce((n, k) => n + k, 0);
+  return Math.max(0, total - 7);
+}
+
+export function exchangeMove(rack, exchanged) {
+  const keep = [...rack];
+  exchanged.forEach(t => keep.splice(keep.indexOf(t), 1));
+  const value = leaveValue(keep);
+  return { word: `-${exchanged.join('')}`, exchange: [...exchanged], positions: [], score: 0, leave: keep, leaveValue: value, equity: value };
+}
+
+export function passMove(rack) {
+  return { word: '-', pass: true, positions: [], score: 0, leave: [...rack], leaveValue: leaveValue(rack), equity: 0 };
+}
+
+// Tries every way of keeping part of the rack (at least one tile goes back)
+// and returns the exchange with the best leave.
+export function findBestExchange(rack) {
+  let best = null;
+  for (let mask = 0; mask < (1 << rack.length) - 1; mask++) {
+    const exchanged = rack.filter((_, i) => !(mask & (1 << i)));
+    const move = exchangeMove(rack, exchanged);
+    if (!best || move.equity > best.equity) best = move;
+  }
+  return best;
+}
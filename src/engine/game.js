@@ -0,0 +1,152 @@
+import { TV, createBoard, applyPlay } from './board.js';
+import { TILE_DISTRIBUTION, tileOf, bagFromCounts, drawTiles } from './bag.js';
+import { findAllValidPlays } from './movegen.js';
+import { playEquity } from './equity.js';
+import { MIN_BAG_FOR_EXCHANGE, passMove, findBestExchange } from './exchange.js';
+import { pick, randomInt } from './rng.js';
+
+// ─── FULL GAMES ─────────────────────────────────────────────────
+// A two-player game from a full bag. The state is a plain object that
+// every function here copies rather than changes:
+//   { board, premiumsUsed, bag, racks: [r0, r1], scores: [s0, s1],
+//     toMove, moves, scoreless, over, challengeRule, previous }
+// `moves` lists each turn as { player, move, score } with `move` a play,
+// an exchangeMove or a passMove. `scoreless` counts the scoreless turns in
+// a row and `over` stays null until the game ends, then holds
+// { reason: 'out' | 'scoreless', adjustments: [a0, a1], winner } with
+// `winner` null for a tie; time penalties add `timePenalties: [t0, t1]`. `challengeRule` is a CHALLENGE_RULES key (see
+// challenge.js) and `previous` the state before the last turn, which a
+// successful challenge goes back to.
+
+// Six scoreless turns in a row (passes, exchanges or zero-point plays) end
+// the game.
+export const MAX_SCORELESS_TURNS = 6;
+
+// How an engine opponent picks its move, weakest first.
+export const OPPONENT_LEVELS = {
+  random: { label: 'Random legal move' },
+  casual: { label: 'One of the five highest scores' },
+  score: { label: 'Highest score' },
+  equity: { label: 'Best equity' },
+};
+
+// Whether the player to move may exchange: the bag must hold enough tiles.
+export function exchangeAllowed(game) {
+  return game.bag.length >= MIN_BAG_FOR_EXCHANGE;
+}
+
+export function rackValue(rack) {
+  return rack.reduce((n, t) => n + TV[t], 0);
+}
+
+export function newGame(random = Math.random, { challengeRule = 'void' } = {}) {
+  let bag = bagFromCounts(TILE_DISTRIBUTION);
+  const racks = [];
+  for (let p = 0; p < 2; p++) {
+    const draw = drawTiles(bag, 7, random);
+    racks.push(draw.drawn);
+    bag = draw.bag;
+  }
+  return { board: createBoard(), premiumsUsed: {}, bag, racks, scores: [0, 0], toMove: 0, moves: [], scoreless: 0, over: null, challengeRule, previous: null };
+}
+
+// Ends the game if the last turn left a rack empty or made six scoreless
+// turns in a row.
+export function checkGameEnd(game) {
+  if (game.over || game.moves.length === 0) return game;
+  if (game.racks[game.moves[game.moves.length - 1].player].length === 0) return finishGame(game, 'out');
+  if (game.scoreless >= MAX_SCORELESS_TURNS) return finishGame(game, 'scoreless');
+  return game;
+}
+
+// Rack penalties: when a player goes out they gain the value of the tiles
+// left on the other rack, which that player loses. After six scoreless
+// turns everyone loses the value of their own rack.
+function finishGame(game, reason) {
+  const values = game.racks.map(rackValue);
+  const adjustments = reason === 'out'
+    ? values.map((v, p) => (p === game.moves[game.moves.length - 1].player ? values[1 - p] : -v))
+    : values.map(v => -v);
+  const scores = game.scores.map((s, p) => s + adjustments[p]);
+  return { ...game, scores, over: { reason, adjustments, winner: winnerOf(scores) } };
+}
+
+// The player ahead on `scores`, or null for a tie.
+export function winnerOf(scores) {
+  return scores[0] === scores[1] ? null : scores[0] > scores[1] ? 0 : 1;
+}
+
+// Takes time penalties (see clock.js) off the scores of a finished game;
+// `over.timePenalties` records them.
+export function applyTimePenalties(game, penalties) {
+  const scores = game.scores.map((s, p) => s - penalties[p]);
+  return { ...game, scores, over: { ...game.over, timePenalties: penalties, winner: winnerOf(scores) } };
+}
+
+// Plays `move` for the player to move: a placement (as returned by
+// validatePlacement or findAllValidPlays), an exchange or a pass. The
+// caller is expected to have checked it; tiles come off the rack and the
+// rack is refilled from the bag.
+export function applyTurn(game, move, random = Math.random) {
+  if (game.over) return game;
+  const p = game.toMove;
+  const racks = [...game.racks];
+  const scores = [...game.scores];
+  let { board, bag } = game;
+  let premiumsUsed = game.premiumsUsed;
+
+  if (move.exchange) {
+    const keep = [...racks[p]];
+    move.exchange.forEach(t => keep.splice(keep.indexOf(t), 1));
+    const draw = drawTiles(bag, move.exchange.length, random);
+    racks[p] = [...keep, ...draw.drawn];
+    bag = [...draw.bag, ...move.exchange];
+  } else if (!move.pass) {
+    const rack = [...racks[p]];
+    premiumsUsed = { ...premiumsUsed };
+    move.positions.forEach(([r, c], i) => {
+      premiumsUsed[`${r},${c}`] = true;
+      if (board[r][c] !== null) return;
+      const idx = rack.indexOf(tileOf(move.word[i]));
+      if (idx !== -1) rack.splice(idx, 1);
+    });
+    board = applyPlay(board, move);
+    scores[p] += move.score;
+    const draw = drawTiles(bag, 7 - rack.length, random);
+    racks[p] = [...rack, ...draw.drawn];
+    bag = draw.bag;
+  }
+
+  const next = {
+    ...game,
+    board, premiumsUsed, bag, racks, scores,
+    toMove: 1 - p,
+    moves: [...game.moves, { player: p, move, score: move.score }],
+    scoreless: move.score === 0 ? game.scoreless + 1 : 0,
+    previous: { ...game, previous: null },
+  };
+  return checkGameEnd(next);
+}
+
+// The move an engine opponent at `level` (an OPPONENT_LEVELS key) makes for
+// the player to move. With no play on the board it exchanges while the bag
+// allows and passes otherwise; at 'equity' an exchange also competes with
+// the plays on leave value.
+export function engineTurn(game, lexicon, level = 'equity', random = Math.random) {
+  const rack = game.racks[game.toMove];
+  const canExchange = exchangeAllowed(game);
+  const plays = findAllValidPlays(game.board, rack, game.premiumsUsed, lexicon);
+  if (plays.length === 0) return canExchange ? findBestExchange(rack) : passMove(rack);
+
+  if (level === 'random') return pick(random, plays);
+  if (level === 'casual' || level === 'score') {
+    const byScore = [...plays].sort((a, b) => b.score - a.score);
+    return level === 'score' ? byScore[0] : byScore[randomInt(random, Math.min(5, byScore.length))];
+  }
+
+  const best = plays
+    .map(p => ({ ...p, ...playEquity(p, rack, game.board) }))
+    .reduce((a, b) => (b.equity > a.equity ? b : a));
+  const exchange = canExchange ? findBestExchange(rack) : null;
+  return exchange && exchange.equity > best.equity ? exchange : best;
+}
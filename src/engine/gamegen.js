@@ -0,0 +1,86 @@
+import { createBoard, applyPlay } from './board.js';
+import { TILE_DISTRIBUTION, bagFromCounts, drawTiles } from './bag.js';
+import { findAllValidPlays } from './movegen.js';
+import { playEquity } from './equity.js';
+import { randomInt } from './rng.js';
+
+// ─── SIMULATED GAMES ────────────────────────────────────────────
+// Builds a position by letting two engine players play a real game from
+// a full bag, so boards come with bingos, hooks, parallel plays and a
+// score. Each phase is a range of turns played before the position is
+// handed to the player to move.
+export const GAME_PHASES = {
+  early: { turns: [2, 4] },
+  mid: { turns: [6, 10] },
+  late: { turns: [12, 16] },
+};
+
+// Engine players take the best play by equity most of the time and one of
+// the next few otherwise, so games from different seeds drift apart.
+function choosePlay(plays, rack, board, random) {
+  const ranked = plays
+    .map(p => ({ play: p, equity: playEquity(p, rack, board) }))
+    .sort((a, b) => b.equity.equity - a.equity.equity);
+  const idx = random() < 0.7 ? 0 : randomInt(random, Math.min(4, ranked.length));
+  return ranked[idx];
+}
+
+// Plays out `phase` from the opening. Returns
+//   { board, premiumsUsed, rack, opponentRack, bag, scores, turn, moves }
+// where `rack` belongs to the player to move, `scores` is
+// { player, opponent } from their side and `moves` lists every turn as
+// { player, play } | { player, exchange } | { player, pass }.
+export function playOutGame(lexicon, { phase = 'mid', random = Math.random } = {}) {
+  const [min, max] = GAME_PHASES[phase].turns;
+  const turns = min + randomInt(random, max - min + 1);
+
+  let board = createBoard();
+  const premiumsUsed = {};
+  let bag = bagFromCounts(TILE_DISTRIBUTION);
+  const racks = [];
+  for (let p = 0; p < 2; p++) {
+    const draw = drawTiles(bag, 7, random);
+    racks.push(draw.drawn);
+    bag = draw.bag;
+  }
+  const scores = [0, 0];
+  const moves = [];
+
+  let turn = 0;
+  for (; turn < turns; turn++) {
+    const p = turn % 2;
+    const rack = racks[p];
+    const plays = findAllValidPlays(board, rack, premiumsUsed, lexicon);
+
+    if (plays.length > 0) {
+      const { play, equity } = choosePlay(plays, rack, board, random);
+      play.positions.forEach(([r, c]) => { premiumsUsed[`${r},${c}`] = true; });
+      board = applyPlay(board, play);
+      scores[p] += play.score;
+      const draw = drawTiles(bag, 7 - equity.leave.length, random);
+      racks[p] = [...equity.leave, ...draw.drawn];
+      bag = draw.bag;
+      moves.push({ player: p, play });
+      if (racks[p].length === 0) { turn++; break; } // Went out
+    } else if (bag.length >= 7) {
+      const draw = drawTiles(bag, 7, random);
+      racks[p] = draw.drawn;
+      bag = [...draw.bag, ...rack];
+      moves.push({ player: p, exchange: rack });
+    } else {
+      moves.push({ player: p, pass: true });
+    }
+  }
+
+  const toMove = turn % 2;
+  return {
+    board,
+    premiumsUsed,
+    rack: racks[toMove],
+    opponentRack: racks[1 - toMove],
+    bag,
+    scores: { player: scores[toMove], opponent: scores[1 - toMove] },
+    turn,
+    moves,
+  };
+}
@@ -0,0 +1,88 @@
+import { createBoard, cloneBoard, BOARD_SIZE } from './board.js';
+import { BLANK } from './bag.js';
+import { parseCoordinate } from './notation.js';
+
+// ─── GCG IMPORT ─────────────────────────────────────────────────
+// Reads an annotated game in the .gcg format and replays it onto a board:
+//   #player1 alice Alice Smith
+//   >alice: AEINRST 8D RETAINS +74 74
+//   >bob: ?DEIOUX E5 OX.DIsE +44 44      '.' plays through a tile
+//   >alice: EIO -EIO +0 74                exchange ('-' alone is a pass)
+//   >bob: ?DEIOU -- -44 0                 phony taken back
+//   >alice: (challenge) +5 79 | (time) -10 | (DG) +6   score-only lines
+// Returns { players, turns } or { error }. Each turn that shows a rack
+// is { number, player, rack, board, move }, with `board` as it stood
+// before the move, so any of them can be drilled.
+
+const RACK_PATTERN = /^[A-Z?]{1,7}$/i;
+
+function parseRack(text) {
+  return [...text.toUpperCase()].map(t => (t === '?' ? BLANK : t));
+}
+
+export function parseGcg(text) {
+  const players = [];
+  const turns = [];
+  let board = createBoard();
+  let lastPlay = null; // New squares of the latest play, in case it is taken back
+
+  const lines = text.split(/\r?\n/);
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim();
+    const fail = (message) => ({ error: `Line ${i + 1}: ${message}` });
+
+    const pragma = /^#player([12])\s+(\S+)/.exec(line);
+    if (pragma) { players[Number(pragma[1]) - 1] = pragma[2]; continue; }
+    if (!line.startsWith('>')) continue; // Other pragmas and notes
+
+    const event = /^>([^:]+):\s*(.*)$/.exec(line);
+    if (!event) return fail('expected ">player: ...".');
+    const player = event[1].trim();
+    const tokens = event[2].split(/\s+/).filter(Boolean);
+    const rack = tokens.length > 0 && RACK_PATTERN.test(tokens[0]) ? tokens.shift() : null;
+    const [action = '', ...rest] = tokens;
+    const move = tokens.join(' ');
+
+    if (action.startsWith('(')) continue; // Challenge bonus, time penalty, end-of-game rack
+    if (action === '--') {
+      if (!lastPlay) return fail('a phony is taken back but there is no play to remove.');
+      lastPlay.forEach(([r, c]) => { board[r][c] = null; });
+      lastPlay = null;
+      continue;
+    }
+
+    if (rack) turns.push({ number: turns.length + 1, player, rack: parseRack(rack), board: cloneBoard(board), move });
+    if (action.startsWith('-')) { lastPlay = null; continue; } // Pass or exchange
+
+    const coordinate = parseCoordinate(action);
+    const word = rest[0];
+    if (!coordinate || !word) return fail(`cannot read the move "${move}".`);
+
+    const { row, col, horizontal } = coordinate;
+    const next = cloneBoard(board);
+    const placed = [];
+    for (let k = 0; k < word.length; k++) {
+      const r = horizontal ? row : row + k;
+      const c = horizontal ? col + k : col;
+      if (r >= BOARD_SIZE || c >= BOARD_SIZE) return fail(`${action} ${word} runs off the board.`);
+      const existing = board[r][c];
+      if (word[k] === '.') {
+        if (existing === null) return fail(`${action} ${word} plays through an empty square.`);
+      } else if (existing !== null) {
+        // Some programs spell out played-through tiles instead of using '.'.
+        if (existing.toUpperCase() !== word[k].toUpperCase()) return fail(`${action} ${word} clashes with ${existing} on the board.`);
+      } else if (/^[A-Za-z]$/.test(word[k])) {
+        next[r][c] = word[k];
+        placed.push([r, c]);
+      } else {
+        return fail(`"${word}" is not a word.`);
+      }
+    }
+    if (placed.length === 0) return fail(`${action} ${word} places no tiles.`);
+    board = next;
+    lastPlay = placed;
+  }
+
+  if (turns.length === 0) return { error: 'No moves with a rack were found.' };
+  return { players, turns };
+}
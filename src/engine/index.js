@@ -0,0 +1,29 @@
+// Framework-free rules engine: nothing in here may import React or touch
+// the DOM, so it can run in a worker, a script or under plain Node.
+export { TV, BOARD_SIZE, CENTER, TW_SQUARES, BOARD_TEMPLATE, getPremium, createBoard, cloneBoard, getLetterAt, applyPlay, isBoardEmpty, crossWordAt, boardWords } from './board.js';
+export { parseWordList, createLexicon, lexiconFromDawg } from './lexicon.js';
+export { DAWG_FORMAT, DAWG_ROOT, compileDawg, dawgChild, dawgIsWord, dawgWalk, dawgEachChild, dawgWords } from './dawg.js';
+export { BLANK, isDesignatedBlank, tileOf, TILE_DISTRIBUTION, countTiles, boardTiles, subtractTiles, bagFromCounts, drawTiles, unseenTiles } from './bag.js';
+export { scoreOneWord, scorePlay } from './scoring.js';
+export { defenseScore, defenseBreakdown, explainDefense } from './defense.js';
+export { LEAVE_TABLE, leaveValue } from './leaves.js';
+export { playLeave, playEquity } from './equity.js';
+export { MIN_BAG_FOR_EXCHANGE, bagSize, exchangeMove, passMove, findBestExchange } from './exchange.js';
+export { findAllValidPlays } from './movegen.js';
+export { validatePlacement } from './validate.js';
+export { simulatePlays } from './simulation.js';
+export { buildConnectedBoard, invalidBoardWords } from './boardgen.js';
+export { GAME_PHASES, playOutGame } from './gamegen.js';
+export { MAX_SCORELESS_TURNS, OPPONENT_LEVELS, exchangeAllowed, rackValue, newGame, applyTurn, checkGameEnd, winnerOf, applyTimePenalties, engineTurn } from './game.js';
+export { CHALLENGE_RULES, SINGLE_CHALLENGE_PENALTY, formedWords, canChallenge, challengeLastPlay } from './challenge.js';
+export { GAME_CLOCKS, OVERTIME_PENALTY, ROUND_TIMERS, BLITZ_MINUTES, createClock, pressClock, clockTime, clockDisplayTime, overtimePenalties, formatClock } from './clock.js';
+export { analyzePosition, generateScenario, generateGameScenario, generateSeededScenario, TAGGED_ATTEMPTS, generateTaggedScenario, scenarioFromCode, checkPosition } from './scenario.js';
+export { parseGcg } from './gcg.js';
+export { parseBoardText, formatBoardText } from './boardText.js';
+export { gcgMove, drillNotation, drillGcg } from './drillExport.js';
+export { encodeSeedCode, encodePositionCode, decodeScenarioCode } from './scenarioCode.js';
+export { playCoordinate, squareName, formatPlay, moveLabel, parseCoordinate, samePlay, rankOf } from './notation.js';
+export { SKILLS, playSkills, scenarioSkills, SCENARIO_TAGS, scenarioTags } from './skills.js';
+export { skillProfile, REVIEW_INTERVALS, reviewSchedule, dueReviews, focusWeight, weakestSkill } from './learner.js';
+export { WORD_DRILLS, BINGO_TIERS, findBingos, wordsFromRack, hookWords, makeWordDrill, gradeWordList } from './wordDrills.js';
+export { createRng, randomSeed, randomInt, pick, shuffle } from './rng.js';
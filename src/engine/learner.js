@@ -0,0 +1,82 @@
+import { SKILLS, playSkills } from './skills.js';
+
+// ─── LEARNER MODEL ──────────────────────────────────────────────
+// Everything here is worked out from the round history (see
+// storage/history.js), so there is no separate state to keep in step.
+
+// Only the most recent rounds count towards a skill, so old mistakes fade.
+const SKILL_WINDOW = 100;
+
+// How often each skill came up in the recent rounds and how often the
+// user missed it: the best play used it, the user's answer didn't, and the
+// answer wasn't graded right. `weakness` is the smoothed miss rate, 0.5
+// for a skill not seen yet. Returns { [skill]: { seen, missed, weakness } }.
+export function skillProfile(history) {
+  const profile = {};
+  Object.keys(SKILLS).forEach(s => { profile[s] = { seen: 0, missed: 0 }; });
+
+  history.slice(-SKILL_WINDOW).forEach(round => {
+    const sides = {
+      offense: { answer: round.offense, best: round.offense.grading === 'equity' ? round.bestEquity : round.bestOffensive },
+      defense: { answer: round.defense, best: round.bestDefensive },
+    };
+    Object.entries(sides).forEach(([side, { answer, best }]) => {
+      if (!best) return;
+      const shown = playSkills(answer, round.board);
+      playSkills(best, round.board).forEach(s => {
+        if (SKILLS[s].side !== side) return;
+        profile[s].seen++;
+        if (!answer.match && !shown.includes(s)) profile[s].missed++;
+      });
+    });
+  });
+
+  Object.values(profile).forEach(p => { p.weakness = (p.missed + 1) / (p.seen + 2); });
+  return profile;
+}
+
+// ─── SPACED REPETITION ──────────────────────────────────────────
+// A position answered wrong comes back after the first interval and each
+// right answer after that pushes it back by the next one; once every
+// interval has been passed the position is done. A new miss starts over.
+export const REVIEW_INTERVALS = [10 * 60 * 1000, 24 * 60 * 60 * 1000, 3 * 24 * 60 * 60 * 1000, 7 * 24 * 60 * 60 * 1000];
+
+// Every missed position of `lexicon` still on the schedule, soonest first,
+// as { code, due, streak }: `due` is a timestamp and `streak` the right
+// answers since the last miss.
+export function reviewSchedule(history, lexicon) {
+  const positions = new Map();
+  history.forEach(round => {
+    if (!round.code || round.lexicon !== lexicon) return;
+    const at = Date.parse(round.at);
+    const missed = !(round.offense.match && round.defense.match);
+    const entry = positions.get(round.code);
+    if (missed) positions.set(round.code, { code: round.code, streak: 0, due: at + REVIEW_INTERVALS[0] });
+    else if (entry) positions.set(round.code, { code: round.code, streak: entry.streak + 1, due: at + REVIEW_INTERVALS[entry.streak + 1] });
+  });
+  return [...positions.values()]
+    .filter(p => p.streak < REVIEW_INTERVALS.length)
+    .sort((a, b) => a.due - b.due);
+}
+
+// The positions whose review is due at `now`.
+export function dueReviews(history, lexicon, now) {
+  return reviewSchedule(history, lexicon).filter(p => p.due <= now);
+}
+
+// ─── ADAPTIVE CHOICE ────────────────────────────────────────────
+// How much more likely a scenario is to be picked for each unit of
+// weakness in the skills it asks for.
+const FOCUS_BIAS = 4;
+
+// The pick weight of a scenario asking for `skills` when `focus` maps
+// skills to weaknesses (as in skillProfile).
+export function focusWeight(skills, focus) {
+  return 1 + FOCUS_BIAS * skills.reduce((n, s) => n + (focus[s] || 0), 0);
+}
+
+// The skill `focus` rates weakest, which a focused request looks for first;
+// null for an empty focus.
+export function weakestSkill(focus) {
+  return Object.keys(focus).reduce((weakest, s) => (weakest === null || focus[s] > focus[weakest] ? s : weakest), null);
+}
@@ -0,0 +1,59 @@
+import { BLANK } from './bag.js';
+
+// ─── RACK LEAVE VALUES ──────────────────────────────────────────
+// Approximate equity, in points, of keeping a set of tiles for next turn.
+// Keys are the leave's tiles sorted by char code, so a blank ('?') sorts
+// first. The table carries every single tile plus the duplicates and
+// combinations that stray furthest from the sum of their parts; anything
+// else falls back to a heuristic built from the single-tile values.
+export const LEAVE_TABLE = {
+  '': 0,
+  '?': 25.6, A: 1.0, B: -2.0, C: 0.9, D: 0.5, E: 3.5, F: -2.2, G: -2.9, H: 1.1, I: -0.5,
+  J: -1.5, K: -0.5, L: -0.2, M: 0.6, N: 0.2, O: -1.5, P: -0.5, Q: -6.8, R: 1.1, S: 8.0,
+  T: -0.1, U: -4.5, V: -5.5, W: -3.8, X: 3.3, Y: -0.6, Z: 5.1,
+
+  '??': 45.0, AA: -3.0, EE: 1.5, II: -7.0, OO: -5.0, UU: -11.0, SS: 10.5,
+  BB: -7.5, CC: -6.5, DD: -3.5, FF: -5.0, GG: -8.5, LL: -2.5, MM: -3.5, NN: -4.0,
+  PP: -5.5, RR: -3.0, TT: -4.0, VV: -16.0, WW: -12.0, YY: -8.0,
+  III: -16.0, UUU: -22.0, OOO: -13.0, AAA: -10.0, EEE: -3.0,
+
+  QU: -1.5, ES: 12.8, ER: 5.9, RS: 10.2, ST: 8.8, EST: 12.6, ERS: 15.0, EIS: 11.5,
+  ERT: 6.5, AER: 5.8, AES: 11.0, EIR: 4.0, EN: 4.4, IN: 0.4, GIN: 4.0,
+  EIN: 3.7, EINR: 7.6, EINS: 13.5, EINT: 6.8, AEINR: 9.8, AEINS: 15.5, AEINT: 10.5,
+  AEIRST: 28.0, EINRST: 29.0, AEINST: 27.5, AEIRT: 11.2, ADEIRS: 21.0,
+  ERST: 15.5, AEST: 14.0, AERS: 15.0, '?E': 29.5, '?S': 33.0, '?ES': 37.0,
+  CK: 1.0, CH: 2.5, IQU: -2.0, IQ: -9.5,
+};
+
+const VOWELS = 'AEIOU';
+
+// Duplicates cost more the more copies there are; vowel-heavy and
+// consonant-heavy leaves both score worse than a balanced one; a Q with
+// no U to go with it gets an extra penalty.
+function heuristicLeave(tiles) {
+  let value = 0;
+  const counts = {};
+  for (const t of tiles) {
+    value += LEAVE_TABLE[t] || 0;
+    counts[t] = (counts[t] || 0) + 1;
+  }
+  for (const t in counts) {
+    if (t === BLANK || t === 'S') continue;
+    const extra = counts[t] - 1;
+    if (extra > 0) value -= extra * (VOWELS.includes(t) ? 4 : 3) * counts[t] / 2;
+  }
+  const vowels = tiles.filter(t => VOWELS.includes(t)).length;
+  const consonants = tiles.filter(t => t !== BLANK && !VOWELS.includes(t)).length;
+  const imbalance = Math.abs(vowels - consonants * 0.75) - 1;
+  if (imbalance > 0) value -= imbalance * 2.5;
+  if (counts.Q && !counts.U) value -= 3;
+  return value;
+}
+
+// `leave` is an array (or string) of rack tiles, '?' for a blank.
+export function leaveValue(leave) {
+  const tiles = [...leave].sort();
+  const key = tiles.join('');
+  if (key in LEAVE_TABLE) return LEAVE_TABLE[key];
+  return heuristicLeave(tiles);
+}
@@ -0,0 +1,44 @@
+import { compileDawg, DAWG_ROOT, dawgChild, dawgIsWord, dawgWalk, dawgEachChild, dawgWords } from './dawg.js';
+
+// ─── LEXICON ────────────────────────────────────────────────────
+// The engine needs `has(word)`, a `words` list sorted by length, then
+// alphabetically, and the word-graph walkers (`root`, `child`, `isWord`,
+// `walk`, `eachChild`) for move generation. Anything with that shape can
+// stand in for a lexicon. Words are stored in upper case; lookups ignore
+// case because lower-case letters mark designated blanks.
+
+export function parseWordList(text) {
+  return text.split('\n')
+    .map(w => w.trim().toUpperCase())
+    .filter(w => w.length >= 2 && w.length <= 15 && /^[A-Z]+$/.test(w));
+}
+
+const byLength = (a, b) => a.length - b.length || (a < b ? -1 : a > b ? 1 : 0);
+
+// Wraps a compiled graph (see dawg.js). `words` is only given when the
+// caller already has the list; otherwise it is read back out of the graph
+// on first use.
+export function lexiconFromDawg(dawg, name = 'custom', words = null) {
+  let list = words;
+  const allWords = () => list || (list = dawgWords(dawg).sort(byLength));
+  return {
+    name,
+    dawg,
+    get words() { return allWords(); },
+    get size() { return allWords().length; },
+    has: (word) => {
+      const node = dawgWalk(dawg, DAWG_ROOT, word);
+      return node !== -1 && dawgIsWord(dawg, node);
+    },
+    root: DAWG_ROOT,
+    child: (node, letter) => dawgChild(dawg, node, letter),
+    isWord: (node) => dawgIsWord(dawg, node),
+    walk: (node, letters) => dawgWalk(dawg, node, letters),
+    eachChild: (node, visit) => dawgEachChild(dawg, node, visit),
+  };
+}
+
+export function createLexicon(words, name = 'custom') {
+  const list = [...new Set(words)].sort(byLength);
+  return lexiconFromDawg(compileDawg(list), name, list);
+}
@@ -0,0 +1,158 @@
+import { BOARD_SIZE, CENTER, isBoardEmpty } from './board.js';
+import { BLANK } from './bag.js';
+import { scorePlay } from './scoring.js';
+
+function transpose(board) {
+  return board[0].map((_, c) => board.map(row => row[c]));
+}
+
+// Letters that may go on each empty square of `board` when playing across,
+// judged by the down-word they would form. null means unconstrained.
+function computeCrossChecks(board, lexicon) {
+  const checks = board.map(row => row.map(() => null));
+  for (let r = 0; r < BOARD_SIZE; r++) {
+    for (let c = 0; c < BOARD_SIZE; c++) {
+      if (board[r][c] !== null) continue;
+      const hasAbove = r > 0 && board[r - 1][c] !== null;
+      const hasBelow = r < BOARD_SIZE - 1 && board[r + 1][c] !== null;
+      if (!hasAbove && !hasBelow) continue;
+
+      let prefix = '';
+      for (let cr = r - 1; cr >= 0 && board[cr][c] !== null; cr--) prefix = board[cr][c] + prefix;
+      let suffix = '';
+      for (let cr = r + 1; cr < BOARD_SIZE && board[cr][c] !== null; cr++) suffix += board[cr][c];
+
+      const allowed = new Set();
+      const node = lexicon.walk(lexicon.root, prefix);
+      if (node !== -1) {
+        lexicon.eachChild(node, (letter, next) => {
+          const n = lexicon.walk(next, suffix);
+          if (n !== -1 && lexicon.isWord(n)) allowed.add(letter);
+        });
+      }
+      checks[r][c] = allowed;
+    }
+  }
+  return checks;
+}
+
+// Anchors are empty squares next to a tile on any side, so every generated
+// word either runs through a tile or lies parallel to one and forms
+// cross-words with it. On an empty board the centre square is the only
+// anchor, which gives the opening moves.
+function isAnchor(board, r, c, empty) {
+  if (board[r][c] !== null) return false;
+  if (empty) return r === CENTER && c === CENTER;
+  return (c > 0 && board[r][c - 1] !== null) || (c < BOARD_SIZE - 1 && board[r][c + 1] !== null) ||
+    (r > 0 && board[r - 1][c] !== null) || (r < BOARD_SIZE - 1 && board[r + 1][c] !== null);
+}
+
+// Appel–Jacobson generation of across plays on one row. Every word is built
+// from its leftmost anchor: the left part may only use empty squares that
+// are not anchors themselves, which keeps each play from being found twice.
+function generateRow(board, r, rackCount, lexicon, crossChecks, found) {
+  const row = board[r];
+  const empty = isBoardEmpty(board);
+
+  function fits(c, letter) {
+    const allowed = crossChecks[r][c];
+    return allowed === null || allowed.has(letter.toUpperCase());
+  }
+
+  // Calls `visit(tile, next)` for every rack tile that can extend `node`,
+  // taking the tile off the rack for the duration. A blank is tried as
+  // every letter and passed on in lower case.
+  function eachTile(node, c, visit) {
+    for (const letter in rackCount) {
+      if (rackCount[letter] === 0 || letter === BLANK) continue;
+      const next = lexicon.child(node, letter);
+      if (next === -1 || (c !== null && !fits(c, letter))) continue;
+      rackCount[letter]--;
+      visit(letter, next);
+      rackCount[letter]++;
+    }
+    if (!rackCount[BLANK]) return;
+    lexicon.eachChild(node, (letter, next) => {
+      if (c !== null && !fits(c, letter)) return;
+      rackCount[BLANK]--;
+      visit(letter.toLowerCase(), next);
+      rackCount[BLANK]++;
+    });
+  }
+
+  function leftPartFits(word, start, anchor) {
+    for (let c = start; c < anchor; c++) {
+      if (!fits(c, word[c - start])) return false;
+    }
+    return true;
+  }
+
+  function extendRight(word, node, c, anchor) {
+    if (c >= BOARD_SIZE || row[c] === null) {
+      if (lexicon.isWord(node) && c > anchor && leftPartFits(word, c - word.length, anchor)) found(word, r, c - word.length);
+    }
+    if (c >= BOARD_SIZE) return;
+
+    if (row[c] !== null) {
+      const next = lexicon.child(node, row[c]);
+      if (next !== -1) extendRight(word + row[c], next, c + 1, anchor);
+      return;
+    }
+    eachTile(node, c, (tile, next) => extendRight(word + tile, next, c + 1, anchor));
+  }
+
+  // The left part is a word prefix laid on the `limit` free squares before
+  // the anchor; it only settles onto squares once its length is known.
+  function leftPart(word, node, limit, anchor) {
+    extendRight(word, node, anchor, anchor);
+    if (limit === 0) return;
+    eachTile(node, null, (tile, next) => leftPart(word + tile, next, limit - 1, anchor));
+  }
+
+  for (let c = 0; c < BOARD_SIZE; c++) {
+    if (!isAnchor(board, r, c, empty)) continue;
+
+    if (c > 0 && row[c - 1] !== null) {
+      let start = c;
+      while (start > 0 && row[start - 1] !== null) start--;
+      const prefix = row.slice(start, c).join('');
+      const node = lexicon.walk(lexicon.root, prefix);
+      if (node !== -1) extendRight(prefix, node, c, c);
+    } else {
+      let limit = 0;
+      while (c - limit - 1 >= 0 && !isAnchor(board, r, c - limit - 1, empty) && row[c - limit - 1] === null) limit++;
+      leftPart('', lexicon.root, limit, c);
+    }
+  }
+}
+
+// ─── FIND ALL VALID PLAYS ───────────────────────────────────────
+// Every placement of a lexicon word that uses at least one rack tile,
+// touches an existing tile (or covers the centre square on an empty board)
+// and forms only valid cross-words. Blanks ('?' on the rack) come back as
+// lower-case letters in `word`. Plays come back in lexicon order (length,
+// then alphabetical), down before across, then by square.
+export function findAllValidPlays(board, rack, premiumsUsed, lexicon) {
+  const plays = [];
+  const rackCount = {};
+  rack.forEach(t => { rackCount[t] = (rackCount[t] || 0) + 1; });
+
+  for (const isH of [false, true]) {
+    const lines = isH ? board : transpose(board);
+    const crossChecks = computeCrossChecks(lines, lexicon);
+    const found = (word, line, start) => {
+      const positions = [];
+      for (let i = 0; i < word.length; i++) {
+        positions.push(isH ? [line, start + i] : [start + i, line]);
+      }
+      const [row, col] = positions[0];
+      const score = scorePlay(word, positions, board, premiumsUsed, isH);
+      plays.push({ word, row, col, horizontal: isH, score, positions });
+    };
+    for (let r = 0; r < BOARD_SIZE; r++) generateRow(lines, r, rackCount, lexicon, crossChecks, found);
+  }
+
+  return plays.sort((a, b) =>
+    a.word.length - b.word.length || (a.word < b.word ? -1 : a.word > b.word ? 1 : 0) ||
+    a.horizontal - b.horizontal || a.row - b.row || a.col - b.col);
+}
@@ -0,0 +1,54 @@
+// ─── MOVE NOTATION ──────────────────────────────────────────────
+// Tournament style: rows are numbered 1–15, columns lettered A–O. An across
+// play names the row first ("8H"), a down play the column first ("H8").
+const COLUMNS = 'ABCDEFGHIJKLMNO';
+
+// Exchanges and passes (no positions) have no coordinate.
+export function playCoordinate(play) {
+  if (play.positions.length === 0) return '';
+  const [r, c] = play.positions[0];
+  return play.horizontal ? `${r + 1}${COLUMNS[c]}` : `${COLUMNS[c]}${r + 1}`;
+}
+
+// A single square, column first: "H8".
+export function squareName(r, c) {
+  return `${COLUMNS[c]}${r + 1}`;
+}
+
+// "8H WORD 24"; blanks stay in lower case as usual in notation. An
+// exchange or pass is just its word: "-ABC 0", "- 0".
+export function formatPlay(play) {
+  if (play.positions.length === 0) return `${play.word} ${play.score}`;
+  return `${playCoordinate(play)} ${play.word} ${play.score}`;
+}
+
+// The word of a play, or "Exchange ABC" / "Pass" for turns that place
+// nothing; a drill round that ran out of time is "Out of time".
+export function moveLabel(play) {
+  if (play.timedOut) return 'Out of time';
+  if (play.exchange) return `Exchange ${play.exchange.join('')}`;
+  if (play.pass) return 'Pass';
+  return play.word;
+}
+
+// Parses "8H" / "H8" into { row, col, horizontal }; null if malformed.
+export function parseCoordinate(text) {
+  const m = /^\s*(?:(\d{1,2})([A-O])|([A-O])(\d{1,2}))\s*$/i.exec(text);
+  if (!m) return null;
+  const horizontal = m[1] !== undefined;
+  const row = Number(horizontal ? m[1] : m[4]) - 1;
+  const col = COLUMNS.indexOf((horizontal ? m[2] : m[3]).toUpperCase());
+  if (row < 0 || row > 14) return null;
+  return { row, col, horizontal };
+}
+
+export function samePlay(a, b) {
+  return a.word.toUpperCase() === b.word.toUpperCase() &&
+    a.positions.length === b.positions.length &&
+    a.positions.every(([r, c], i) => b.positions[i][0] === r && b.positions[i][1] === c);
+}
+
+// 1-based rank of `value` among `values`, ties sharing the better rank.
+export function rankOf(value, values) {
+  return 1 + values.filter(v => v > value).length;
+}
@@ -0,0 +1,36 @@
+// ─── SEEDED RANDOM NUMBERS ──────────────────────────────────────
+// Everything random in the engine takes a `random` function with the
+// Math.random contract, so a scenario can be rebuilt from its seed.
+
+// mulberry32: tiny, fast and plenty good enough for shuffling tiles.
+export function createRng(seed) {
+  let a = seed >>> 0;
+  return function random() {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+export function randomSeed() {
+  return Math.floor(Math.random() * 4294967296) >>> 0;
+}
+
+export function randomInt(random, n) {
+  return Math.floor(random() * n);
+}
+
+export function pick(random, arr) {
+  return arr[randomInt(random, arr.length)];
+}
+
+export function shuffle(arr, random) {
+  const a = [...arr];
+  for (let i = a.length - 1; i > 0; i--) {
+    const j = randomInt(random, i + 1);
+    [a[i], a[j]] = [a[j], a[i]];
+  }
+  return a;
+}
@@ -0,0 +1,131 @@
+import { buildConnectedBoard, invalidBoardWords } from './boardgen.js';
+import { findAllValidPlays } from './movegen.js';
+import { defenseScore } from './defense.js';
+import { playEquity } from './equity.js';
+import { TILE_DISTRIBUTION, countTiles, boardTiles, subtractTiles, bagFromCounts, drawTiles } from './bag.js';
+import { createRng, randomSeed } from './rng.js';
+import { scenarioTags } from './skills.js';
+import { playOutGame } from './gamegen.js';
+import { bagSize, MIN_BAG_FOR_EXCHANGE, findBestExchange, passMove } from './exchange.js';
+import { encodeSeedCode, encodePositionCode, decodeScenarioCode } from './scenarioCode.js';
+
+// ─── ANALYSE A POSITION ─────────────────────────────────────────
+// Finds every play for `rack` and picks the best by score and by defense.
+// `validPlays` keeps the full list ranked by score, each play annotated
+// with its defScore, leave and equity; `bestEquity` is the top by equity.
+// `bestExchange` (null while the bag is too low) and `pass` are the turns
+// that place nothing, and `bestEquityTurn` is the best of all of them by
+// equity, and `tags` lists the SCENARIO_TAGS that fit (see skills.js).
+// Returns null when the rack has fewer than `minPlays` plays to choose
+// from: four by default, so generated positions offer a real choice.
+export function analyzePosition(board, rack, premiumsUsed, lexicon, { minPlays = 4 } = {}) {
+  const found = findAllValidPlays(board, rack, premiumsUsed, lexicon);
+  if (found.length === 0 || found.length < minPlays) return null;
+
+  const validPlays = found.map(p => ({ ...p, defScore: defenseScore(p, board), ...playEquity(p, rack, board) }));
+  validPlays.sort((a, b) => b.score - a.score);
+  const bestOffensive = validPlays[0];
+
+  const byDefense = [...validPlays].sort((a, b) => b.defScore - a.defScore);
+  const bestDefensive = byDefense[0];
+
+  const byEquity = [...validPlays].sort((a, b) => b.equity - a.equity);
+  const bestEquity = byEquity[0];
+
+  const bestExchange = bagSize(board, rack) >= MIN_BAG_FOR_EXCHANGE ? findBestExchange(rack) : null;
+  const pass = passMove(rack);
+  const bestEquityTurn = [bestExchange, pass].reduce((best, t) => (t && t.equity > best.equity ? t : best), bestEquity);
+
+  const s = { board, rack, premiumsUsed, validPlays, bestOffensive, bestDefensive, bestEquity, bestExchange, pass, bestEquityTurn };
+  return { ...s, tags: scenarioTags(s) };
+}
+
+// ─── GENERATE FULL SCENARIO ─────────────────────────────────────
+export function generateScenario(lexicon, random = Math.random) {
+  let boardData = null;
+  for (let attempt = 0; attempt < 20; attempt++) {
+    boardData = buildConnectedBoard(lexicon, random);
+    if (boardData) break;
+  }
+  if (!boardData) return null;
+  const { board, premiumsUsed } = boardData;
+
+  // Draw the rack from whatever the board hasn't already used up.
+  const pool = subtractTiles(TILE_DISTRIBUTION, boardTiles(board));
+  if (!pool) return null;
+  const rack = drawTiles(bagFromCounts(pool), 7, random).drawn;
+
+  return analyzePosition(board, rack, premiumsUsed, lexicon);
+}
+
+// A position from a simulated game (see gamegen.js) in one of the
+// GAME_PHASES. The scenario gains `game`: the phase, turns played, both
+// scores, the tiles unseen by the player to move and the bag size.
+export function generateGameScenario(lexicon, phase, random = Math.random) {
+  const game = playOutGame(lexicon, { phase, random });
+  const s = analyzePosition(game.board, game.rack, game.premiumsUsed, lexicon);
+  if (!s) return null;
+  const unseen = countTiles([...game.bag, ...game.opponentRack]);
+  return { ...s, game: { phase, turn: game.turn, scores: game.scores, unseen, bagSize: game.bag.length, moves: game.moves } };
+}
+
+const SEEDED_ATTEMPTS = 40;
+
+// The whole retry loop runs off one generator, so the same seed and
+// lexicon always land on the same scenario. `phase` picks a simulated game
+// instead of a word-drop board. `onProgress(done, total)` is called after
+// each failed attempt.
+export function generateSeededScenario(lexicon, seed, { onProgress = null, phase = null } = {}) {
+  const random = createRng(seed);
+  for (let i = 0; i < SEEDED_ATTEMPTS; i++) {
+    const s = phase ? generateGameScenario(lexicon, phase, random) : generateScenario(lexicon, random);
+    if (s) return { ...s, code: encodeSeedCode(seed, phase) };
+    if (onProgress) onProgress(i + 1, SEEDED_ATTEMPTS);
+  }
+  return null;
+}
+
+// Fresh seeds tried for a scenario with a given tag before giving up.
+export const TAGGED_ATTEMPTS = 100;
+
+// A seeded scenario with `tag` (a SCENARIO_TAGS key), trying fresh seeds
+// until one fits. `onProgress(done, total)` is called after each miss;
+// null if nothing fits in TAGGED_ATTEMPTS. This runs every try in one go;
+// scenario.worker.js runs them one per task instead, so that the search
+// can be cancelled.
+export function generateTaggedScenario(lexicon, tag, { onProgress = null, phase = null } = {}) {
+  for (let i = 0; i < TAGGED_ATTEMPTS; i++) {
+    const s = generateSeededScenario(lexicon, randomSeed(), { phase });
+    if (s && s.tags.includes(tag)) return s;
+    if (onProgress) onProgress(i + 1, TAGGED_ATTEMPTS);
+  }
+  return null;
+}
+
+// Why a position given from outside (a code, an imported game or board)
+// can't be drilled, or null if it can: every word on the board must be in
+// the lexicon, board plus rack must fit in one tile set and the rack must
+// have at least one play.
+export function checkPosition(board, rack, lexicon) {
+  const invalid = invalidBoardWords(board, lexicon);
+  if (invalid.length > 0) return `Not in ${lexicon.name}: ${invalid.join(', ')}.`;
+  if (!subtractTiles(TILE_DISTRIBUTION, [...boardTiles(board), ...rack])) return 'The board and rack hold more tiles than a set has.';
+  if (findAllValidPlays(board, rack, {}, lexicon).length === 0) return 'The rack has no play on this board.';
+  return null;
+}
+
+// Rebuilds a scenario from any kind of scenario code; null if the code is
+// malformed or the position fails checkPosition. A position is taken as
+// given, however few plays it has; only generated ones need four.
+export function scenarioFromCode(code, lexicon, options = {}) {
+  const decoded = decodeScenarioCode(code);
+  if (!decoded) return null;
+  if (decoded.seed !== undefined) return generateSeededScenario(lexicon, decoded.seed, { ...options, phase: decoded.phase });
+
+  const { board, rack } = decoded;
+  if (checkPosition(board, rack, lexicon)) return null;
+  const premiumsUsed = {};
+  board.forEach((row, r) => row.forEach((cell, c) => { if (cell !== null) premiumsUsed[`${r},${c}`] = true; }));
+  const s = analyzePosition(board, rack, premiumsUsed, lexicon, { minPlays: 1 });
+  return s && { ...s, code: encodePositionCode(board, rack) };
+}
@@ -0,0 +1,62 @@
+import { BOARD_SIZE, createBoard } from './board.js';
+import { BLANK } from './bag.js';
+
+// ─── SCENARIO CODES ─────────────────────────────────────────────
+// Three URL-safe forms:
+//   S-<seed in base 36>         rebuilds the scenario from the generator
+//   G-<phase><seed in base 36>  the same for a simulated game; the phase
+//                               is E, M or L (early, mid, late)
+//   P-<board>-<rack>            spells out the position itself
+// The board is read row by row: letters as they are (lower case for
+// blanks), runs of empty squares as their length in digits. '_' is a blank
+// on the rack, e.g. P-112CAT110-RETAIN_.
+
+const PHASE_LETTERS = { early: 'E', mid: 'M', late: 'L' };
+
+export function encodeSeedCode(seed, phase = null) {
+  const seedText = (seed >>> 0).toString(36).toUpperCase();
+  return phase ? `G-${PHASE_LETTERS[phase]}${seedText}` : `S-${seedText}`;
+}
+
+export function encodePositionCode(board, rack) {
+  let cells = '';
+  let run = 0;
+  board.forEach(row => row.forEach(cell => {
+    if (cell === null) { run++; return; }
+    if (run) { cells += run; run = 0; }
+    cells += cell;
+  }));
+  if (run) cells += run;
+  return `P-${cells}-${rack.map(t => t === BLANK ? '_' : t).join('')}`;
+}
+
+export function decodeScenarioCode(code) {
+  const text = code.trim();
+
+  const seedMatch = /^S-([0-9A-Z]{1,7})$/i.exec(text);
+  if (seedMatch) {
+    const seed = parseInt(seedMatch[1], 36);
+    return seed <= 0xFFFFFFFF ? { seed } : null;
+  }
+
+  const gameMatch = /^G-([EML])([0-9A-Z]{1,7})$/i.exec(text);
+  if (gameMatch) {
+    const seed = parseInt(gameMatch[2], 36);
+    const phase = Object.keys(PHASE_LETTERS).find(p => PHASE_LETTERS[p] === gameMatch[1].toUpperCase());
+    return seed <= 0xFFFFFFFF ? { seed, phase } : null;
+  }
+
+  const posMatch = /^P-([0-9A-Za-z]+)-([A-Z_]{1,7})$/.exec(text);
+  if (!posMatch) return null;
+  const cells = [];
+  for (const [, run, letter] of posMatch[1].matchAll(/(\d+)|([A-Za-z])/g)) {
+    if (letter) cells.push(letter);
+    else for (let i = 0; i < Number(run); i++) cells.push(null);
+  }
+  if (cells.length !== BOARD_SIZE * BOARD_SIZE) return null;
+
+  const board = createBoard();
+  cells.forEach((cell, i) => { board[Math.floor(i / BOARD_SIZE)][i % BOARD_SIZE] = cell; });
+  const rack = [...posMatch[2]].map(t => t === '_' ? BLANK : t);
+  return { board, rack };
+}
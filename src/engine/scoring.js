@@ -0,0 +1,47 @@
+import { TV, getPremium, crossWordAt } from './board.js';
+import { isDesignatedBlank } from './bag.js';
+
+// ─── SCORING ────────────────────────────────────────────────────
+// Premium squares only count for tiles placed this turn; `premiumsUsed`
+// additionally switches off squares the board generator marked as spent.
+// Designated blanks score nothing but still take the word multipliers.
+export function scoreOneWord(word, positions, board, premiumsUsed) {
+  let wordScore = 0;
+  let wordMult = 1;
+
+  for (let i = 0; i < word.length; i++) {
+    const [r, c] = positions[i];
+    const key = `${r},${c}`;
+    let letterVal = isDesignatedBlank(word[i]) ? 0 : (TV[word[i]] || 0);
+    const isNew = board[r][c] === null;
+
+    if (isNew && !premiumsUsed[key]) {
+      const prem = getPremium(r, c);
+      if (prem === 'DL') letterVal *= 2;
+      else if (prem === 'TL') letterVal *= 3;
+      else if (prem === 'DW') wordMult *= 2;
+      else if (prem === 'TW') wordMult *= 3;
+    }
+    wordScore += letterVal;
+  }
+  return wordScore * wordMult;
+}
+
+export function scorePlay(word, positions, board, premiumsUsed, isHorizontal) {
+  let mainScore = scoreOneWord(word, positions, board, premiumsUsed);
+
+  for (let i = 0; i < word.length; i++) {
+    const [r, c] = positions[i];
+    if (board[r][c] !== null) continue;
+
+    const cross = crossWordAt(board, r, c, word[i], isHorizontal);
+    if (cross.word.length > 1) {
+      mainScore += scoreOneWord(cross.word, cross.positions, board, premiumsUsed);
+    }
+  }
+
+  const newTiles = positions.filter(([r,c]) => board[r][c] === null).length;
+  if (newTiles === 7) mainScore += 50;
+
+  return mainScore;
+}
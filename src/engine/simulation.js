@@ -0,0 +1,28 @@
+import { applyPlay } from './board.js';
+import { unseenTiles, bagFromCounts, drawTiles } from './bag.js';
+import { findAllValidPlays } from './movegen.js';
+
+// ─── MONTE CARLO SIMULATION ─────────────────────────────────────
+// Rates each candidate by the average spread after the opponent's best
+// scoring reply: candidate score minus reply score. Opponent racks are
+// sampled from the tiles the player can't see, and every candidate faces
+// the same sample of racks so that their spreads compare fairly.
+export function simulatePlays(board, rack, premiumsUsed, lexicon, candidates, { iterations = 16, random = Math.random, onProgress = null } = {}) {
+  const unseen = bagFromCounts(unseenTiles(board, rack));
+  const racks = Array.from({ length: iterations }, () => drawTiles(unseen, 7, random).drawn);
+  const total = candidates.length * racks.length;
+  let done = 0;
+
+  return candidates.map(play => {
+    const next = applyPlay(board, play);
+    let replyTotal = 0;
+    for (const oppRack of racks) {
+      const replies = findAllValidPlays(next, oppRack, premiumsUsed, lexicon);
+      replyTotal += replies.reduce((best, p) => Math.max(best, p.score), 0);
+      done++;
+      if (onProgress) onProgress(done, total);
+    }
+    const avgReply = replyTotal / racks.length;
+    return { play, avgReply, spread: play.score - avgReply, samples: racks.length };
+  });
+}
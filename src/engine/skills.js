@@ -0,0 +1,100 @@
+import { TV, getPremium, crossWordAt } from './board.js';
+
+// ─── SKILLS ─────────────────────────────────────────────────────
+// What a play does beyond its score, for spotting which kinds of position
+// a user keeps getting wrong. `side` says whether the skill is judged on
+// the offense or the defense half of a round.
+export const SKILLS = {
+  premium: { label: 'Premium squares', side: 'offense' },
+  hook: { label: 'Hooks', side: 'offense' },
+  parallel: { label: 'Parallel plays', side: 'offense' },
+  blockTW: { label: 'Blocking TW lanes', side: 'defense' },
+};
+
+// Tiles worth this much are the ones a letter premium is kept for.
+const HEAVY_TILE = 4;
+
+function newTilesOf(play, board) {
+  return play.positions
+    .map(([r, c], i) => ({ r, c, letter: play.word[i] }))
+    .filter(({ r, c }) => board[r][c] === null);
+}
+
+// Whether the word on `squares` lengthens a word of two or more letters
+// already on `board`: two or more board tiles in a row with new tiles
+// running on from them, as CAT to CATS or SCAT.
+function lengthensWord(squares, board) {
+  const onBoard = squares.map(([r, c]) => board[r][c] !== null);
+  if (onBoard.every(Boolean)) return false;
+  let run = 0;
+  return onBoard.some(tile => (run = tile ? run + 1 : 0) >= 2);
+}
+
+// The SKILLS keys `play` shows on `board`:
+//   premium   a new tile on a DW or TW, or a heavy tile on a DL or TL
+//   hook      new tiles that lengthen a word of two or more letters
+//             already on the board, across it or along it
+//   parallel  two or more new tiles that each form a cross-word
+//   blockTW   a new tile on a TW square, shutting its lane
+// Exchanges and passes show none.
+export function playSkills(play, board) {
+  const newTiles = newTilesOf(play, board);
+  if (newTiles.length === 0) return [];
+
+  const crossWords = newTiles
+    .map(t => ({ ...t, cross: crossWordAt(board, t.r, t.c, t.letter, play.horizontal) }))
+    .filter(t => t.cross.word.length > 1);
+  const premiums = newTiles.map(t => ({ ...t, premium: getPremium(t.r, t.c) }));
+
+  const skills = [];
+  if (premiums.some(t => t.premium === 'TW' || t.premium === 'DW' || ((t.premium === 'TL' || t.premium === 'DL') && (TV[t.letter] || 0) >= HEAVY_TILE))) {
+    skills.push('premium');
+  }
+  // The play hooks a word across its line through a cross-word, or runs on
+  // from one along it with its own word.
+  if (lengthensWord(play.positions, board) || crossWords.some(t => lengthensWord(t.cross.positions, board))) {
+    skills.push('hook');
+  }
+  if (crossWords.length >= 2) skills.push('parallel');
+  if (premiums.some(t => t.premium === 'TW')) skills.push('blockTW');
+  return skills;
+}
+
+// The skills a scenario asks for: those of its best offensive plays (by
+// score and by equity) for offense skills and of its best defensive play
+// for defense skills.
+export function scenarioSkills(scenario) {
+  const offense = [scenario.bestOffensive, scenario.bestEquity].filter(Boolean);
+  const skills = new Set();
+  offense.forEach(p => playSkills(p, scenario.board).forEach(s => { if (SKILLS[s].side === 'offense') skills.add(s); }));
+  if (scenario.bestDefensive) {
+    playSkills(scenario.bestDefensive, scenario.board).forEach(s => { if (SKILLS[s].side === 'defense') skills.add(s); });
+  }
+  return [...skills];
+}
+
+// ─── SCENARIO TAGS ──────────────────────────────────────────────
+// What kind of position a scenario is, for drilling one kind at a time.
+export const SCENARIO_TAGS = {
+  parallel: { label: 'Best play is a parallel play' },
+  hook: { label: 'Hook required' },
+  usesTW: { label: 'Uses a TW' },
+  bingo: { label: 'Bingo available' },
+  blockTW: { label: 'Block the TW lane' },
+  dumpQ: { label: 'Dump the Q' },
+};
+
+// The SCENARIO_TAGS keys that fit an analysed position (see
+// analyzePosition): the skills of its best plays, whether a best offensive
+// play covers a TW, whether any play uses the whole rack, and whether a Q
+// on the rack is best played or exchanged away.
+export function scenarioTags(scenario) {
+  const { board, rack } = scenario;
+  const skills = scenarioSkills(scenario);
+  const tags = ['parallel', 'hook', 'blockTW'].filter(s => skills.includes(s));
+  const offense = [scenario.bestOffensive, scenario.bestEquity].filter(Boolean);
+  if (offense.some(p => newTilesOf(p, board).some(t => getPremium(t.r, t.c) === 'TW'))) tags.push('usesTW');
+  if (rack.length === 7 && scenario.validPlays.some(p => newTilesOf(p, board).length === 7)) tags.push('bingo');
+  if (rack.includes('Q') && scenario.bestEquityTurn && !scenario.bestEquityTurn.leave.includes('Q')) tags.push('dumpQ');
+  return tags;
+}
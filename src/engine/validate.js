@@ -0,0 +1,115 @@
+import { CENTER, crossWordAt, isBoardEmpty } from './board.js';
+import { scorePlay } from './scoring.js';
+
+// ─── VALIDATE USER'S PLACED TILES ──────────────────────────────
+// `placed` maps "r,c" keys to letters put down this turn. Returns either
+// { valid: false, error } or
+// { valid: true, word, positions, horizontal, score, phonies }.
+// Words outside the lexicon are rejected unless `options.allowPhonies` is
+// set, as it is under a challenge rule; they are then listed in `phonies`
+// for the opponent to challenge.
+export function validatePlacement(board, placed, premiumsUsed, lexicon, { allowPhonies = false } = {}) {
+  const keys = Object.keys(placed);
+  if (keys.length === 0) return { valid: false, error: "Place at least one tile." };
+
+  const coords = keys.map(k => { const [r, c] = k.split(',').map(Number); return { r, c }; });
+  const rows = new Set(coords.map(p => p.r));
+  const cols = new Set(coords.map(p => p.c));
+
+  let isH;
+  if (rows.size === 1 && cols.size === 1) {
+    isH = null;
+  } else if (rows.size === 1) {
+    isH = true;
+  } else if (cols.size === 1) {
+    isH = false;
+  } else {
+    return { valid: false, error: "Tiles must all be in one row or one column." };
+  }
+
+  function extractWord(horizontal) {
+    let positions = [];
+    if (horizontal) {
+      const row = coords[0].r;
+      let minC = Math.min(...coords.map(p => p.c));
+      let maxC = Math.max(...coords.map(p => p.c));
+      while (minC > 0 && board[row][minC - 1] !== null) minC--;
+      while (maxC < 14 && board[row][maxC + 1] !== null) maxC++;
+      for (let c = minC; c <= maxC; c++) {
+        const letter = placed[`${row},${c}`] || board[row][c];
+        if (letter === null) return null;
+        positions.push({ r: row, c, letter });
+      }
+    } else {
+      const col = coords[0].c;
+      let minR = Math.min(...coords.map(p => p.r));
+      let maxR = Math.max(...coords.map(p => p.r));
+      while (minR > 0 && board[minR - 1][col] !== null) minR--;
+      while (maxR < 14 && board[maxR + 1][col] !== null) maxR++;
+      for (let r = minR; r <= maxR; r++) {
+        const letter = placed[`${r},${col}`] || board[r][col];
+        if (letter === null) return null;
+        positions.push({ r, c: col, letter });
+      }
+    }
+    return positions;
+  }
+
+  // A single tile can read either way: prefer the longer of the two words.
+  let wordPositions;
+  if (isH === null) {
+    const hW = extractWord(true);
+    const vW = extractWord(false);
+    if (hW && vW) {
+      if (vW.length > hW.length) { isH = false; wordPositions = vW; }
+      else { isH = true; wordPositions = hW; }
+    } else if (hW) { isH = true; wordPositions = hW; }
+    else if (vW) { isH = false; wordPositions = vW; }
+    else return { valid: false, error: "No word formed." };
+  } else {
+    wordPositions = extractWord(isH);
+  }
+
+  if (!wordPositions) return { valid: false, error: "There is a gap in your word." };
+  if (wordPositions.length < 2) return { valid: false, error: "Word must be at least 2 letters." };
+
+  const word = wordPositions.map(p => p.letter).join('');
+  const posArr = wordPositions.map(p => [p.r, p.c]);
+
+  const phonies = [];
+  if (!lexicon.has(word) && allowPhonies) phonies.push(word);
+  else if (!lexicon.has(word)) {
+    const placedLetters = keys.map(k => placed[k]).join('');
+    if (word !== placedLetters) {
+      return { valid: false, error: `"${word}" is not a valid word. (Your letters ${placedLetters} combined with adjacent board tiles to form "${word}".)` };
+    }
+    return { valid: false, error: `"${word}" is not a valid word.` };
+  }
+
+  // The opening word has nothing to connect to; it covers the centre instead.
+  if (isBoardEmpty(board)) {
+    if (!wordPositions.some(p => p.r === CENTER && p.c === CENTER)) return { valid: false, error: "The first word must cover the centre square." };
+    const score = scorePlay(word, posArr, board, premiumsUsed, isH);
+    return { valid: true, word, positions: posArr, horizontal: isH, score, phonies };
+  }
+
+  const touchesExisting = wordPositions.some(p => board[p.r][p.c] !== null);
+
+  const crossWords = wordPositions
+    .filter(({ r, c }) => board[r][c] === null)
+    .map(({ r, c, letter }) => crossWordAt(board, r, c, letter, isH).word)
+    .filter(cw => cw.length > 1);
+
+  if (!touchesExisting && crossWords.length === 0) {
+    return { valid: false, error: "Your word must connect to the existing board." };
+  }
+
+  for (const cw of crossWords) {
+    if (lexicon.has(cw)) continue;
+    if (!allowPhonies) return { valid: false, error: `Cross-word "${cw}" is not valid.` };
+    phonies.push(cw);
+  }
+
+  const score = scorePlay(word, posArr, board, premiumsUsed, isH);
+  return { valid: true, word, positions: posArr, horizontal: isH, score, phonies };
+}
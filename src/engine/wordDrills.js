@@ -0,0 +1,211 @@
+import { pick, shuffle, randomInt } from './rng.js';
+import { buildConnectedBoard } from './boardgen.js';
+import { findAllValidPlays } from './movegen.js';
+import { TILE_DISTRIBUTION, countTiles, boardTiles, subtractTiles } from './bag.js';
+
+// ─── WORD-KNOWLEDGE DRILLS ──────────────────────────────────────
+// Questions built from the loaded lexicon. Most are "find every word":
+//   { mode, prompt, tiles, answers, timeLimit }
+// where `tiles` is what to show on the rack ('?' marks an open square) and
+// `answers` the sorted words that count. "Is it a word?" questions are
+//   { mode, prompt, tiles, word, valid, timeLimit }.
+// Bingo questions are "find every word" on a board: they add `board`,
+// `premiumsUsed`, `tier` and `fits`, the best placement of each answer
+// (null when it has nowhere to go). Time limits are in seconds.
+export const WORD_DRILLS = {
+  anagram: { label: 'Anagrams', timeLimit: 90 },
+  bingo: { label: 'Bingos', timeLimit: 90 },
+  hooks: { label: 'Hooks', timeLimit: 45 },
+  twos: { label: 'Twos', timeLimit: 30 },
+  threes: { label: 'Threes', timeLimit: 45 },
+  challenge: { label: 'Word?', timeLimit: 8 },
+};
+
+const ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+function wordsOfLength(lexicon, length) {
+  return lexicon.words.filter(w => w.length === length);
+}
+
+// Every word of at least `minLength` letters that the tiles spell, walking
+// the word graph with the tiles as a multiset.
+export function wordsFromRack(lexicon, rack, minLength = 2) {
+  const counts = {};
+  rack.forEach(t => { counts[t] = (counts[t] || 0) + 1; });
+  const found = new Set();
+  const walk = (node, prefix) => {
+    if (prefix.length >= minLength && lexicon.isWord(node)) found.add(prefix);
+    lexicon.eachChild(node, (letter, next) => {
+      if (!counts[letter]) return;
+      counts[letter]--;
+      walk(next, prefix + letter);
+      counts[letter]++;
+    });
+  };
+  walk(lexicon.root, '');
+  return [...found].sort((a, b) => b.length - a.length || (a < b ? -1 : 1));
+}
+
+// Front and back hooks of `word`, as the hooked words themselves.
+export function hookWords(lexicon, word) {
+  const words = [];
+  for (const letter of ALPHABET) {
+    if (lexicon.has(letter + word)) words.push(letter + word);
+    if (lexicon.has(word + letter)) words.push(word + letter);
+  }
+  return words.sort();
+}
+
+function anagramDrill(lexicon, random) {
+  const word = pick(random, wordsOfLength(lexicon, 7));
+  return {
+    prompt: 'Find every word of four or more letters in these tiles.',
+    tiles: shuffle([...word], random),
+    answers: wordsFromRack(lexicon, [...word], 4),
+  };
+}
+
+function hooksDrill(lexicon, random) {
+  const pool = lexicon.words.filter(w => w.length >= 3 && w.length <= 5);
+  for (let i = 0; i < 50; i++) {
+    const word = pick(random, pool);
+    const answers = hookWords(lexicon, word);
+    if (answers.length > 0) {
+      return { prompt: `Add one letter before or after ${word} to make every word you can.`, tiles: ['?', ...word, '?'], answers };
+    }
+  }
+  return null;
+}
+
+// How hard a bingo rack is, by how many bingos it has to find.
+export const BINGO_TIERS = {
+  easy: { bingos: [1, 1] },
+  medium: { bingos: [2, 3] },
+  hard: { bingos: [4, Infinity] },
+};
+const BINGO_ATTEMPTS = 150;
+
+// Every bingo for a seven-tile `rack`: its seven-letter anagrams and the
+// longer words it makes through tiles on the board. Returns
+// { words, fits } with the words sorted and `fits[word]` the best-scoring
+// placement of each, or null for an anagram with nowhere to go.
+export function findBingos(board, rack, premiumsUsed, lexicon) {
+  const fits = {};
+  for (const p of findAllValidPlays(board, rack, premiumsUsed, lexicon)) {
+    const placed = p.positions.filter(([r, c]) => board[r][c] === null).length;
+    if (placed < rack.length) continue;
+    const word = p.word.toUpperCase();
+    if (!fits[word] || p.score > fits[word].score) fits[word] = p;
+  }
+  for (const word of wordsFromRack(lexicon, rack, rack.length)) {
+    if (!fits[word]) fits[word] = null;
+  }
+  return { words: Object.keys(fits).sort(), fits };
+}
+
+// Deals racks made from a seven-letter word, or from an eight-letter word
+// less a letter that is on the board, until one has as many bingos as
+// `tier` asks for. Racks only use tiles the board leaves in the bag, and
+// a rack with no bingo at all (an eight-letter word with nowhere to go) is
+// passed over. If no rack lands in the tier the closest one is used.
+function bingoDrill(lexicon, random, tier = 'medium') {
+  const sevens = wordsOfLength(lexicon, 7);
+  const eights = wordsOfLength(lexicon, 8);
+  if (sevens.length === 0) return null;
+
+  let boardData = null;
+  for (let attempt = 0; attempt < 20 && !boardData; attempt++) boardData = buildConnectedBoard(lexicon, random);
+  if (!boardData) return null;
+  const { board, premiumsUsed } = boardData;
+  const pool = subtractTiles(TILE_DISTRIBUTION, boardTiles(board));
+  if (!pool) return null;
+  const onBoard = new Set(boardTiles(board));
+
+  const [min, max] = BINGO_TIERS[tier].bingos;
+  const distance = (n) => (n < min ? min - n : n > max ? n - max : 0);
+  let closest = null;
+  for (let i = 0; i < BINGO_ATTEMPTS; i++) {
+    let rack = [...pick(random, sevens)];
+    if (eights.length > 0 && random() < 0.5) {
+      const word = pick(random, eights);
+      const spots = [...word].map((ch, at) => at).filter(at => onBoard.has(word[at]));
+      if (spots.length === 0) continue;
+      const at = pick(random, spots);
+      rack = [...word.slice(0, at) + word.slice(at + 1)];
+    }
+    const counts = countTiles(rack);
+    if (Object.keys(counts).some(t => counts[t] > pool[t])) continue;
+
+    const bingos = findBingos(board, rack, premiumsUsed, lexicon);
+    if (bingos.words.length === 0) continue;
+    if (!closest || distance(bingos.words.length) < distance(closest.bingos.words.length)) closest = { rack, bingos };
+    if (distance(bingos.words.length) === 0) break;
+  }
+  if (!closest) return null;
+
+  return {
+    prompt: 'Find every bingo: a seven-letter anagram of the rack, or a longer word through a tile on the board.',
+    tiles: shuffle(closest.rack, random),
+    answers: closest.bingos.words,
+    fits: closest.bingos.fits,
+    board,
+    premiumsUsed,
+    tier,
+  };
+}
+
+// Twos: every two-letter word with a given first or last letter. Threes:
+// every three-letter word that fills one open square of a real word.
+function shortWordDrill(lexicon, random, length) {
+  const words = wordsOfLength(lexicon, length);
+  if (words.length === 0) return null;
+  const base = pick(random, words);
+  const open = randomInt(random, length);
+  const matches = (w) => [...w].every((ch, i) => i === open || ch === base[i]);
+  const tiles = [...base].map((ch, i) => (i === open ? '?' : ch));
+  return {
+    prompt: `Find every ${length === 2 ? 'two' : 'three'}-letter word that fits ${tiles.join('').replace(/\?/g, '_')}.`,
+    tiles,
+    answers: words.filter(matches),
+  };
+}
+
+// Half real words, half phonies made by changing one letter of a real word.
+function challengeDrill(lexicon, random) {
+  const pool = lexicon.words.filter(w => w.length >= 2 && w.length <= 8);
+  let word = pick(random, pool);
+  let valid = true;
+  if (random() < 0.5) {
+    for (let i = 0; i < 30; i++) {
+      const at = randomInt(random, word.length);
+      const phony = word.slice(0, at) + pick(random, ALPHABET) + word.slice(at + 1);
+      if (!lexicon.has(phony)) { word = phony; valid = false; break; }
+    }
+  }
+  return { prompt: 'Is this a valid word?', tiles: [...word], word, valid };
+}
+
+// A fresh question for `mode`, or null if the lexicon can't supply one.
+// `options.tier` picks a BINGO_TIERS key for bingo questions.
+export function makeWordDrill(mode, lexicon, random = Math.random, options = {}) {
+  if (lexicon.size === 0) return null;
+  let question = null;
+  if (mode === 'anagram') question = anagramDrill(lexicon, random);
+  else if (mode === 'bingo') question = bingoDrill(lexicon, random, options.tier);
+  else if (mode === 'hooks') question = hooksDrill(lexicon, random);
+  else if (mode === 'twos') question = shortWordDrill(lexicon, random, 2);
+  else if (mode === 'threes') question = shortWordDrill(lexicon, random, 3);
+  else if (mode === 'challenge') question = challengeDrill(lexicon, random);
+  return question && { mode, timeLimit: WORD_DRILLS[mode].timeLimit, ...question };
+}
+
+// Scores a "find every word" answer: a point per word found, minus one per
+// wrong guess, never below zero.
+export function gradeWordList(question, entries) {
+  const answers = new Set(question.answers);
+  const guesses = [...new Set(entries.map(e => e.toUpperCase()))];
+  const found = guesses.filter(g => answers.has(g));
+  const wrong = guesses.filter(g => !answers.has(g));
+  const missed = question.answers.filter(a => !found.includes(a));
+  return { found, wrong, missed, score: Math.max(0, found.length - wrong.length), possible: question.answers.length };
+}
@@ -0,0 +1,135 @@
+import { useState, useEffect, useRef } from "react";
+import {
+  newGame, applyTurn, SINGLE_CHALLENGE_PENALTY, challengeLastPlay, applyTimePenalties,
+  GAME_CLOCKS, createClock, pressClock, overtimePenalties,
+} from "../engine/index.js";
+import { createEngineOpponent } from "../workers/engineOpponent.js";
+import { loadSetting, saveSetting } from "../storage/settings.js";
+
+// Names shown for the two sides of a game against the engine and of a
+// pass-and-play game.
+const GAME_PLAYERS = ['You', 'Computer'];
+const VERSUS_PLAYERS = ['Player 1', 'Player 2'];
+// Pause before the engine replies, so its move doesn't land in the same
+// instant as yours.
+const ENGINE_DELAY = 400;
+
+// ─── FULL GAMES ─────────────────────────────────────────────────
+// The game flow for the 'game' (against the engine) and 'pass-play' drill
+// modes. Each mode keeps its own game, so leaving one and coming back
+// picks it up where it was left. A game runs on the trainer's board and
+// rack UI with its position standing in for the scenario: against the
+// engine you are always player 0; in pass-and-play the rack is that of the
+// player to move, face down until its owner asks.
+//
+// `onNewRack(rack)` is called whenever a different rack is put in front of
+// the player, so the board and rack UI can clear what it holds for the
+// turn; `onError(message)` reports an engine that could not move.
+export function useGame(mode, lexicon, { onNewRack, onError }) {
+  const [games, setGames] = useState({}); // Full game in progress per game mode, see engine/game.js
+  const [rackHidden, setRackHidden] = useState(true); // Pass-and-play: rack face down until its owner asks
+  const [challengeNote, setChallengeNote] = useState(null); // How the last challenge was ruled
+  const [challengeRule, setChallengeRule] = useState(() => loadSetting('challengeRule', 'double')); // a CHALLENGE_RULES key, for new pass-and-play games
+  const [gameClock, setGameClock] = useState(() => loadSetting('gameClock', 'tournament')); // a GAME_CLOCKS key, for new games
+  const [opponentLevel, setOpponentLevel] = useState(() => loadSetting('opponentLevel', 'equity')); // an OPPONENT_LEVELS key
+  const engineRef = useRef(null);
+
+  const inGame = mode === 'game' || mode === 'pass-play';
+  const versus = mode === 'pass-play';
+  const game = games[mode] || null;
+  const players = versus ? VERSUS_PLAYERS : GAME_PLAYERS;
+  const viewer = versus && game ? game.toMove : 0;
+  // Whether the rack in front of the player can be played from right now.
+  const playable = !!game && !game.over && !(versus && rackHidden) && (versus || game.toMove === 0);
+
+  // The engine opponent picks its moves in a worker with its own copy of
+  // the lexicon.
+  useEffect(() => {
+    if (lexicon.size === 0) return;
+    const engine = createEngineOpponent(lexicon.dawg);
+    engineRef.current = engine;
+    return () => { engine.terminate(); engineRef.current = null; };
+  }, [lexicon]);
+
+  // Puts `g` up as the game of `gameMode`, with a pass-and-play rack face
+  // down until its owner asks.
+  const showGame = (g, hidden = versus, gameMode = mode) => {
+    setGames(prev => ({ ...prev, [gameMode]: g }));
+    setRackHidden(hidden);
+  };
+
+  const startGame = () => {
+    const g = newGame(Math.random, { challengeRule: versus ? challengeRule : 'void' });
+    setChallengeNote(null);
+    onNewRack(g.racks[0]);
+    showGame({ ...g, clock: pressClock(createClock(GAME_CLOCKS[gameClock]), 0, Date.now()) });
+  };
+
+  useEffect(() => {
+    if (inGame && !game) startGame();
+  }, [inGame, game]);
+
+  // Picks up the game of `gameMode` on coming back to it, if there is one.
+  const resume = (gameMode) => {
+    const g = games[gameMode];
+    if (!g) return;
+    onNewRack(g.racks[gameMode === 'pass-play' ? g.toMove : 0]);
+    showGame(g, gameMode === 'pass-play', gameMode);
+  };
+
+  // Hands the clock to whoever moves next. It always comes from the game
+  // being replaced, since a withdrawn play restores an older state. The
+  // turn that ends the game stops the clock and charges any overtime.
+  const withClock = (next) => {
+    const at = Date.now();
+    const clock = pressClock(game.clock, next.over ? null : next.toMove, at);
+    const timed = { ...next, clock };
+    return next.over && !game.over ? applyTimePenalties(timed, overtimePenalties(clock, at)) : timed;
+  };
+
+  // A human move: a validated placement, an exchange or a pass.
+  const playTurn = (move) => {
+    const next = withClock(applyTurn(game, move));
+    setChallengeNote(null);
+    onNewRack(next.racks[versus ? next.toMove : 0]);
+    showGame(next);
+  };
+
+  const revealRack = () => setRackHidden(false);
+
+  // The player to move challenges the play just made (see engine/challenge.js).
+  const challenge = () => {
+    const challenger = game.toMove;
+    const { game: next, words, phonies } = challengeLastPlay(game, lexicon);
+    const them = players[challenger];
+    const list = (w) => `${w.join(', ')} ${w.length === 1 ? 'is' : 'are'}`;
+    if (phonies.length > 0) setChallengeNote(`${list(phonies)} not valid — the play comes off the board.`);
+    else if (game.challengeRule === 'single') setChallengeNote(`${list(words)} valid — ${them} loses ${SINGLE_CHALLENGE_PENALTY * words.length} points.`);
+    else setChallengeNote(`${list(words)} valid — ${them} loses the turn.`);
+    onNewRack(next.racks[next.toMove]);
+    // A lost turn passes the device on; otherwise the challenger carries on.
+    showGame(withClock(next), next.toMove !== challenger || rackHidden);
+  };
+
+  // The engine answers on its own turn. A move that lands after the game
+  // has moved on (a new game, a take-back, another lexicon) is dropped.
+  useEffect(() => {
+    if (mode !== 'game' || !game || game.over || game.toMove !== 1 || !engineRef.current) return;
+    const engine = engineRef.current;
+    let cancelled = false;
+    const timer = setTimeout(() => {
+      engine.move(game, opponentLevel)
+        .then(move => { if (!cancelled) showGame(withClock(applyTurn(game, move))); })
+        .catch(err => { if (!cancelled) onError(`The engine could not move: ${err.message}`); });
+    }, ENGINE_DELAY);
+    return () => { cancelled = true; clearTimeout(timer); };
+  }, [mode, game, lexicon, opponentLevel]);
+
+  return {
+    inGame, versus, game, players, viewer, rackHidden, playable, challengeNote,
+    challengeRule, setChallengeRule: (rule) => { setChallengeRule(rule); saveSetting('challengeRule', rule); },
+    gameClock, setGameClock: (c) => { setGameClock(c); saveSetting('gameClock', c); },
+    opponentLevel, setOpponentLevel: (level) => { setOpponentLevel(level); saveSetting('opponentLevel', level); },
+    startGame, resume, playTurn, revealRack, challenge,
+  };
+}
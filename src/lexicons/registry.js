@@ -0,0 +1,126 @@
+import { parseWordList, createLexicon, lexiconFromDawg, DAWG_FORMAT } from "../engine/index.js";
+import { idbGet, idbPut, idbDelete, idbKeys } from "../storage/idb.js";
+
+// ─── LEXICON REGISTRY ───────────────────────────────────────────
+// Built-in lexicons are newline word lists served from public/. Only
+// TWL06 ships with the app; drop NWL2023.txt or CSW21.txt into public/ to
+// enable those, or upload any list from the lexicon menu. Uploads are kept
+// in IndexedDB under an "upload:" id.
+export const DEFAULT_LEXICON = 'TWL06';
+
+export const BUILTIN_LEXICONS = [
+  { id: 'TWL06', name: 'TWL06 (North America, 2006)', file: 'TWL06.txt' },
+  { id: 'NWL2023', name: 'NWL2023 (North America)', file: 'NWL2023.txt' },
+  { id: 'CSW21', name: 'Collins Scrabble Words 2021', file: 'CSW21.txt' },
+];
+
+// Optional word lists layered on top of the chosen lexicon.
+export const OVERLAYS = [
+  { id: 'modern', name: 'Modern additions (EMOJI, SELFIE, HASHTAG)', words: ['EMOJI', 'EMOJIS', 'SELFIE', 'SELFIES', 'HASHTAG', 'HASHTAGS'] },
+];
+
+const UPLOAD_PREFIX = 'upload:';
+
+export function listLexicons() {
+  return idbKeys('lexicons')
+    .catch(error => { console.error('Failed to list uploaded lexicons:', error); return []; })
+    .then(keys => [
+      ...BUILTIN_LEXICONS,
+      ...keys.map(id => ({ id, name: `${id.slice(UPLOAD_PREFIX.length)} (uploaded)`, uploaded: true })),
+    ]);
+}
+
+function fetchWordList(file) {
+  return fetch(`/${file}`)
+    .then(response => {
+      if (!response.ok) throw new Error(`${file} is not in public/ (HTTP ${response.status}).`);
+      return response.text();
+    })
+    .then(text => {
+      // Dev servers answer unknown paths with index.html.
+      if (text.trimStart().startsWith('<')) throw new Error(`${file} is not in public/.`);
+      return text;
+    });
+}
+
+// ─── COMPILED GRAPH CACHE ───────────────────────────────────────
+// Compiling a word list takes about half a second, so the packed graph is
+// kept in IndexedDB under the lexicon id plus overlays. The stored version
+// combines the graph format, a fingerprint of the source list and the
+// overlay words; any mismatch means the graph is rebuilt from the text.
+
+// FNV-1a over the text; only used to notice that an upload was replaced.
+function fingerprint(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193);
+  return `${text.length}-${(hash >>> 0).toString(36)}`;
+}
+
+// Asks the server which revision of a built-in list it has without
+// downloading it. Resolves to null when it cannot tell.
+function builtinRevision(file) {
+  return fetch(`/${file}`, { method: 'HEAD' })
+    .then(response => {
+      const type = response.headers.get('content-type') || '';
+      if (!response.ok || type.includes('html')) return null;
+      return response.headers.get('etag') || response.headers.get('last-modified') || response.headers.get('content-length');
+    })
+    .catch(() => null);
+}
+
+function cachedGraph(key, version) {
+  if (version === null) return Promise.resolve(null);
+  return idbGet('graphs', key)
+    .then(saved => (saved && saved.version === version ? new Uint32Array(saved.dawg) : null))
+    .catch(error => { console.error('Failed to read the cached word graph:', error); return null; });
+}
+
+// Resolves to a lexicon named after `id`, with the chosen overlays added.
+export function loadLexicon(id, overlayIds = []) {
+  const builtin = BUILTIN_LEXICONS.find(l => l.id === id);
+  const overlays = OVERLAYS.filter(o => overlayIds.includes(o.id));
+  const key = [id, ...overlays.map(o => o.id)].join('+');
+
+  const source = builtin
+    ? builtinRevision(builtin.file).then(revision => ({ revision, text: null }))
+    : idbGet('lexicons', id).then(saved => {
+        if (saved === undefined) throw new Error(`Lexicon "${id}" is not available.`);
+        return { revision: fingerprint(saved), text: saved };
+      });
+
+  return source.then(({ revision, text }) => {
+    const version = revision === null ? null
+      : [DAWG_FORMAT, revision, ...overlays.map(o => o.words.join(','))].join('|');
+
+    return cachedGraph(key, version).then(dawg => {
+      if (dawg) return lexiconFromDawg(dawg, id);
+      return (text !== null ? Promise.resolve(text) : fetchWordList(builtin.file)).then(t => {
+        const words = parseWordList(t);
+        if (words.length === 0) throw new Error(`Lexicon "${id}" has no usable words.`);
+        overlays.forEach(o => words.push(...o.words));
+        const lexicon = createLexicon(words, id);
+        if (version !== null) {
+          idbPut('graphs', key, { version, dawg: lexicon.dawg.buffer })
+            .catch(error => console.error('Failed to cache the word graph:', error));
+        }
+        return lexicon;
+      });
+    });
+  });
+}
+
+// Stores an uploaded word list file and resolves to its registry id.
+export function saveUploadedLexicon(file) {
+  const id = UPLOAD_PREFIX + file.name.replace(/\.[^.]*$/, '');
+  return file.text().then(text => {
+    if (parseWordList(text).length === 0) throw new Error(`${file.name} has no usable words.`);
+    return idbPut('lexicons', id, text).then(() => id);
+  });
+}
+
+// Drops the upload and every compiled graph built from it.
+export function deleteUploadedLexicon(id) {
+  return idbDelete('lexicons', id)
+    .then(() => idbKeys('graphs'))
+    .then(keys => Promise.all(keys.filter(k => k === id || k.startsWith(`${id}+`)).map(k => idbDelete('graphs', k))));
+}
@@ -1,692 +1,343 @@
 import { useState, useEffect, useCallback, useRef } from "react";
-
-// ─── TILE VALUES ────────────────────────────────────────────────
-const TV = {A:1,B:3,C:3,D:2,E:1,F:4,G:2,H:4,I:1,J:8,K:5,L:1,M:3,N:1,O:1,P:3,Q:10,R:1,S:1,T:1,U:1,V:4,W:4,X:8,Y:4,Z:10};
-
-// ─── OFFICIAL SCRABBLE BOARD PREMIUM SQUARES (0-indexed) ────────
-const BOARD_TEMPLATE = (() => {
-  const b = Array(15).fill(null).map(() => Array(15).fill('.'));
-  [[0,0],[0,7],[0,14],[7,0],[7,14],[14,0],[14,7],[14,14]].forEach(([r,c]) => { b[r][c]='TW'; });
-  [[1,1],[2,2],[3,3],[4,4],[1,13],[2,12],[3,11],[4,10],
-   [13,1],[12,2],[11,3],[10,4],[13,13],[12,12],[11,11],[10,10],[7,7]].forEach(([r,c]) => { b[r][c]='DW'; });
-  [[1,5],[1,9],[5,1],[5,5],[5,9],[5,13],[9,1],[9,5],[9,9],[9,13],[13,5],[13,9]].forEach(([r,c]) => { b[r][c]='TL'; });
-  [[0,3],[0,11],[2,6],[2,8],[3,0],[3,7],[3,14],[6,2],[6,6],[6,8],[6,12],
-   [7,3],[7,11],[8,2],[8,6],[8,8],[8,12],[11,0],[11,7],[11,14],[12,6],[12,8],[14,3],[14,11]].forEach(([r,c]) => { b[r][c]='DL'; });
-  return b;
-})();
+import {
+  TV, getPremium, createLexicon,
+  scoreOneWord, scorePlay, defenseScore, validatePlacement, unseenTiles,
+  randomSeed, playCoordinate, playEquity, samePlay,
+  defenseBreakdown,
+  BLANK, isDesignatedBlank, tileOf, shuffle, exchangeMove, passMove, moveLabel,
+  WORD_DRILLS, BINGO_TIERS, exchangeAllowed, CHALLENGE_RULES, canChallenge,
+  ROUND_TIMERS, formatClock,
+  skillProfile, dueReviews, SCENARIO_TAGS,
+} from "./engine/index.js";
+import UnseenTiles from "./components/UnseenTiles.jsx";
+import BlankPicker from "./components/BlankPicker.jsx";
+import HistoryScreen from "./components/HistoryScreen.jsx";
+import ScenarioCodeBar from "./components/ScenarioCodeBar.jsx";
+import ImportPanel from "./components/ImportPanel.jsx";
+import ExportPanel from "./components/ExportPanel.jsx";
+import MoveList from "./components/MoveList.jsx";
+import GradingToggle from "./components/GradingToggle.jsx";
+import StatsPanel from "./components/StatsPanel.jsx";
+import RackTile from "./components/RackTile.jsx";
+import WordDrill from "./components/WordDrill.jsx";
+import GameLog from "./components/GameLog.jsx";
+import GameStatus from "./components/GameStatus.jsx";
+import GameScoreboard from "./components/GameScoreboard.jsx";
+import DrillSettings from "./components/DrillSettings.jsx";
+import BlitzBar from "./components/BlitzBar.jsx";
+import GameOver from "./components/GameOver.jsx";
+import SimulationResults from "./components/SimulationResults.jsx";
+import DefenseExplanation, { defenseMarks } from "./components/DefenseExplanation.jsx";
+import { createSimulator } from "./workers/simulator.js";
+import { createScenarioGenerator } from "./workers/scenarioGenerator.js";
+import { useGame } from "./hooks/useGame.js";
+import LexiconPicker from "./components/LexiconPicker.jsx";
+import { DEFAULT_LEXICON, listLexicons, loadLexicon, saveUploadedLexicon, deleteUploadedLexicon } from "./lexicons/registry.js";
+import { premColors, premLabels, smallButton } from "./components/theme.js";
+import { loadHistory, appendRound, clearHistory, summarize } from "./storage/history.js";
+import { loadSetting, saveSetting } from "./storage/settings.js";
+import { loadWordDrillLog, appendWordDrill, summarizeWordDrills } from "./storage/wordDrillLog.js";
+
+// Defense simulation: how many candidates (by heuristic) and opponent racks.
+const SIM_CANDIDATES = 8;
+const SIM_ITERATIONS = 24;
+
+const appStyle = { minHeight: '100vh', background: 'linear-gradient(180deg,#1a1a2e 0%,#16213e 50%,#0f3460 100%)', fontFamily: "'Palatino Linotype','Book Antiqua',Palatino,serif", color: '#fff', padding: '10px 14px', boxSizing: 'border-box', userSelect: 'none', touchAction: 'manipulation' };
+const rackButton = { ...smallButton, padding: '2px 10px' };
+const secondaryButton = { flex: 1, padding: '8px 0', background: '#2a2a3e', color: '#aaa', border: '1px solid #444', borderRadius: 6, fontSize: 12, fontWeight: 600, cursor: 'pointer', letterSpacing: 1, fontFamily: "'Palatino Linotype',serif" };
+const titleStyle = { margin: 0, fontSize: 20, fontWeight: 700, letterSpacing: 4, textTransform: 'uppercase', background: 'linear-gradient(90deg,#c9a44a,#f0dcc0,#c9a44a)', WebkitBackgroundClip: 'text', WebkitTextFillColor: 'transparent' };
 
 // ─── REACT APP ──────────────────────────────────────────────────
 export default function ScrabbleTrainer() {
   // Dictionary state
-  const [WORD_SET, setWordSet] = useState(new Set());
-  const [WORD_LIST, setWordList] = useState([]);
+  const [lexicon, setLexicon] = useState(() => createLexicon([]));
   const [isLoadingDict, setIsLoadingDict] = useState(true);
+  const [lexiconId, setLexiconId] = useState(() => loadSetting('lexicon', DEFAULT_LEXICON));
+  const [overlayIds, setOverlayIds] = useState(() => loadSetting('lexiconOverlays', []));
+  const [lexicons, setLexicons] = useState([]);
+  const [lexiconError, setLexiconError] = useState(null);
   
   // Game state
-  const [scenario, setScenario] = useState(null);
+  const [drillScenario, setScenario] = useState(null);
   const [placed, setPlaced] = useState({});
+  const [placedOrder, setPlacedOrder] = useState([]); // Keys of `placed` in the order the tiles were laid
   const [selRack, setSelRack] = useState(null);
-  const [round, setRound] = useState('offense');
+  const [drillRound, setRound] = useState('offense');
   const [offResult, setOffResult] = useState(null);
   const [defResult, setDefResult] = useState(null);
   const [error, setError] = useState(null);
-  const [stats, setStats] = useState({ played: 0, offOk: 0, defOk: 0 });
+  const [history, setHistory] = useState(() => loadHistory());
+  const [view, setView] = useState('drill'); // 'drill' | 'history'
+  const [mode, setMode] = useState(() => loadSetting('drillMode', 'strategy')); // 'strategy' | 'game' | 'pass-play' or a WORD_DRILLS key
+  const [roundTimer, setRoundTimer] = useState(() => loadSetting('roundTimer', 'off')); // a ROUND_TIMERS key
+  const [turnStartedAt, setTurnStartedAt] = useState(null); // When the current offense or defense round began
+  const [blitz, setBlitz] = useState(null); // { minutes, endsAt, played, solved } while a blitz session runs
+  const [blitzResult, setBlitzResult] = useState(null); // The last finished session, plus whether it was a best
+  const [now, setNow] = useState(() => Date.now()); // Ticks while a clock or countdown runs
+  const [bingoTier, setBingoTier] = useState(() => loadSetting('bingoTier', 'medium')); // a BINGO_TIERS key
+  const [wordLog, setWordLog] = useState(() => loadWordDrillLog());
+  const [offenseGrading, setOffenseGrading] = useState(() => loadSetting('offenseGrading', 'equity')); // 'equity' | 'score'
+  const [defenseGrading, setDefenseGrading] = useState(() => loadSetting('defenseGrading', 'heuristic')); // 'heuristic' | 'simulation'
+  const [boardSource, setBoardSource] = useState(() => loadSetting('boardSource', 'words')); // 'words' or a GAME_PHASES key
+  const [practice, setPractice] = useState(() => loadSetting('practice', 'adaptive')); // 'adaptive' | 'random'
+  const [scenarioTag, setScenarioTag] = useState(() => loadSetting('scenarioTag', 'any')); // 'any' or a SCENARIO_TAGS key
+  const [simProgress, setSimProgress] = useState(null); // { done, total } while a simulation runs
+  const simulatorRef = useRef(null);
+  const simJobRef = useRef(0); // Bumped per scenario so stale simulations are ignored
+  const generatorRef = useRef(null);
+  const loadRef = useRef(null); // { generator, id } of the scenario request in flight
+  const choiceRef = useRef(null); // { history, practice, scenarioTag } as of the last render, for load()
+  const skippedReviewsRef = useRef(new Set()); // Review codes that failed to load
+  const [genProgress, setGenProgress] = useState(null); // { done, total } while a scenario is being built
   const [loading, setLoading] = useState(true);
   const [drag, setDrag] = useState(null);
+  const [blankPick, setBlankPick] = useState(null); // Square waiting for a blank's letter
+  const [preview, setPreview] = useState(null); // Play from the move list shown on the board
+  const [explain, setExplain] = useState(null); // 'user' | 'best': defense breakdown shown on the board
   const [rackOrder, setRackOrder] = useState([0,1,2,3,4,5,6]); // Track rack arrangement
+  const [cursor, setCursor] = useState(null); // Keyboard cursor { r, c, horizontal }
+  const [exchangeSel, setExchangeSel] = useState(null); // Rack indices picked to exchange, while choosing
   const boardRef = useRef(null);
   const rackRef = useRef(null);
 
-  // Load TWL06 dictionary on mount
+  // Full games run on the same board and rack UI as the drills, with the
+  // game's position standing in for the scenario (see hooks/useGame.js).
+  const gameFlow = useGame(mode, lexicon, {
+    onNewRack: (rack) => { resetBoardState(); setRackOrder(rack.map((_, i) => i)); },
+    onError: setError,
+  });
+  const { inGame, versus, game, players, viewer, rackHidden } = gameFlow;
+  const scenario = inGame ? game && { board: game.board, rack: game.racks[viewer], premiumsUsed: game.premiumsUsed } : drillScenario;
+  const round = inGame ? (gameFlow.playable ? 'offense' : 'done') : drillRound;
+
+  useEffect(() => { listLexicons().then(setLexicons); }, []);
+
+  // Load the chosen lexicon, falling back to the default if it's missing.
+  // A load overtaken by another pick is ignored, however late it lands.
   useEffect(() => {
-    fetch('/TWL06.txt')
-      .then(response => response.text())
-      .then(text => {
-        const words = text.split('\n')
-          .map(w => w.trim().toUpperCase())
-          .filter(w => w.length >= 2 && w.length <= 15 && /^[A-Z]+$/.test(w));
-        
-        // Add any post-2006 words commonly accepted
-        const additions = ['EMOJI', 'EMOJIS', 'SELFIE', 'SELFIES', 'HASHTAG', 'HASHTAGS'];
-        additions.forEach(w => words.push(w));
-        
-        const wordSet = new Set(words);
-        const wordList = [...wordSet].sort((a, b) => a.length - b.length || a.localeCompare(b));
-        
-        setWordSet(wordSet);
-        setWordList(wordList);
+    let cancelled = false;
+    setIsLoadingDict(true);
+    loadLexicon(lexiconId, overlayIds)
+      .then(lex => {
+        if (cancelled) return;
+        setLexicon(lex);
         setIsLoadingDict(false);
       })
       .catch(error => {
+        if (cancelled) return;
         console.error('Failed to load dictionary:', error);
-        setIsLoadingDict(false);
+        if (lexiconId !== DEFAULT_LEXICON) selectLexicon(DEFAULT_LEXICON, error.message);
+        else { setLexiconError(error.message); setIsLoadingDict(false); }
       });
-  }, []);
-
-  // ─── BOARD GENERATION ───────────────────────────────────────────
-  const buildConnectedBoard = useCallback(() => {
-    if (WORD_LIST.length === 0) return null;
-    
-    const board = Array(15).fill(null).map(() => Array(15).fill(null));
-    const premiumsUsed = {};
-    const pool = WORD_LIST.filter(w => w.length >= 3 && w.length <= 6);
-
-    function getLetterAt(r, c) { return board[r] && board[r][c]; }
-
-    function canPlaceWord(word, row, col, horizontal) {
-      const len = word.length;
-      if (horizontal) { if (col + len > 15) return false; }
-      else { if (row + len > 15) return false; }
-
-      for (let i = 0; i < len; i++) {
-        const r = horizontal ? row : row + i;
-        const c = horizontal ? col + i : col;
-        const existing = getLetterAt(r, c);
-        if (existing !== null && existing !== word[i]) return false;
-      }
-
-      if (horizontal) {
-        if (col > 0 && getLetterAt(row, col - 1) !== null) return false;
-        if (col + len < 15 && getLetterAt(row, col + len) !== null) return false;
-      } else {
-        if (row > 0 && getLetterAt(row - 1, col) !== null) return false;
-        if (row + len < 15 && getLetterAt(row + len, col) !== null) return false;
-      }
-
-      for (let i = 0; i < len; i++) {
-        const r = horizontal ? row : row + i;
-        const c = horizontal ? col + i : col;
-        if (getLetterAt(r, c) !== null) continue;
-
-        if (horizontal) {
-          const above = getLetterAt(r - 1, c);
-          const below = getLetterAt(r + 1, c);
-          if (above !== null || below !== null) {
-            let cw = '';
-            let cr = r;
-            while (cr > 0 && getLetterAt(cr - 1, c) !== null) cr--;
-            while (cr < 15) {
-              const ch = (cr === r) ? word[i] : getLetterAt(cr, c);
-              if (ch === null) break;
-              cw += ch;
-              cr++;
-            }
-            if (cw.length > 1 && !WORD_SET.has(cw)) return false;
-          }
-        } else {
-          const left = getLetterAt(r, c - 1);
-          const right = getLetterAt(r, c + 1);
-          if (left !== null || right !== null) {
-            let cw = '';
-            let cc = c;
-            while (cc > 0 && getLetterAt(r, cc - 1) !== null) cc--;
-            while (cc < 15) {
-              const ch = (cc === c) ? word[i] : getLetterAt(r, cc);
-              if (ch === null) break;
-              cw += ch;
-              cc++;
-            }
-            if (cw.length > 1 && !WORD_SET.has(cw)) return false;
-          }
-        }
-      }
-      return true;
-    }
-
-    function placeWord(word, row, col, horizontal) {
-      if (!WORD_SET.has(word)) {
-        console.warn(`Skipping invalid word: ${word}`);
-        return false;
-      }
-      for (let i = 0; i < word.length; i++) {
-        const r = horizontal ? row : row + i;
-        const c = horizontal ? col + i : col;
-        board[r][c] = word[i];
-        premiumsUsed[`${r},${c}`] = true;
-      }
-      return true;
-    }
-
-    function sharesLetter(word, row, col, horizontal) {
-      for (let i = 0; i < word.length; i++) {
-        const r = horizontal ? row : row + i;
-        const c = horizontal ? col + i : col;
-        if (getLetterAt(r, c) !== null) return true;
-      }
-      return false;
-    }
-
-    function shuffle(arr) {
-      const a = [...arr];
-      for (let i = a.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
-        [a[i], a[j]] = [a[j], a[i]];
-      }
-      return a;
-    }
+    return () => { cancelled = true; };
+  }, [lexiconId, overlayIds]);
 
-    const firstWords = shuffle(pool.filter(w => w.length >= 3 && w.length <= 5));
-    let placed = false;
-    for (const w of firstWords) {
-      const col = 7 - Math.floor(w.length / 2);
-      if (col >= 0 && col + w.length <= 15) {
-        if (placeWord(w, 7, col, true)) {
-          placed = true;
-          break;
-        }
-      }
-    }
-    if (!placed) return null;
-
-    let attempts = 0;
-    while (attempts < 200) {
-      attempts++;
-      const word = pool[Math.floor(Math.random() * pool.length)];
-      const tiles = [];
-      for (let r = 0; r < 15; r++)
-        for (let c = 0; c < 15; c++)
-          if (board[r][c] !== null) tiles.push({ r, c, letter: board[r][c] });
-
-      if (tiles.length === 0) break;
-      const anchor = tiles[Math.floor(Math.random() * tiles.length)];
-      const matchPositions = [];
-      for (let i = 0; i < word.length; i++) {
-        if (word[i] === anchor.letter) matchPositions.push(i);
-      }
-      if (matchPositions.length === 0) continue;
-
-      const matchIdx = matchPositions[Math.floor(Math.random() * matchPositions.length)];
-      const horizontal = Math.random() < 0.5;
-      let row, col;
-      if (horizontal) {
-        row = anchor.r;
-        col = anchor.c - matchIdx;
-      } else {
-        row = anchor.r - matchIdx;
-        col = anchor.c;
-      }
+  const selectLexicon = (id, message = null) => {
+    setLexiconError(message);
+    setLexiconId(id);
+    saveSetting('lexicon', id);
+  };
 
-      if (row < 0 || col < 0) continue;
-      if (horizontal && col + word.length > 15) continue;
-      if (!horizontal && row + word.length > 15) continue;
-
-      if (canPlaceWord(word, row, col, horizontal) && sharesLetter(word, row, col, horizontal)) {
-        placeWord(word, row, col, horizontal);
-        const tileCount = tiles.length + word.length - matchPositions.filter(i => {
-          const r = horizontal ? row : row + i;
-          const c = horizontal ? col + i : col;
-          return getLetterAt(r, c) !== null;
-        }).length;
-        if (tileCount >= 18 && Math.random() < 0.4) break;
-        if (tileCount >= 40) break;
-      }
-    }
+  const toggleOverlay = (id) => {
+    const next = overlayIds.includes(id) ? overlayIds.filter(o => o !== id) : [...overlayIds, id];
+    setOverlayIds(next);
+    saveSetting('lexiconOverlays', next);
+  };
 
-    // Final validation: check all words on board are valid
-    const allWordsValid = [];
-    // Check horizontal words
-    for (let r = 0; r < 15; r++) {
-      let c = 0;
-      while (c < 15) {
-        if (board[r][c] === null) { c++; continue; }
-        let start = c;
-        let word = '';
-        while (c < 15 && board[r][c] !== null) {
-          word += board[r][c];
-          c++;
-        }
-        if (word.length >= 2) {
-          if (!WORD_SET.has(word)) {
-            console.error(`Invalid horizontal word on board: ${word}`);
-            return null; // Reject this board
-          }
-          allWordsValid.push(word);
-        }
-      }
-    }
-    // Check vertical words
-    for (let c = 0; c < 15; c++) {
-      let r = 0;
-      while (r < 15) {
-        if (board[r][c] === null) { r++; continue; }
-        let start = r;
-        let word = '';
-        while (r < 15 && board[r][c] !== null) {
-          word += board[r][c];
-          r++;
-        }
-        if (word.length >= 2) {
-          if (!WORD_SET.has(word)) {
-            console.error(`Invalid vertical word on board: ${word}`);
-            return null; // Reject this board
-          }
-          allWordsValid.push(word);
-        }
-      }
-    }
-    
-    return { board, premiumsUsed };
-  }, [WORD_LIST, WORD_SET]);
+  const uploadLexicon = (file) => {
+    saveUploadedLexicon(file)
+      .then(id => listLexicons().then(list => { setLexicons(list); selectLexicon(id); }))
+      .catch(error => setLexiconError(error.message));
+  };
 
-  // ─── FIND ALL VALID PLAYS ───────────────────────────────────────
-  const findAllValidPlays = useCallback((board, rack, premiumsUsed) => {
-    const plays = [];
-    const rackCount = {};
-    rack.forEach(t => { rackCount[t] = (rackCount[t] || 0) + 1; });
+  const removeLexicon = (id) => {
+    deleteUploadedLexicon(id)
+      .then(() => listLexicons().then(list => { setLexicons(list); selectLexicon(DEFAULT_LEXICON); }))
+      .catch(error => setLexiconError(error.message));
+  };
 
-    function getLetterAt(r, c) { return (r >= 0 && r < 15 && c >= 0 && c < 15) ? board[r][c] : null; }
+  // The simulation worker keeps its own copy of the lexicon.
+  useEffect(() => {
+    if (lexicon.size === 0) return;
+    const simulator = createSimulator(lexicon.dawg);
+    simulatorRef.current = simulator;
+    return () => { simulator.terminate(); simulatorRef.current = null; };
+  }, [lexicon]);
 
-    const anchors = new Set();
-    let hasTiles = false;
-    for (let r = 0; r < 15; r++) {
-      for (let c = 0; c < 15; c++) {
-        if (board[r][c] !== null) {
-          hasTiles = true;
-          [[r-1,c],[r+1,c],[r,c-1],[r,c+1]].forEach(([nr, nc]) => {
-            if (nr >= 0 && nr < 15 && nc >= 0 && nc < 15 && board[nr][nc] === null) {
-              anchors.add(`${nr},${nc}`);
-            }
-          });
-        }
-      }
-    }
+  // Scenarios are built off the main thread, which keeps a few ready.
+  useEffect(() => {
+    if (lexicon.size === 0) return;
+    const generator = createScenarioGenerator(lexicon.dawg, lexicon.name, boardSource === 'words' ? null : boardSource);
+    generatorRef.current = generator;
+    return () => { generator.terminate(); generatorRef.current = null; };
+  }, [lexicon, boardSource]);
+
+  // Clears everything the board and rack UI holds for the current turn.
+  const resetBoardState = () => {
+    clearTiles(); setSelRack(null);
+    setOffResult(null); setDefResult(null); setError(null); setDrag(null); setBlankPick(null); setPreview(null); setExplain(null); setCursor(null);
+    setSimProgress(null); simJobRef.current++;
+    setExchangeSel(null);
+  };
 
-    for (const word of WORD_LIST) {
-      if (word.length < 2) continue;
-
-      for (let horizontal = 0; horizontal <= 1; horizontal++) {
-        const isH = horizontal === 1;
-
-        for (let startR = 0; startR < 15; startR++) {
-          for (let startC = 0; startC < 15; startC++) {
-            if (isH && startC + word.length > 15) continue;
-            if (!isH && startR + word.length > 15) continue;
-
-            let valid = true;
-            let touchesExisting = false;
-            let usesNewTile = false;
-            const needed = { ...rackCount };
-            const positions = [];
-
-            for (let i = 0; i < word.length; i++) {
-              const r = isH ? startR : startR + i;
-              const c = isH ? startC + i : startC;
-              positions.push([r, c]);
-              const existing = board[r][c];
-
-              if (existing !== null) {
-                if (existing !== word[i]) { valid = false; break; }
-                touchesExisting = true;
-              } else {
-                if (!needed[word[i]] || needed[word[i]] <= 0) { valid = false; break; }
-                needed[word[i]]--;
-                usesNewTile = true;
-              }
-            }
-
-            if (!valid || !touchesExisting || !usesNewTile) continue;
-
-            if (isH) {
-              if (startC > 0 && getLetterAt(startR, startC - 1) !== null) continue;
-              if (startC + word.length < 15 && getLetterAt(startR, startC + word.length) !== null) continue;
-            } else {
-              if (startR > 0 && getLetterAt(startR - 1, startC) !== null) continue;
-              if (startR + word.length < 15 && getLetterAt(startR + word.length, startC) !== null) continue;
-            }
-
-            let crossValid = true;
-            for (let i = 0; i < word.length && crossValid; i++) {
-              const r = isH ? startR : startR + i;
-              const c = isH ? startC + i : startC;
-              if (board[r][c] !== null) continue;
-
-              if (isH) {
-                const above = getLetterAt(r - 1, c);
-                const below = getLetterAt(r + 1, c);
-                if (above !== null || below !== null) {
-                  let cw = '';
-                  let cr = r;
-                  while (cr > 0 && getLetterAt(cr - 1, c) !== null) cr--;
-                  while (cr < 15) {
-                    const ch = (cr === r) ? word[i] : getLetterAt(cr, c);
-                    if (ch === null) break;
-                    cw += ch;
-                    cr++;
-                  }
-                  if (cw.length > 1 && !WORD_SET.has(cw)) crossValid = false;
-                }
-              } else {
-                const left = getLetterAt(r, c - 1);
-                const right = getLetterAt(r, c + 1);
-                if (left !== null || right !== null) {
-                  let cw = '';
-                  let cc = c;
-                  while (cc > 0 && getLetterAt(r, cc - 1) !== null) cc--;
-                  while (cc < 15) {
-                    const ch = (cc === c) ? word[i] : getLetterAt(r, cc);
-                    if (ch === null) break;
-                    cw += ch;
-                    cc++;
-                  }
-                  if (cw.length > 1 && !WORD_SET.has(cw)) crossValid = false;
-                }
-              }
-            }
-            if (!crossValid) continue;
-
-            const score = scorePlay(word, positions, board, premiumsUsed, isH);
-            plays.push({ word, row: startR, col: startC, horizontal: isH, score, positions });
-          }
-        }
-      }
+  choiceRef.current = { history, practice, scenarioTag };
+
+  // Loads the scenario for `code` (see engine/scenarioCode.js), or a fresh
+  // random one, and mirrors its code into the URL hash for sharing. A
+  // chosen tag limits random scenarios to that kind; otherwise, in adaptive
+  // practice, a missed position that is due comes back first (see
+  // engine/learner.js) and random scenarios lean towards weak skills.
+  const load = useCallback((code = null) => {
+    const generator = generatorRef.current;
+    if (lexicon.size === 0 || !generator) return; // Wait for dictionary
+
+    const tag = choiceRef.current.scenarioTag === 'any' ? null : choiceRef.current.scenarioTag;
+    let focus = null;
+    let reviewCode = null;
+    if (!code && !tag && choiceRef.current.practice === 'adaptive') {
+      const { history: past } = choiceRef.current;
+      const due = dueReviews(past, lexicon.name, Date.now()).filter(r => !skippedReviewsRef.current.has(r.code));
+      if (due.length > 0) code = reviewCode = due[0].code;
+      const profile = skillProfile(past);
+      focus = Object.fromEntries(Object.entries(profile).map(([skill, p]) => [skill, p.weakness]));
     }
 
-    const seen = new Set();
-    return plays.filter(p => {
-      const key = `${p.word}|${p.row}|${p.col}|${p.horizontal}`;
-      if (seen.has(key)) return false;
-      seen.add(key);
-      return true;
-    });
-  }, [WORD_LIST, WORD_SET]);
-
-  // ─── SCORING ────────────────────────────────────────────────────
-  function getPremium(r, c) {
-    return BOARD_TEMPLATE[r][c] === '.' ? null : BOARD_TEMPLATE[r][c];
-  }
-
-  function scorePlay(word, positions, board, premiumsUsed, isHorizontal) {
-    let mainScore = scoreOneWord(word, positions, board, premiumsUsed);
-
-    for (let i = 0; i < word.length; i++) {
-      const [r, c] = positions[i];
-      if (board[r][c] !== null) continue;
-
-      let crossWord = '';
-      let crossPositions = [];
-
-      if (isHorizontal) {
-        let cr = r;
-        while (cr > 0 && board[cr-1][c] !== null) cr--;
-        while (cr < 15) {
-          const ch = (cr === r) ? word[i] : board[cr][c];
-          if (ch === null) break;
-          crossWord += ch;
-          crossPositions.push([cr, c]);
-          cr++;
+    setLoading(true);
+    resetBoardState();
+    setRound('offense');
+    setGenProgress(null);
+    if (loadRef.current) loadRef.current.generator.cancel(loadRef.current.id);
+
+    const request = (c, t = null) => {
+      const { id, result } = generator.generate(c, (done, total) => {
+        if (loadRef.current && loadRef.current.id === id) setGenProgress({ done, total });
+      }, { focus, tag: c ? null : t });
+      const job = { generator, id };
+      loadRef.current = job;
+      result.then(s => {
+        if (loadRef.current !== job) return;
+        if (c && !s) {
+          // A review that no longer rebuilds (say the lexicon changed) is
+          // dropped for the session rather than retried on every load.
+          if (c === reviewCode) skippedReviewsRef.current.add(c);
+          else setError(`Scenario code "${c}" could not be loaded; here is a random one instead.`);
+          request(null, t);
+          return;
         }
-      } else {
-        let cc = c;
-        while (cc > 0 && board[r][cc-1] !== null) cc--;
-        while (cc < 15) {
-          const ch = (cc === c) ? word[i] : board[r][cc];
-          if (ch === null) break;
-          crossWord += ch;
-          crossPositions.push([r, cc]);
-          cc++;
+        if (!c && t && !s) {
+          setError(`No "${SCENARIO_TAGS[t].label}" scenario turned up; here is one of any kind.`);
+          request(null);
+          return;
         }
-      }
-
-      if (crossWord.length > 1) {
-        mainScore += scoreOneWord(crossWord, crossPositions, board, premiumsUsed);
-      }
-    }
-
-    const newTiles = positions.filter(([r,c]) => board[r][c] === null).length;
-    if (newTiles === 7) mainScore += 50;
-
-    return mainScore;
-  }
-
-  function scoreOneWord(word, positions, board, premiumsUsed) {
-    let wordScore = 0;
-    let wordMult = 1;
-
-    for (let i = 0; i < word.length; i++) {
-      const [r, c] = positions[i];
-      const key = `${r},${c}`;
-      let letterVal = TV[word[i]] || 0;
-      const isNew = board[r][c] === null;
-
-      if (isNew && !premiumsUsed[key]) {
-        const prem = getPremium(r, c);
-        if (prem === 'DL') letterVal *= 2;
-        else if (prem === 'TL') letterVal *= 3;
-        else if (prem === 'DW') wordMult *= 2;
-        else if (prem === 'TW') wordMult *= 3;
-      }
-      wordScore += letterVal;
-    }
-    return wordScore * wordMult;
-  }
-
-  // ─── DEFENSE HEURISTIC ──────────────────────────────────────────
-  function defenseScore(play, board) {
-    let score = 0;
-
-    play.positions.forEach(([r, c]) => {
-      if (board[r][c] !== null) return;
-      const prem = getPremium(r, c);
-      if (prem === 'TW') score += 60;
-      else if (prem === 'DW') score += 25;
-      else if (prem === 'TL') score += 15;
-      else if (prem === 'DL') score += 8;
-    });
-
-    const twSquares = [[0,0],[0,7],[0,14],[7,0],[7,14],[14,0],[14,7],[14,14]];
-    play.positions.forEach(([r, c]) => {
-      if (board[r][c] !== null) return;
-      twSquares.forEach(([tr, tc]) => {
-        if ((r === tr || c === tc) && Math.abs(r - tr) + Math.abs(c - tc) <= 5) {
-          score -= 12;
+        loadRef.current = null;
+        if (s) {
+          s.lexicon = lexicon.name;
+          s.review = c !== null && c === reviewCode;
+          window.history.replaceState(null, '', `#${s.code}`);
         }
+        setScenario(s);
+        setRackOrder(s ? s.rack.map((_, i) => i) : []); // Reset rack arrangement
+        setGenProgress(null);
+        setLoading(false);
+        setTurnStartedAt(Date.now());
+      }).catch(err => {
+        // Cancelled and shut-down requests have already been replaced.
+        if (loadRef.current !== job) return;
+        loadRef.current = null;
+        setError(`Scenario generation failed: ${err.message}`);
+        setGenProgress(null);
+        setLoading(false);
       });
-    });
-
-    play.positions.forEach(([r, c]) => {
-      if (board[r][c] !== null) return;
-      const dist = Math.abs(r - 7) + Math.abs(c - 7);
-      score -= dist * 1.5;
-    });
-
-    score -= play.word.length * 2;
-
-    return score;
-  }
-
-  // ─── GENERATE FULL SCENARIO ─────────────────────────────────────
-  const generateScenario = useCallback(() => {
-    let boardData = null;
-    for (let attempt = 0; attempt < 20; attempt++) {
-      boardData = buildConnectedBoard();
-      if (boardData) break;
-    }
-    if (!boardData) return null;
-    const { board, premiumsUsed } = boardData;
-
-    const commonLetters = 'AEIOUNRSTLCDGHM';
-    const rareLetters = 'PBFYWVKJXQZ';
-    const rack = [];
-    for (let i = 0; i < 7; i++) {
-      if (Math.random() < 0.75) {
-        rack.push(commonLetters[Math.floor(Math.random() * commonLetters.length)]);
-      } else {
-        rack.push(rareLetters[Math.floor(Math.random() * rareLetters.length)]);
-      }
-    }
-
-    const validPlays = findAllValidPlays(board, rack, premiumsUsed);
-    if (validPlays.length < 4) return null;
-
-    validPlays.sort((a, b) => b.score - a.score);
-    const bestOffensive = validPlays[0];
-
-    const withDef = validPlays.map(p => ({ ...p, defScore: defenseScore(p, board) }));
-    withDef.sort((a, b) => b.defScore - a.defScore);
-    const bestDefensive = withDef[0];
-
-    return { board, rack, premiumsUsed, bestOffensive, bestDefensive };
-  }, [buildConnectedBoard, findAllValidPlays]);
-
-  // ─── VALIDATE USER'S PLACED TILES ──────────────────────────────
-  const validatePlacement = useCallback((board, placed, premiumsUsed) => {
-    const keys = Object.keys(placed);
-    if (keys.length === 0) return { valid: false, error: "Place at least one tile." };
-
-    const coords = keys.map(k => { const [r, c] = k.split(',').map(Number); return { r, c }; });
-    const rows = new Set(coords.map(p => p.r));
-    const cols = new Set(coords.map(p => p.c));
-
-    let isH;
-    if (rows.size === 1 && cols.size === 1) {
-      isH = null;
-    } else if (rows.size === 1) {
-      isH = true;
-    } else if (cols.size === 1) {
-      isH = false;
-    } else {
-      return { valid: false, error: "Tiles must all be in one row or one column." };
-    }
-
-    function extractWord(horizontal) {
-      let positions = [];
-      if (horizontal) {
-        const row = coords[0].r;
-        let minC = Math.min(...coords.map(p => p.c));
-        let maxC = Math.max(...coords.map(p => p.c));
-        while (minC > 0 && board[row][minC - 1] !== null) minC--;
-        while (maxC < 14 && board[row][maxC + 1] !== null) maxC++;
-        for (let c = minC; c <= maxC; c++) {
-          const letter = placed[`${row},${c}`] || board[row][c];
-          if (letter === null) return null;
-          positions.push({ r: row, c, letter });
-        }
-      } else {
-        const col = coords[0].c;
-        let minR = Math.min(...coords.map(p => p.r));
-        let maxR = Math.max(...coords.map(p => p.r));
-        while (minR > 0 && board[minR - 1][col] !== null) minR--;
-        while (maxR < 14 && board[maxR + 1][col] !== null) maxR++;
-        for (let r = minR; r <= maxR; r++) {
-          const letter = placed[`${r},${col}`] || board[r][col];
-          if (letter === null) return null;
-          positions.push({ r, c: col, letter });
-        }
-      }
-      return positions;
-    }
-
-    let wordPositions;
-    if (isH === null) {
-      const hW = extractWord(true);
-      const vW = extractWord(false);
-      if (hW && vW) {
-        if (vW.length > hW.length) { isH = false; wordPositions = vW; }
-        else { isH = true; wordPositions = hW; }
-      } else if (hW) { isH = true; wordPositions = hW; }
-      else if (vW) { isH = false; wordPositions = vW; }
-      else return { valid: false, error: "No word formed." };
-    } else {
-      wordPositions = extractWord(isH);
-    }
-
-    if (!wordPositions) return { valid: false, error: "There is a gap in your word." };
-    if (wordPositions.length < 2) return { valid: false, error: "Word must be at least 2 letters." };
-
-    const word = wordPositions.map(p => p.letter).join('');
-    const posArr = wordPositions.map(p => [p.r, p.c]);
+    };
+    request(code, tag);
+  }, [lexicon]);
+  
+  // Drills load on start and again on coming back from a game.
+  useEffect(() => { 
+    if (!isLoadingDict && mode === 'strategy') load(window.location.hash.slice(1) || null); 
+  }, [load, isLoadingDict, mode]);
 
-    if (!WORD_SET.has(word)) {
-      const placedLetters = keys.map(k => placed[k]).join('');
-      if (word !== placedLetters) {
-        return { valid: false, error: `"${word}" is not a valid word. (Your letters ${placedLetters} combined with adjacent board tiles to form "${word}".)` };
-      }
-      return { valid: false, error: `"${word}" is not a valid word.` };
-    }
+  // Switching board kinds deals a fresh scenario of the new kind.
+  const boardSourceRef = useRef(boardSource);
+  useEffect(() => {
+    if (boardSourceRef.current === boardSource) return;
+    boardSourceRef.current = boardSource;
+    load();
+  }, [boardSource, load]);
 
-    const touchesExisting = wordPositions.some(p => board[p.r][p.c] !== null);
-    
-    let formsValidCrossWord = false;
-    for (const { r, c, letter } of wordPositions) {
-      if (board[r][c] !== null) continue;
-      
-      let cw = '';
-      if (isH) {
-        let cr = r;
-        while (cr > 0 && board[cr - 1][c] !== null) cr--;
-        while (cr < 15) {
-          const ch = (cr === r) ? letter : board[cr][c];
-          if (ch === null) break;
-          cw += ch; cr++;
-        }
-      } else {
-        let cc = c;
-        while (cc > 0 && board[r][cc - 1] !== null) cc--;
-        while (cc < 15) {
-          const ch = (cc === c) ? letter : board[r][cc];
-          if (ch === null) break;
-          cw += ch; cc++;
-        }
-      }
-      if (cw.length > 1 && WORD_SET.has(cw)) {
-        formsValidCrossWord = true;
-        break;
-      }
-    }
-    
-    if (!touchesExisting && !formsValidCrossWord) {
-      return { valid: false, error: "Your word must connect to the existing board." };
-    }
+  // So does picking a different kind of scenario to drill.
+  const scenarioTagRef = useRef(scenarioTag);
+  useEffect(() => {
+    if (scenarioTagRef.current === scenarioTag) return;
+    scenarioTagRef.current = scenarioTag;
+    load();
+  }, [scenarioTag, load]);
 
-    for (const { r, c, letter } of wordPositions) {
-      if (board[r][c] !== null) continue;
-      let cw = '', cp = [];
-      if (isH) {
-        let cr = r;
-        while (cr > 0 && board[cr - 1][c] !== null) cr--;
-        while (cr < 15) {
-          const ch = (cr === r) ? letter : board[cr][c];
-          if (ch === null) break;
-          cw += ch; cp.push([cr, c]); cr++;
-        }
-      } else {
-        let cc = c;
-        while (cc > 0 && board[r][cc - 1] !== null) cc--;
-        while (cc < 15) {
-          const ch = (cc === c) ? letter : board[r][cc];
-          if (ch === null) break;
-          cw += ch; cp.push([r, cc]); cc++;
-        }
-      }
-      if (cw.length > 1 && !WORD_SET.has(cw))
-        return { valid: false, error: `Cross-word "${cw}" is not valid.` };
-    }
+  // Pasting a scenario link into the address bar only changes the hash.
+  useEffect(() => {
+    const onHashChange = () => {
+      const code = window.location.hash.slice(1);
+      if (code && mode === 'strategy' && (!scenario || code !== scenario.code)) { setView('drill'); load(code); }
+    };
+    window.addEventListener('hashchange', onHashChange);
+    return () => window.removeEventListener('hashchange', onHashChange);
+  }, [load, scenario, mode]);
+
+  // Drill rounds count down from ROUND_TIMERS, and a blitz session from its
+  // length; either keeps `now` ticking, as does a running game clock.
+  const roundLimit = ROUND_TIMERS[roundTimer];
+  const ticking = inGame
+    ? !!(game && game.clock.running !== null)
+    : mode === 'strategy' && ((round !== 'done' && !!roundLimit) || !!blitz);
+  useEffect(() => {
+    if (!ticking) return;
+    const timer = setInterval(() => setNow(Date.now()), 250);
+    return () => clearInterval(timer);
+  }, [ticking]);
+
+  // Seconds since the current round began, to a tenth.
+  const answerSeconds = () => Math.round((Date.now() - turnStartedAt) / 100) / 10;
+
+  // Running out of time answers the round with nothing: a pass that can't
+  // be right.
+  const onTimeUp = () => {
+    const timedOut = { ...passMove(scenario.rack), seconds: roundLimit, timedOut: true };
+    setError(null); setBlankPick(null); setDrag(null); setCursor(null);
+    if (round === 'offense') gradeOffense(timedOut);
+    else finishDefense({ ...timedOut, defScore: 0, grading: 'heuristic', match: false });
+  };
+  // The timer calls whichever onTimeUp the latest render made, so it sees
+  // the state as it is when time runs out rather than when it was set.
+  const onTimeUpRef = useRef(onTimeUp);
+  onTimeUpRef.current = onTimeUp;
 
-    const score = scorePlay(word, posArr, board, premiumsUsed, isH);
-    return { valid: true, word, positions: posArr, horizontal: isH, score };
-  }, [WORD_SET]);
+  useEffect(() => {
+    if (mode !== 'strategy' || !roundLimit || loading || !scenario || round === 'done' || simProgress || turnStartedAt === null) return;
+    const timer = setTimeout(() => onTimeUpRef.current(), Math.max(0, turnStartedAt + roundLimit * 1000 - Date.now()));
+    return () => clearTimeout(timer);
+  }, [mode, roundLimit, loading, scenario, round, simProgress, turnStartedAt]);
 
-  const load = useCallback(() => {
-    if (WORD_LIST.length === 0) return; // Wait for dictionary
-    
-    setLoading(true);
-    setPlaced({}); setSelRack(null); setRound('offense');
-    setOffResult(null); setDefResult(null); setError(null); setDrag(null);
-    setRackOrder([0,1,2,3,4,5,6]); // Reset rack arrangement
-    setTimeout(() => {
-      let s = null;
-      for (let i = 0; i < 40; i++) { s = generateScenario(); if (s) break; }
-      setScenario(s);
-      setLoading(false);
-    }, 350);
-  }, [generateScenario, WORD_LIST.length]);
-  
-  useEffect(() => { 
-    if (!isLoadingDict) load(); 
-  }, [load, isLoadingDict]);
+  // A blitz session ends on its own; the best count per length is kept.
+  useEffect(() => {
+    if (!blitz) return;
+    const timer = setTimeout(() => {
+      const best = loadSetting('blitzBest', {});
+      const isBest = blitz.solved > (best[blitz.minutes] || 0);
+      if (isBest) saveSetting('blitzBest', { ...best, [blitz.minutes]: blitz.solved });
+      setBlitzResult({ ...blitz, isBest });
+      setBlitz(null);
+    }, Math.max(0, blitz.endsAt - Date.now()));
+    return () => clearTimeout(timer);
+  }, [blitz]);
+
+  const startBlitz = (minutes) => {
+    setBlitzResult(null);
+    setBlitz({ minutes, endsAt: Date.now() + minutes * 60000, played: 0, solved: 0 });
+    load();
+  };
 
   const usedCounts = {};
-  Object.values(placed).forEach(l => { usedCounts[l] = (usedCounts[l] || 0) + 1; });
+  Object.values(placed).map(tileOf).forEach(l => { usedCounts[l] = (usedCounts[l] || 0) + 1; });
   const rackUsed = scenario ? scenario.rack.map((letter, idx) => {
     let remaining = usedCounts[letter] || 0;
     let countBefore = 0;
@@ -721,24 +372,41 @@ export default function ScrabbleTrainer() {
     return null;
   };
 
+  // Lays `letter` on (r, c) for this turn, or lifts the tile there when
+  // `letter` is null, keeping track of the order the tiles went down in.
+  const setTile = (r, c, letter) => {
+    const key = `${r},${c}`;
+    setPlaced(prev => { const n = { ...prev }; if (letter === null) delete n[key]; else n[key] = letter; return n; });
+    setPlacedOrder(prev => [...prev.filter(k => k !== key), ...(letter === null ? [] : [key])]);
+  };
+
+  const clearTiles = () => { setPlaced({}); setPlacedOrder([]); };
+
   const doPlace = (rackIdx, r, c) => {
     if (round === 'done') return;
     if (scenario.board[r][c] !== null) return;
     if (placed[`${r},${c}`]) return;
-    setPlaced(prev => ({ ...prev, [`${r},${c}`]: scenario.rack[rackIdx] }));
     setSelRack(null);
     setError(null);
+    if (scenario.rack[rackIdx] === BLANK) { setBlankPick({ r, c }); return; }
+    setTile(r, c, scenario.rack[rackIdx]);
+  };
+
+  const onBlankPicked = (letter) => {
+    const { r, c } = blankPick;
+    setTile(r, c, letter.toLowerCase());
+    setBlankPick(null);
   };
 
   const doPickUp = (r, c) => {
     if (round === 'done') return;
-    setPlaced(prev => { const n = { ...prev }; delete n[`${r},${c}`]; return n; });
+    setTile(r, c, null);
     setError(null);
   };
 
   const onRackPointerDown = (e, displayPos) => {
     const actualIdx = rackOrder[displayPos];
-    if (rackUsed[actualIdx] || round === 'done') return;
+    if (rackUsed[actualIdx] || round === 'done' || exchangeSel) return;
     e.preventDefault();
     e.currentTarget.setPointerCapture(e.pointerId);
     setDrag({ idx: actualIdx, displayPos, x: e.clientX, y: e.clientY, startedOnRack: true });
@@ -789,53 +457,302 @@ export default function ScrabbleTrainer() {
     if (placed[key]) { doPickUp(r, c); return; }
     if (selRack !== null && scenario.board[r][c] === null) {
       doPlace(selRack, r, c); // selRack is already the actual index
+      return;
     }
+    // Otherwise the click puts the keyboard cursor here; a second click turns it.
+    setCursor(cur => (cur && cur.r === r && cur.c === c ? { ...cur, horizontal: !cur.horizontal } : { r, c, horizontal: true }));
   };
 
   const onRackClick = (displayPos) => {
     const actualIdx = rackOrder[displayPos];
+    if (exchangeSel) {
+      setExchangeSel(sel => (sel.includes(actualIdx) ? sel.filter(i => i !== actualIdx) : [...sel, actualIdx]));
+      return;
+    }
     if (rackUsed[actualIdx] || round === 'done') return;
     setSelRack(selRack === actualIdx ? null : actualIdx);
   };
 
+  const shuffleRack = () => setRackOrder(prev => shuffle(prev, Math.random));
+  // Letters in order with blanks last, as most players sort a rack.
+  const alphabetizeRack = () => setRackOrder(prev => [...prev].sort((a, b) => {
+    const x = scenario.rack[a], y = scenario.rack[b];
+    return (x === BLANK) - (y === BLANK) || (x < y ? -1 : x > y ? 1 : 0);
+  }));
+  const recallTiles = () => { clearTiles(); setSelRack(null); setError(null); setBlankPick(null); };
+
+  // Grades an offense answer: a placement, or an exchange or pass (see
+  // engine/exchange.js). By equity those compete with the plays, so an
+  // exchange can be the right answer.
+  const gradeOffense = (move) => {
+    const byEquity = offenseGrading === 'equity';
+    const best = byEquity ? scenario.bestEquityTurn : scenario.bestOffensive;
+    // A small tolerance so floating-point leave sums can't cost a match.
+    const match = !move.timedOut && (byEquity ? move.equity >= best.equity - 1e-6 : move.score >= best.score);
+    const behind = Math.max(0, best.equity - move.equity);
+    setOffResult({ seconds: answerSeconds(), ...move, behind, grading: offenseGrading, match });
+    setRound('defense');
+    setTurnStartedAt(Date.now());
+    clearTiles();
+    setSelRack(null);
+    setExchangeSel(null);
+  };
+
+  const onExchange = () => {
+    if (!exchangeSel || exchangeSel.length === 0) return;
+    setError(null);
+    const move = exchangeMove(scenario.rack, exchangeSel.map(i => scenario.rack[i]));
+    if (inGame) gameFlow.playTurn(move);
+    else gradeOffense(move);
+  };
+
+  const onPass = () => {
+    setError(null);
+    if (inGame) gameFlow.playTurn(passMove(scenario.rack));
+    else gradeOffense(passMove(scenario.rack));
+  };
+
   const onSubmit = () => {
-    const v = validatePlacement(scenario.board, placed, scenario.premiumsUsed);
+    const allowPhonies = inGame && CHALLENGE_RULES[game.challengeRule].allowPhonies;
+    const v = validatePlacement(scenario.board, placed, scenario.premiumsUsed, lexicon, { allowPhonies });
     if (!v.valid) { setError(v.error); return; }
     setError(null);
-    if (round === 'offense') {
-      const match = scenario.bestOffensive && v.score >= scenario.bestOffensive.score;
-      setOffResult({ word: v.word, score: v.score, match });
-      setRound('defense');
-      setPlaced({});
-      setSelRack(null);
+    if (inGame) {
+      gameFlow.playTurn({ word: v.word, score: v.score, positions: v.positions, horizontal: v.horizontal });
+    } else if (round === 'offense') {
+      const { equity, leave } = playEquity(v, scenario.rack, scenario.board);
+      gradeOffense({ word: v.word, score: v.score, equity, leave, positions: v.positions, horizontal: v.horizontal });
     } else {
       const userDefScore = defenseScore({ positions: v.positions, word: v.word }, scenario.board);
+      const base = { word: v.word, score: v.score, defScore: userDefScore, positions: v.positions, horizontal: v.horizontal, seconds: answerSeconds() };
+      if (defenseGrading === 'simulation' && simulatorRef.current) {
+        simulateDefense(base);
+        return;
+      }
       const match = scenario.bestDefensive && userDefScore >= scenario.bestDefensive.defScore;
-      setDefResult({ word: v.word, score: v.score, match });
-      setRound('done');
-      setStats(prev => ({
-        played: prev.played + 1,
-        offOk: prev.offOk + (offResult && offResult.match ? 1 : 0),
-        defOk: prev.defOk + (match ? 1 : 0),
-      }));
+      finishDefense({ ...base, grading: 'heuristic', match });
     }
   };
 
-  const premColors = { TW: '#c0392b', DW: '#e67e22', TL: '#2980b9', DL: '#5dade2' };
-  const premLabels = { TW: '3×\nWORD', DW: '2×\nWORD', TL: '3×\nLTR', DL: '2×\nLTR' };
+  // Grades the defense by simulated spread: the heuristic's top candidates
+  // plus the user's own play, all against the same opponent racks.
+  const simulateDefense = (userPlay) => {
+    const job = ++simJobRef.current;
+    const candidates = [...scenario.validPlays].sort((a, b) => b.defScore - a.defScore).slice(0, SIM_CANDIDATES);
+    if (!candidates.some(p => samePlay(p, userPlay))) candidates.push(userPlay);
+    setSimProgress({ done: 0, total: candidates.length * SIM_ITERATIONS });
+    simulatorRef.current.simulate(
+      { board: scenario.board, rack: scenario.rack, premiumsUsed: scenario.premiumsUsed, candidates, iterations: SIM_ITERATIONS, seed: randomSeed() },
+      (done, total) => { if (simJobRef.current === job) setSimProgress({ done, total }); },
+    ).then(results => {
+      if (simJobRef.current !== job) return;
+      const ranked = [...results].sort((a, b) => b.spread - a.spread);
+      const mine = results.find(r => samePlay(r.play, userPlay));
+      const best = ranked[0];
+      finishDefense({
+        ...userPlay, grading: 'simulation', spread: mine.spread,
+        match: mine.spread >= best.spread - 1e-6,
+        best: { ...best.play, spread: best.spread },
+        simResults: ranked,
+      });
+    }).catch(err => {
+      if (simJobRef.current === job) setError(`Simulation failed: ${err.message}`);
+    }).finally(() => {
+      if (simJobRef.current === job) setSimProgress(null);
+    });
+  };
+
+  const finishDefense = (result) => {
+    setDefResult(result);
+    setRound('done');
+    if (blitz) setBlitz(b => b && { ...b, played: b.played + 1, solved: b.solved + (offResult.match && result.match ? 1 : 0) });
+    const { simResults, ...saved } = result;
+    setHistory(prev => appendRound(prev, {
+      id: Date.now(),
+      at: new Date().toISOString(),
+      code: scenario.code,
+      lexicon: scenario.lexicon,
+      board: scenario.board,
+      rack: scenario.rack,
+      premiumsUsed: scenario.premiumsUsed,
+      offense: offResult,
+      defense: saved,
+      bestOffensive: scenario.bestOffensive,
+      bestDefensive: result.best || scenario.bestDefensive,
+      bestEquity: scenario.bestEquityTurn,
+    }));
+  };
+
+  const stats = summarize(history);
+  const describeOffense = (p) => p.grading === 'equity'
+    ? `${moveLabel(p)} — ${p.score} pts, keeps ${p.leave.length ? p.leave.join('') : 'nothing'} (equity ${p.equity.toFixed(1)})`
+    : `${moveLabel(p)} — ${p.score} pts`;
+
+  const gradeNote = (grading, p) => {
+    if (grading === 'equity') return `, equity ${p.equity.toFixed(1)}`;
+    if (grading === 'simulation') return `, spread ${p.spread >= 0 ? '+' : ''}${p.spread.toFixed(1)}`;
+    return '';
+  };
+
+  // Keyboard play works like tournament software: arrows move the cursor,
+  // Space turns it, a rack letter is laid at the cursor (Shift+letter lays
+  // a blank) and the cursor steps on past filled squares. Backspace lifts
+  // the last tile and Enter submits.
+  const isFilled = (r, c, tiles) => scenario.board[r][c] !== null || !!tiles[`${r},${c}`];
+
+  const typeLetter = (letter, asBlank) => {
+    if (!cursor) return;
+    let { r, c } = cursor;
+    const { horizontal } = cursor;
+    while (r < 15 && c < 15 && isFilled(r, c, placed)) { if (horizontal) c++; else r++; }
+    if (r >= 15 || c >= 15) return;
+
+    const tile = asBlank ? BLANK : letter;
+    const idx = scenario.rack.findIndex((t, i) => t === tile && !rackUsed[i]);
+    if (idx === -1) { setError(asBlank ? 'No blank left on your rack.' : `No ${letter} left on your rack.`); return; }
+
+    const laid = asBlank ? letter.toLowerCase() : letter;
+    const next = { ...placed, [`${r},${c}`]: laid };
+    setTile(r, c, laid); setSelRack(null); setError(null);
+    let nr = r, nc = c;
+    do { if (horizontal) nc++; else nr++; } while (nr < 15 && nc < 15 && isFilled(nr, nc, next));
+    if (nr < 15 && nc < 15) setCursor({ r: nr, c: nc, horizontal });
+  };
+
+  const liftLastTile = () => {
+    if (placedOrder.length === 0) return;
+    const [r, c] = placedOrder[placedOrder.length - 1].split(',').map(Number);
+    doPickUp(r, c);
+    setCursor(cur => ({ r, c, horizontal: cur ? cur.horizontal : true }));
+  };
+
+  const moveCursor = (dr, dc) => {
+    setCursor(cur => {
+      if (!cur) return { r: 7, c: 7, horizontal: true };
+      return { ...cur, r: Math.max(0, Math.min(14, cur.r + dr)), c: Math.max(0, Math.min(14, cur.c + dc)) };
+    });
+  };
+
+  // Re-subscribed every render so the handler always sees current state.
+  useEffect(() => {
+    if (WORD_DRILLS[mode] || view !== 'drill' || !scenario || round === 'done' || blankPick || simProgress || exchangeSel) return;
+    const onKeyDown = (e) => {
+      const tag = e.target.tagName;
+      if (tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT') return;
+      if (e.ctrlKey || e.metaKey || e.altKey) return;
+      // A focused button already answers Enter and Space itself.
+      if (tag === 'BUTTON' && (e.key === 'Enter' || e.key === ' ')) return;
+
+      const arrows = { ArrowUp: [-1, 0], ArrowDown: [1, 0], ArrowLeft: [0, -1], ArrowRight: [0, 1] };
+      if (arrows[e.key]) moveCursor(...arrows[e.key]);
+      else if (e.key === ' ') setCursor(cur => cur && { ...cur, horizontal: !cur.horizontal });
+      else if (e.key === 'Backspace') liftLastTile();
+      else if (e.key === 'Enter') { if (Object.keys(placed).length > 0) onSubmit(); }
+      else if (e.key === 'Escape') setCursor(null);
+      else if (/^[a-z]$/i.test(e.key)) typeLetter(e.key.toUpperCase(), e.shiftKey);
+      else return;
+      e.preventDefault();
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  });
+
+  const setOffenseGradingSetting = (grading) => { setOffenseGrading(grading); saveSetting('offenseGrading', grading); };
+  const setDefenseGradingSetting = (grading) => { setDefenseGrading(grading); saveSetting('defenseGrading', grading); };
+  const setModeSetting = (m) => {
+    setMode(m);
+    saveSetting('drillMode', m);
+    if (m !== mode) gameFlow.resume(m);
+  };
+  const setBingoTierSetting = (t) => { setBingoTier(t); saveSetting('bingoTier', t); };
+  const drillSetters = { boardSource: setBoardSource, practice: setPractice, scenarioTag: setScenarioTag, roundTimer: setRoundTimer };
+  const setDrillSetting = (key, value) => { drillSetters[key](value); saveSetting(key, value); };
 
-  if (loading || !scenario || isLoadingDict) return (
+  if (isLoadingDict || (mode === 'strategy' && (loading || !scenario)) || (inGame && !game)) return (
     <div style={{ minHeight: '100vh', display: 'flex', alignItems: 'center', justifyContent: 'center', background: '#1a1a2e' }}>
       <div style={{ color: '#d4a843', fontSize: 22, textAlign: 'center', fontFamily: "'Palatino Linotype',serif" }}>
         <div style={{ fontSize: 38, marginBottom: 10 }}>🔤</div>
-        {isLoadingDict ? 'Loading dictionary...' : 'Generating scenario…'}
+        {isLoadingDict ? `Loading ${lexiconId.replace(/^upload:/, '')} dictionary…` : 'Generating scenario…'}
+        {!isLoadingDict && genProgress && (
+          <div style={{ fontSize: 12, color: '#888', marginTop: 6 }}>Attempt {genProgress.done + 1} of {genProgress.total}</div>
+        )}
+      </div>
+    </div>
+  );
+
+  const lexiconPicker = (
+    <LexiconPicker
+      lexicons={lexicons}
+      current={lexiconId}
+      overlays={overlayIds}
+      error={lexiconError}
+      onSelect={selectLexicon}
+      onToggleOverlay={toggleOverlay}
+      onUpload={uploadLexicon}
+      onDelete={removeLexicon}
+    />
+  );
+  const modeToggle = <GradingToggle label="Drill" options={['strategy', 'game', 'pass-play', ...Object.keys(WORD_DRILLS)]} value={mode} onChange={setModeSetting} color="#c9a44a" />;
+
+  if (WORD_DRILLS[mode]) {
+    const wordStats = summarizeWordDrills(wordLog, mode);
+    return (
+      <div style={appStyle}>
+        <div style={{ textAlign: 'center', marginBottom: 2 }}>
+          <h1 style={titleStyle}>{WORD_DRILLS[mode].label}</h1>
+        </div>
+        <StatsPanel items={[
+          { label: 'Rounds', val: wordStats.played, color: '#c9a44a' },
+          { label: 'Accuracy', val: wordStats.played ? `${Math.round(wordStats.accuracy * 100)}%` : '—', color: '#27ae60' },
+          { label: 'Avg sec', val: wordStats.played ? wordStats.avgSeconds.toFixed(1) : '—', color: '#3498db' },
+        ]} />
+        {lexiconPicker}
+        {modeToggle}
+        {mode === 'bingo' && (
+          <GradingToggle label="Difficulty" options={Object.keys(BINGO_TIERS)} value={bingoTier} onChange={setBingoTierSetting} color="#27ae60" />
+        )}
+        <WordDrill mode={mode} lexicon={lexicon} tier={bingoTier} onAnswered={(entry) => setWordLog(log => appendWordDrill(log, entry))} />
       </div>
+    );
+  }
+
+  const bestOffense = offResult && offResult.grading === 'equity' ? scenario.bestEquityTurn : scenario.bestOffensive;
+
+  if (view === 'history') return (
+    <div style={appStyle}>
+      <div style={{ textAlign: 'center', marginBottom: 8 }}>
+        <h1 style={titleStyle}>Round History</h1>
+      </div>
+      <HistoryScreen
+        history={history}
+        lexicon={lexicon.name}
+        onClose={() => setView('drill')}
+        onClear={() => { if (window.confirm('Delete every saved round?')) setHistory(clearHistory()); }}
+      />
     </div>
   );
 
   const isActive = round !== 'done';
   const phaseLabel = round === 'done' ? '📊 Results' : round === 'defense' ? '🛡️ Best Defense' : '⚔️ Best Offense';
+  const canExchange = inGame ? exchangeAllowed(game) : !!scenario.bestExchange;
+
+  const bestDefense = defResult && (defResult.best || scenario.bestDefensive);
+  const explainPlay = explain === 'user' ? defResult : explain === 'best' ? bestDefense : null;
+  const explainMarks = explainPlay ? defenseMarks(defenseBreakdown(explainPlay, scenario.board)) : {};
+  const showExplanation = (which) => {
+    setExplain(which);
+    setPreview(which === 'user' ? defResult : which === 'best' ? bestDefense : null);
+  };
+
+  const previewCells = {};
+  if (preview) {
+    preview.positions.forEach(([r, c], i) => {
+      if (scenario.board[r][c] === null) previewCells[`${r},${c}`] = preview.word[i];
+    });
+  }
 
+  // Under a challenge rule the board mustn't give away which words are real.
+  const judgeLive = !(inGame && CHALLENGE_RULES[game.challengeRule].allowPhonies);
   const validWordCells = new Set();
   let liveScore = 0;
   let liveWords = [];
@@ -865,7 +782,7 @@ export default function ScrabbleTrainer() {
           word += merged[r][cc];
           cells.push([r, cc]);
         }
-        if (hasPlaced && WORD_SET.has(word)) {
+        if (hasPlaced && (!judgeLive || lexicon.has(word))) {
           wordCells.push({ word, cells, horizontal: true });
         }
       }
@@ -887,7 +804,7 @@ export default function ScrabbleTrainer() {
           word += merged[rr][c];
           cells.push([rr, c]);
         }
-        if (hasPlaced && WORD_SET.has(word)) {
+        if (hasPlaced && (!judgeLive || lexicon.has(word))) {
           wordCells.push({ word, cells, horizontal: false });
         }
       }
@@ -895,58 +812,90 @@ export default function ScrabbleTrainer() {
     
     wordCells.forEach(({ word, cells }) => {
       cells.forEach(([r,c]) => validWordCells.add(r+','+c));
-      const wordScore = scoreOneWord(word, cells, scenario.board, scenario.premiumsUsed);
-      liveScore += wordScore;
       liveWords.push(word);
     });
+    // The word holding every placed tile scores as the play would, with
+    // its cross-words and any bingo bonus; tiles not yet on one word score
+    // word by word.
+    const main = wordCells.find(({ cells }) => [...placedSet].every(key => cells.some(([r, c]) => `${r},${c}` === key)));
+    liveScore = main
+      ? scorePlay(main.word, main.cells, scenario.board, scenario.premiumsUsed, main.horizontal)
+      : wordCells.reduce((n, { word, cells }) => n + scoreOneWord(word, cells, scenario.board, scenario.premiumsUsed), 0);
   }
 
   return (
     <div
-      style={{ minHeight: '100vh', background: 'linear-gradient(180deg,#1a1a2e 0%,#16213e 50%,#0f3460 100%)', fontFamily: "'Palatino Linotype','Book Antiqua',Palatino,serif", color: '#fff', padding: '10px 14px', boxSizing: 'border-box', userSelect: 'none', touchAction: 'manipulation' }}
+      style={appStyle}
       onPointerMove={onPointerMove}
       onPointerUp={onPointerUp}
     >
       <div style={{ textAlign: 'center', marginBottom: 2 }}>
-        <h1 style={{ margin: 0, fontSize: 20, fontWeight: 700, letterSpacing: 4, textTransform: 'uppercase', background: 'linear-gradient(90deg,#c9a44a,#f0dcc0,#c9a44a)', WebkitBackgroundClip: 'text', WebkitTextFillColor: 'transparent' }}>Scrabble Strategy Trainer</h1>
+        <h1 style={titleStyle}>Scrabble Strategy Trainer</h1>
       </div>
 
-      <div style={{ display: 'flex', justifyContent: 'center', gap: 24, marginBottom: 4 }}>
-        {[
-          { label: 'Rounds', val: stats.played, color: '#c9a44a' },
-          { label: 'Attack %', val: stats.played ? `${Math.round(stats.offOk / stats.played * 100)}%` : '—', color: '#e74c3c' },
-          { label: 'Defense %', val: stats.played ? `${Math.round(stats.defOk / stats.played * 100)}%` : '—', color: '#3498db' },
-        ].map((s, i) => (
-          <div key={i} style={{ textAlign: 'center' }}>
-            <div style={{ fontSize: 15, fontWeight: 700, color: s.color }}>{s.val}</div>
-            <div style={{ fontSize: 8, color: '#555', textTransform: 'uppercase', letterSpacing: 1 }}>{s.label}</div>
-          </div>
-        ))}
-      </div>
+      {inGame ? (
+        <GameScoreboard flow={gameFlow} now={now} />
+      ) : (
+        <StatsPanel
+          items={[
+            { label: 'Rounds', val: stats.played, color: '#c9a44a' },
+            { label: 'Attack %', val: stats.played ? `${Math.round(stats.offOk / stats.played * 100)}%` : '—', color: '#e74c3c' },
+            { label: 'Defense %', val: stats.played ? `${Math.round(stats.defOk / stats.played * 100)}%` : '—', color: '#3498db' },
+            { label: 'Avg sec', val: stats.avgSeconds === null ? '—' : stats.avgSeconds.toFixed(1), color: '#888' },
+          ]}
+          onHistory={() => setView('history')}
+        />
+      )}
 
-      <div style={{ textAlign: 'center', fontSize: 13, fontWeight: 700, color: round === 'done' ? '#c9a44a' : round === 'defense' ? '#3498db' : '#e74c3c', letterSpacing: 1, marginBottom: 1 }}>{phaseLabel}</div>
+      {lexiconPicker}
+      {modeToggle}
+      {inGame ? (
+        <GameStatus flow={gameFlow} />
+      ) : (
+        <>
+          <ScenarioCodeBar code={scenario.code} onLoadCode={load} />
+          <ImportPanel lexicon={lexicon} onImport={load} />
+          <DrillSettings scenario={scenario} settings={{ boardSource, practice, scenarioTag, roundTimer }} onChange={setDrillSetting} />
+          <BlitzBar blitz={blitz} result={blitzResult} now={now} onStart={startBlitz} onStop={() => setBlitz(null)} />
+          <div style={{ textAlign: 'center', fontSize: 13, fontWeight: 700, color: round === 'done' ? '#c9a44a' : round === 'defense' ? '#3498db' : '#e74c3c', letterSpacing: 1, marginBottom: 1 }}>
+            {phaseLabel}
+            {isActive && roundLimit && turnStartedAt !== null && !simProgress && ` · ${formatClock(Math.max(0, turnStartedAt + roundLimit * 1000 - now))}`}
+          </div>
+        </>
+      )}
       {isActive && (
         <div style={{ textAlign: 'center', fontSize: 10, color: '#666', marginBottom: 3 }}>
           {round === 'defense'
             ? 'Now place tiles for the move that best controls the board.'
-            : 'Tap a rack tile then tap the board — or drag tiles into place.'}
+            : 'Tap a rack tile then tap the board, drag tiles into place, or click a square and type (Shift for a blank, Space turns, Enter submits).'}
         </div>
       )}
+      {round === 'offense' && !inGame && (
+        <GradingToggle label="Grade offense by" options={['equity', 'score']} value={offenseGrading} onChange={setOffenseGradingSetting} color="#e74c3c" />
+      )}
+      {round === 'defense' && (
+        <GradingToggle label="Grade defense by" options={['heuristic', 'simulation']} value={defenseGrading} onChange={setDefenseGradingSetting} color="#3498db" />
+      )}
 
       <div ref={boardRef} style={{ display: 'flex', justifyContent: 'center' }}>
         <div style={{ display: 'grid', gridTemplateColumns: `repeat(15,${cellSize}px)`, gridTemplateRows: `repeat(15,${cellSize}px)`, gap: '1px', background: '#1a1a2e', padding: '1px', borderRadius: 6 }}>
           {Array.from({ length: 15 }, (_, r) => Array.from({ length: 15 }, (_, c) => {
             const key = `${r},${c}`;
             const boardLetter = scenario.board[r][c];
-            const myLetter = placed[key] || null;
+            const myLetter = placed[key] || previewCells[key] || null;
+            const isPreview = !placed[key] && !!previewCells[key];
             const prem = getPremium(r, c);
             const isCenter = r === 7 && c === 7;
             const display = boardLetter || myLetter;
+            const isBlank = display && isDesignatedBlank(display);
             const isMyTile = !boardLetter && myLetter;
             const isDropTarget = selRack !== null && !boardLetter && !myLetter && isActive;
+            const mark = explainMarks[key];
+            const isCursor = isActive && cursor && cursor.r === r && cursor.c === c;
 
             let bg = '#f5e6c8';
             if (boardLetter) bg = '#d4a843';
+            else if (isPreview) bg = '#16a085';
             else if (isMyTile) bg = validWordCells.has(key) ? '#27ae60' : '#7d3c98';
             else if (prem === 'TW') bg = premColors.TW;
             else if (prem === 'DW') bg = premColors.DW;
@@ -963,14 +912,21 @@ export default function ScrabbleTrainer() {
                   display: 'flex', flexDirection: 'column', alignItems: 'center', justifyContent: 'center',
                   position: 'relative',
                   cursor: (isMyTile || isDropTarget) ? 'pointer' : 'default',
-                  boxShadow: isDropTarget ? 'inset 0 0 0 2px rgba(255,255,255,0.7), 0 0 6px rgba(255,255,255,0.3)' : isMyTile ? 'inset 0 0 0 2px #fff' : 'none',
+                  boxShadow: isCursor ? 'inset 0 0 0 2px #f1c40f' : isDropTarget ? 'inset 0 0 0 2px rgba(255,255,255,0.7), 0 0 6px rgba(255,255,255,0.3)' : isMyTile ? 'inset 0 0 0 2px #fff' : 'none',
+                  outline: mark ? `2px ${mark.dashed ? 'dashed' : 'solid'} ${mark.color}` : 'none',
+                  outlineOffset: -2,
+                  zIndex: mark ? 1 : 'auto',
                 }}
               >
                 {display ? (
                   <>
-                    <span style={{ fontSize: cellSize * 0.68, fontWeight: 700, color: isMyTile ? '#fff' : '#1a1a2e', fontFamily: "'Palatino Linotype',serif", lineHeight: 1, textShadow: isMyTile ? '0 1px 4px rgba(0,0,0,0.5)' : 'none' }}>{display}</span>
-                    <span style={{ fontSize: cellSize * 0.34, fontWeight: 700, color: isMyTile ? 'rgba(255,255,255,0.85)' : '#6d5a2a', position: 'absolute', bottom: 1, right: 2 }}>{TV[display]}</span>
+                    <span style={{ fontSize: cellSize * 0.68, fontWeight: 700, color: isMyTile ? '#fff' : '#1a1a2e', fontFamily: "'Palatino Linotype',serif", lineHeight: 1, textShadow: isMyTile ? '0 1px 4px rgba(0,0,0,0.5)' : 'none', fontStyle: isBlank ? 'italic' : 'normal', opacity: isBlank ? 0.75 : 1 }}>{display.toUpperCase()}</span>
+                    {isBlank
+                      ? <span style={{ position: 'absolute', inset: 2, border: `1px dashed ${isMyTile ? 'rgba(255,255,255,0.8)' : '#6d5a2a'}`, borderRadius: '50%', pointerEvents: 'none' }} />
+                      : <span style={{ fontSize: cellSize * 0.34, fontWeight: 700, color: isMyTile ? 'rgba(255,255,255,0.85)' : '#6d5a2a', position: 'absolute', bottom: 1, right: 2 }}>{TV[display]}</span>}
                   </>
+                ) : isCursor ? (
+                  <span style={{ fontSize: cellSize * 0.6, fontWeight: 700, color: '#f1c40f', textShadow: '0 1px 2px rgba(0,0,0,0.6)' }}>{cursor.horizontal ? '→' : '↓'}</span>
                 ) : (
                   <>
                     {prem && (
@@ -987,37 +943,49 @@ export default function ScrabbleTrainer() {
         </div>
       </div>
 
-      <div style={{ textAlign: 'center', fontSize: 9, color: '#555', letterSpacing: 1.5, textTransform: 'uppercase', marginTop: 7 }}>Your Rack</div>
+      <div style={{ textAlign: 'center', fontSize: 9, color: '#555', letterSpacing: 1.5, textTransform: 'uppercase', marginTop: 7 }}>{versus ? `${players[viewer]}'s Rack` : 'Your Rack'}</div>
       <div ref={rackRef} style={{ display: 'flex', justifyContent: 'center', gap: 3, margin: '3px 0' }}>
         {rackOrder.map((actualIdx, displayPos) => {
           const t = scenario.rack[actualIdx];
           const used = rackUsed[actualIdx];
           const isSel = selRack === actualIdx;
+          const isPicked = !!exchangeSel && exchangeSel.includes(actualIdx);
           const isHovered = drag && drag.hoverRackPos === displayPos && drag.displayPos !== displayPos;
           return (
-            <div
+            <RackTile
               key={displayPos}
+              tile={t}
+              used={used}
+              hidden={versus && rackHidden}
+              lifted={isPicked}
+              borderColor={isPicked ? '#e74c3c' : isHovered ? '#27ae60' : isSel ? '#fff' : null}
+              shadow={isHovered ? '0 0 12px rgba(39,174,96,0.6)' : isSel ? '0 0 10px rgba(255,255,255,0.5)' : null}
               onClick={() => onRackClick(displayPos)}
               onPointerDown={(e) => onRackPointerDown(e, displayPos)}
-              style={{
-                width: 38, height: 42,
-                background: used ? '#2a2a2a' : 'linear-gradient(160deg,#f0dcc0 0%,#c9a44a 100%)',
-                borderRadius: 4,
-                border: `2px solid ${isHovered ? '#27ae60' : isSel ? '#fff' : used ? '#444' : '#a07830'}`,
-                boxShadow: isHovered ? '0 0 12px rgba(39,174,96,0.6)' : isSel ? '0 0 10px rgba(255,255,255,0.5)' : '0 2px 4px rgba(0,0,0,0.35)',
-                display: 'flex', flexDirection: 'column', alignItems: 'center', justifyContent: 'center',
-                cursor: used ? 'default' : 'pointer',
-                opacity: used ? 0.35 : 1,
-                touchAction: 'none',
-                transition: 'border 0.1s, box-shadow 0.1s',
-              }}
-            >
-              <span style={{ fontSize: 22, fontWeight: 700, color: used ? '#555' : '#1a1a2e', fontFamily: "'Palatino Linotype',serif", lineHeight: 1 }}>{t}</span>
-              <span style={{ fontSize: 11, fontWeight: 700, color: used ? '#444' : '#6d5a2a' }}>{TV[t]}</span>
-            </div>
+            />
           );
         })}
       </div>
+      {isActive && (
+        <div style={{ display: 'flex', justifyContent: 'center', gap: 4 }}>
+          <button onClick={shuffleRack} style={rackButton}>SHUFFLE</button>
+          <button onClick={alphabetizeRack} style={rackButton}>A→Z</button>
+          <button onClick={recallTiles} disabled={Object.keys(placed).length === 0} style={rackButton}>RECALL</button>
+        </div>
+      )}
+      {versus && (rackHidden || canChallenge(game)) && (
+        <div style={{ display: 'flex', gap: 6, marginTop: 4 }}>
+          {canChallenge(game) && (
+            <button onClick={gameFlow.challenge} style={{ ...secondaryButton, color: '#fff', borderColor: '#e74c3c' }}>
+              CHALLENGE {game.moves[game.moves.length - 1].move.word.toUpperCase()}
+            </button>
+          )}
+          {rackHidden && <button onClick={gameFlow.revealRack} style={{ ...secondaryButton, color: '#fff', borderColor: '#c9a44a' }}>SHOW {players[viewer].toUpperCase()}'S RACK</button>}
+        </div>
+      )}
+      {exchangeSel && (
+        <div style={{ textAlign: 'center', fontSize: 10, color: '#e74c3c', marginTop: 3 }}>Tap the tiles to throw back, then confirm the exchange.</div>
+      )}
 
       <div style={{ display: 'flex', justifyContent: 'center', gap: 10, flexWrap: 'wrap', marginTop: 4, marginBottom: 2 }}>
         {[{ color: '#c0392b', label: '3× Word' }, { color: '#e67e22', label: '2× Word' }, { color: '#2980b9', label: '3× Letter' }, { color: '#5dade2', label: '2× Letter' }, { color: '#d4a843', label: 'On Board' }, { color: '#7d3c98', label: 'Placed' }, { color: '#27ae60', label: 'Valid Word' }].map((item, i) => (
@@ -1028,6 +996,8 @@ export default function ScrabbleTrainer() {
         ))}
       </div>
 
+      {!(versus && rackHidden) && <UnseenTiles unseen={scenario.game ? scenario.game.unseen : unseenTiles(scenario.board, scenario.rack)} />}
+
       {Object.keys(placed).length > 0 && isActive && (
         <div style={{ textAlign: 'center', marginTop: 5, marginBottom: 2 }}>
           {liveWords.length > 0 ? (
@@ -1052,39 +1022,72 @@ export default function ScrabbleTrainer() {
       {offResult && round !== 'done' && (
         <div style={{ background: '#fff', borderRadius: 8, padding: '8px 10px', marginTop: 6, color: '#1a1a2e', border: `2px solid ${offResult.match ? '#27ae60' : '#e67e22'}` }}>
           <div style={{ fontSize: 11, fontWeight: 700, color: offResult.match ? '#27ae60' : '#e67e22', marginBottom: 2 }}>
-            ⚔️ Offense {offResult.match ? '✓ Optimal!' : '— not the best play'}
+            ⚔️ Offense {offResult.match ? '✓ Optimal!' : offResult.grading === 'equity' ? `— ${offResult.behind.toFixed(1)} equity points behind best` : '— not the best play'}
           </div>
-          <div style={{ fontSize: 11, color: '#555' }}><strong>Your play:</strong> {offResult.word} — {offResult.score} pts</div>
-          {!offResult.match && scenario.bestOffensive && (
+          <div style={{ fontSize: 11, color: '#555' }}><strong>Your play:</strong> {describeOffense(offResult)}</div>
+          {!offResult.match && bestOffense && (
             <div style={{ fontSize: 11, color: '#c0392b', marginTop: 1 }}>
-              <strong>Best:</strong> {scenario.bestOffensive.word} — {scenario.bestOffensive.score} pts
+              <strong>Best:</strong> {playCoordinate(bestOffense)} {describeOffense({ ...bestOffense, grading: offResult.grading })}
             </div>
           )}
         </div>
       )}
 
-      {isActive && (
+      {simProgress && (
+        <div style={{ marginTop: 6, textAlign: 'center', fontSize: 11, color: '#3498db' }}>
+          🎲 Simulating opponent replies… {simProgress.done}/{simProgress.total}
+          <div style={{ height: 4, background: '#2a2a3e', borderRadius: 2, marginTop: 4, overflow: 'hidden' }}>
+            <div style={{ width: `${simProgress.total ? simProgress.done / simProgress.total * 100 : 0}%`, height: '100%', background: '#3498db', transition: 'width 0.2s' }} />
+          </div>
+        </div>
+      )}
+
+      {isActive && !simProgress && (
         <div style={{ display: 'flex', gap: 6, marginTop: 6 }}>
-          <button
-            onClick={() => { setPlaced({}); setSelRack(null); setError(null); }}
-            style={{ flex: 1, padding: '8px 0', background: '#2a2a3e', color: '#aaa', border: '1px solid #444', borderRadius: 6, fontSize: 12, fontWeight: 600, cursor: 'pointer', letterSpacing: 1, fontFamily: "'Palatino Linotype',serif" }}
-          >CLEAR</button>
-          <button
-            onClick={onSubmit}
-            disabled={Object.keys(placed).length === 0}
-            style={{
-              flex: 2, padding: '8px 0',
-              background: Object.keys(placed).length > 0 ? 'linear-gradient(135deg,#c9a44a,#a07830)' : '#2a2a3e',
-              color: '#fff', border: 'none', borderRadius: 6, fontSize: 13, fontWeight: 700,
-              cursor: Object.keys(placed).length > 0 ? 'pointer' : 'not-allowed',
-              letterSpacing: 2, fontFamily: "'Palatino Linotype',serif",
-              boxShadow: Object.keys(placed).length > 0 ? '0 3px 8px rgba(192,148,68,0.35)' : 'none',
-              opacity: Object.keys(placed).length > 0 ? 1 : 0.5,
-            }}
-          >{round === 'defense' ? 'SUBMIT DEFENSE →' : 'SUBMIT OFFENSE →'}</button>
+          {round === 'offense' && (exchangeSel ? (
+            <>
+              <button onClick={() => setExchangeSel(null)} style={secondaryButton}>CANCEL</button>
+              <button onClick={onExchange} disabled={exchangeSel.length === 0} style={{ ...secondaryButton, flex: 2, color: '#fff', borderColor: '#e74c3c', opacity: exchangeSel.length ? 1 : 0.5 }}>
+                EXCHANGE {exchangeSel.length} TILE{exchangeSel.length === 1 ? '' : 'S'} →
+              </button>
+            </>
+          ) : (
+            <>
+              <button
+                onClick={() => { recallTiles(); setExchangeSel([]); }}
+                disabled={!canExchange}
+                title={canExchange ? 'Throw tiles back instead of playing' : 'Fewer than 7 tiles in the bag'}
+                style={{ ...secondaryButton, opacity: canExchange ? 1 : 0.4 }}
+              >EXCHANGE…</button>
+              <button onClick={onPass} style={secondaryButton}>PASS</button>
+            </>
+          ))}
+          {!exchangeSel && (
+            <button
+              onClick={onSubmit}
+              disabled={Object.keys(placed).length === 0}
+              style={{
+                flex: 2, padding: '8px 0',
+                background: Object.keys(placed).length > 0 ? 'linear-gradient(135deg,#c9a44a,#a07830)' : '#2a2a3e',
+                color: '#fff', border: 'none', borderRadius: 6, fontSize: 13, fontWeight: 700,
+                cursor: Object.keys(placed).length > 0 ? 'pointer' : 'not-allowed',
+                letterSpacing: 2, fontFamily: "'Palatino Linotype',serif",
+                boxShadow: Object.keys(placed).length > 0 ? '0 3px 8px rgba(192,148,68,0.35)' : 'none',
+                opacity: Object.keys(placed).length > 0 ? 1 : 0.5,
+              }}
+            >{inGame ? 'PLAY →' : round === 'defense' ? 'SUBMIT DEFENSE →' : 'SUBMIT OFFENSE →'}</button>
+          )}
         </div>
       )}
 
+      {inGame && game.over && <GameOver game={game} players={players} versus={versus} />}
+      {inGame && <GameLog moves={game.moves} names={players} />}
+      {inGame && (
+        <button onClick={() => { if (game.over || game.moves.length === 0 || window.confirm('Abandon this game and start a new one?')) gameFlow.startGame(); }} style={{ ...secondaryButton, width: '100%', marginTop: 8, flex: 'none' }}>
+          NEW GAME
+        </button>
+      )}
+
       {round === 'done' && offResult && defResult && (
         <div style={{ marginTop: 8 }}>
           <div style={{
@@ -1096,24 +1099,37 @@ export default function ScrabbleTrainer() {
           </div>
           <div style={{ display: 'flex', gap: 8, marginTop: 8 }}>
             {[
-              { label: '⚔️ Offense', res: offResult, best: scenario.bestOffensive },
-              { label: '🛡️ Defense', res: defResult, best: scenario.bestDefensive },
+              { label: '⚔️ Offense', res: offResult, best: bestOffense },
+              { label: '🛡️ Defense', res: defResult, best: bestDefense },
             ].map((item, idx) => (
               <div key={idx} style={{ flex: 1, background: '#fff', borderRadius: 8, padding: 10, border: `2px solid ${item.res.match ? '#27ae60' : '#c0392b'}`, color: '#1a1a2e' }}>
                 <div style={{ fontSize: 11, fontWeight: 700, color: item.res.match ? '#27ae60' : '#c0392b', marginBottom: 3 }}>{item.label} {item.res.match ? '✓' : '✗'}</div>
-                <div style={{ fontSize: 11, color: '#555' }}><strong>Yours:</strong> {item.res.word} ({item.res.score} pts)</div>
+                <div style={{ fontSize: 11, color: '#555' }}><strong>Yours:</strong> {moveLabel(item.res)} ({item.res.score} pts{gradeNote(item.res.grading, item.res)})</div>
                 {!item.res.match && item.best && (
-                  <div style={{ fontSize: 11, color: '#c0392b', marginTop: 2 }}><strong>Best:</strong> {item.best.word} ({item.best.score} pts)</div>
+                  <div style={{ fontSize: 11, color: '#c0392b', marginTop: 2 }}><strong>Best:</strong> {playCoordinate(item.best)} {moveLabel(item.best)} ({item.best.score} pts{gradeNote(item.res.grading, item.best)})</div>
                 )}
               </div>
             ))}
           </div>
-          <button onClick={load} style={{ width: '100%', marginTop: 10, padding: '12px 0', background: 'linear-gradient(135deg,#c9a44a,#a07830)', color: '#fff', border: 'none', borderRadius: 10, fontSize: 14, fontWeight: 700, letterSpacing: 2, cursor: 'pointer', boxShadow: '0 4px 12px rgba(192,148,68,0.4)', fontFamily: "'Palatino Linotype',serif" }}>
+          <MoveList
+            plays={scenario.validPlays}
+            userPlays={{ score: offResult, equity: offResult, defScore: defResult }}
+            preview={preview}
+            onPreview={(play) => { setExplain(null); setPreview(play); }}
+          />
+          <DefenseExplanation board={scenario.board} userPlay={defResult.positions.length ? defResult : null} bestPlay={bestDefense} active={explain} onSelect={showExplanation} />
+          {defResult.simResults && (
+            <SimulationResults results={defResult.simResults} userPlay={defResult} preview={preview} onPreview={(play) => { setExplain(null); setPreview(play); }} />
+          )}
+          <ExportPanel drill={{ scenario, offense: offResult, bestOffense, defense: defResult, bestDefense }} />
+          <button onClick={() => load()} style={{ width: '100%', marginTop: 10, padding: '12px 0', background: 'linear-gradient(135deg,#c9a44a,#a07830)', color: '#fff', border: 'none', borderRadius: 10, fontSize: 14, fontWeight: 700, letterSpacing: 2, cursor: 'pointer', boxShadow: '0 4px 12px rgba(192,148,68,0.4)', fontFamily: "'Palatino Linotype',serif" }}>
             NEXT SCENARIO →
           </button>
         </div>
       )}
 
+      {blankPick && <BlankPicker onPick={onBlankPicked} onCancel={() => setBlankPick(null)} />}
+
       {drag && (
         <div style={{
           position: 'fixed', left: drag.x - 19, top: drag.y - 21, width: 38, height: 42, pointerEvents: 'none', zIndex: 9999,
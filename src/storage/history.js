@@ -0,0 +1,63 @@
+// ─── ROUND HISTORY ──────────────────────────────────────────────
+// Every finished round is appended to a log in localStorage; the stats bar
+// and the history screen are both derived from it.
+const STORAGE_KEY = 'scrabble-trainer.history.v1';
+const MAX_ROUNDS = 500;
+
+export function loadHistory() {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY);
+    return raw ? JSON.parse(raw) : [];
+  } catch (error) {
+    console.error('Failed to read round history:', error);
+    return [];
+  }
+}
+
+function saveHistory(history) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(history));
+  } catch (error) {
+    console.error('Failed to save round history:', error);
+  }
+}
+
+// Returns the new log; the oldest rounds fall off past MAX_ROUNDS.
+export function appendRound(history, round) {
+  const next = [...history, round].slice(-MAX_ROUNDS);
+  saveHistory(next);
+  return next;
+}
+
+export function clearHistory() {
+  saveHistory([]);
+  return [];
+}
+
+// `avgSeconds` is the mean time to answer both halves of a round, over the
+// rounds that recorded it (null if none did).
+export function summarize(history) {
+  const timed = history.filter(h => h.offense.seconds !== undefined && h.defense.seconds !== undefined);
+  return {
+    played: history.length,
+    offOk: history.filter(h => h.offense.match).length,
+    defOk: history.filter(h => h.defense.match).length,
+    avgSeconds: timed.length ? timed.reduce((n, h) => n + h.offense.seconds + h.defense.seconds, 0) / timed.length : null,
+  };
+}
+
+// Rounds per point of the accuracy trend. A trend needs two points, so it
+// shows from the round after the first full block.
+export const TREND_BLOCK = 10;
+
+// Attack and defense accuracy per block of `size` consecutive rounds; the
+// last block may be short.
+export function accuracyTrend(history, size = TREND_BLOCK) {
+  const points = [];
+  for (let i = 0; i < history.length; i += size) {
+    const block = history.slice(i, i + size);
+    const { played, offOk, defOk } = summarize(block);
+    points.push({ from: i + 1, to: i + block.length, off: offOk / played, def: defOk / played });
+  }
+  return points;
+}
@@ -0,0 +1,48 @@
+// ─── INDEXEDDB ──────────────────────────────────────────────────
+// Minimal promise helpers over one database. Add a store by listing it in
+// STORES and bumping DB_VERSION; existing stores are left untouched.
+const DB_NAME = 'scrabble-trainer';
+const DB_VERSION = 2;
+const STORES = ['lexicons', 'graphs'];
+
+let dbPromise = null;
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        STORES.forEach(name => {
+          if (!request.result.objectStoreNames.contains(name)) request.result.createObjectStore(name);
+        });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return dbPromise;
+}
+
+function run(store, mode, action) {
+  return openDb().then(db => new Promise((resolve, reject) => {
+    const request = action(db.transaction(store, mode).objectStore(store));
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  }));
+}
+
+export function idbGet(store, key) {
+  return run(store, 'readonly', s => s.get(key));
+}
+
+export function idbPut(store, key, value) {
+  return run(store, 'readwrite', s => s.put(value, key));
+}
+
+export function idbDelete(store, key) {
+  return run(store, 'readwrite', s => s.delete(key));
+}
+
+export function idbKeys(store) {
+  return run(store, 'readonly', s => s.getAllKeys());
+}
@@ -0,0 +1,21 @@
+// ─── SETTINGS ───────────────────────────────────────────────────
+// Small user preferences, one localStorage entry each.
+const PREFIX = 'scrabble-trainer.setting.';
+
+export function loadSetting(name, fallback) {
+  try {
+    const raw = localStorage.getItem(PREFIX + name);
+    return raw === null ? fallback : JSON.parse(raw);
+  } catch (error) {
+    console.error(`Failed to read setting "${name}":`, error);
+    return fallback;
+  }
+}
+
+export function saveSetting(name, value) {
+  try {
+    localStorage.setItem(PREFIX + name, JSON.stringify(value));
+  } catch (error) {
+    console.error(`Failed to save setting "${name}":`, error);
+  }
+}
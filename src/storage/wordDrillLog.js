@@ -0,0 +1,38 @@
+// ─── WORD DRILL LOG ─────────────────────────────────────────────
+// One entry per answered word-knowledge question, kept apart from the
+// strategy round history: { mode, at, score, possible, seconds }.
+const STORAGE_KEY = 'scrabble-trainer.wordDrills.v1';
+const MAX_ENTRIES = 1000;
+
+export function loadWordDrillLog() {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY);
+    return raw ? JSON.parse(raw) : [];
+  } catch (error) {
+    console.error('Failed to read the word drill log:', error);
+    return [];
+  }
+}
+
+// Returns the new log; the oldest entries fall off past MAX_ENTRIES.
+export function appendWordDrill(log, entry) {
+  const next = [...log, entry].slice(-MAX_ENTRIES);
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(next));
+  } catch (error) {
+    console.error('Failed to save the word drill log:', error);
+  }
+  return next;
+}
+
+export function summarizeWordDrills(log, mode) {
+  const entries = log.filter(e => e.mode === mode);
+  const score = entries.reduce((n, e) => n + e.score, 0);
+  const possible = entries.reduce((n, e) => n + e.possible, 0);
+  const seconds = entries.reduce((n, e) => n + e.seconds, 0);
+  return {
+    played: entries.length,
+    accuracy: possible ? score / possible : null,
+    avgSeconds: entries.length ? seconds / entries.length : null,
+  };
+}
@@ -0,0 +1,24 @@
+import { lexiconFromDawg, engineTurn } from "../engine/index.js";
+
+// ─── ENGINE WORKER ──────────────────────────────────────────────
+// Messages in:  { type: 'init', dawg }
+//               { type: 'move', id, game, level }
+// Messages out: { type: 'result', id, move } | { type: 'error', id, message }
+let lexicon = null;
+
+self.onmessage = (e) => {
+  const msg = e.data;
+  if (msg.type === 'init') {
+    lexicon = lexiconFromDawg(msg.dawg);
+    return;
+  }
+  if (msg.type !== 'move') return;
+
+  const { id, game, level } = msg;
+  try {
+    if (!lexicon) throw new Error('Engine has no lexicon yet.');
+    self.postMessage({ type: 'result', id, move: engineTurn(game, lexicon, level) });
+  } catch (error) {
+    self.postMessage({ type: 'error', id, message: error.message });
+  }
+};
@@ -0,0 +1,35 @@
+// ─── ENGINE OPPONENT CLIENT ─────────────────────────────────────
+// Promise wrapper around engine.worker.js, so the engine's move search
+// never holds up the board. One worker per lexicon, like the simulator.
+export function createEngineOpponent(dawg) {
+  const worker = new Worker(new URL('./engine.worker.js', import.meta.url), { type: 'module' });
+  const pending = new Map();
+  let nextId = 1;
+
+  worker.onmessage = (e) => {
+    const { type, id } = e.data;
+    const job = pending.get(id);
+    if (!job) return;
+    pending.delete(id);
+    if (type === 'result') job.resolve(e.data.move);
+    else if (type === 'error') job.reject(new Error(e.data.message));
+  };
+  worker.postMessage({ type: 'init', dawg });
+
+  return {
+    // The move the engine at `level` (an OPPONENT_LEVELS key) makes for
+    // the player to move in `game`.
+    move(game, level) {
+      const id = nextId++;
+      return new Promise((resolve, reject) => {
+        pending.set(id, { resolve, reject });
+        worker.postMessage({ type: 'move', id, game: { ...game, previous: null }, level });
+      });
+    },
+    terminate() {
+      worker.terminate();
+      pending.forEach(job => job.reject(new Error('Engine was shut down.')));
+      pending.clear();
+    },
+  };
+}
@@ -0,0 +1,118 @@
+import { lexiconFromDawg, generateSeededScenario, TAGGED_ATTEMPTS, scenarioFromCode, randomSeed, scenarioSkills, focusWeight, weakestSkill } from "../engine/index.js";
+
+// ─── SCENARIO WORKER ────────────────────────────────────────────
+// Messages in:  { type: 'init', dawg, name, phase }   phase null for word-drop boards
+//               { type: 'generate', id, code, focus, tag }   code null for a random scenario
+//               { type: 'cancel', id }
+// Messages out: { type: 'progress', id, done, total }
+//               { type: 'result', id, scenario } | { type: 'error', id, message }
+// Random requests are answered from a small queue of scenarios built while
+// the worker is idle. Work runs in short tasks so that cancel messages get
+// through between them: one job per task, except a search, which runs one
+// try per task and is dropped between tries when cancelled. A search
+// takes the first queued scenario that fits, or else tries fresh seeds
+// until one does. A request with a `tag` searches for a scenario with the
+// tag. One with a `focus` (skill weaknesses, see engine/learner.js)
+// searches a few tries for a scenario that asks for the weakest skill,
+// then draws from the queue at random, favouring scenarios that ask for the
+// weaker skills.
+const QUEUE_SIZE = 3;
+// Fresh seeds tried for the weakest skill before a focused request settles
+// for the queue.
+const FOCUS_ATTEMPTS = 10;
+
+let lexicon = null;
+let phase = null;
+let jobs = [];
+const ready = [];
+let scheduled = false;
+
+function schedule() {
+  if (scheduled) return;
+  scheduled = true;
+  setTimeout(step, 0);
+}
+
+function takeReady(focus) {
+  if (!focus || ready.length < 2) return ready.shift();
+  const weights = ready.map(s => focusWeight(scenarioSkills(s), focus));
+  let roll = Math.random() * weights.reduce((a, b) => a + b, 0);
+  const at = weights.findIndex(w => (roll -= w) < 0);
+  return ready.splice(at === -1 ? ready.length - 1 : at, 1)[0];
+}
+
+// A search for a scenario that `fits`, giving `fallback()` after `attempts`
+// misses.
+function newSearch(fits, attempts, fallback) {
+  return { fits, attempts, fallback, tries: 0 };
+}
+
+// One step of `job`'s search: the first fitting scenario in the queue, or
+// one fresh try. Returns the scenario found, the fallback once the search
+// runs out, or undefined to keep going.
+function searchStep(job, onProgress) {
+  const search = job.search;
+  if (search.tries === 0) {
+    const at = ready.findIndex(search.fits);
+    if (at !== -1) return ready.splice(at, 1)[0];
+  }
+  const s = generateSeededScenario(lexicon, randomSeed(), { phase });
+  if (s && search.fits(s)) return s;
+  search.tries++;
+  onProgress(search.tries, search.attempts);
+  return search.tries < search.attempts ? undefined : search.fallback();
+}
+
+function step() {
+  scheduled = false;
+  if (!lexicon) return;
+
+  const job = jobs[0];
+  if (!job) {
+    // Idle: top up the queue one scenario at a time.
+    if (ready.length < QUEUE_SIZE) {
+      const s = generateSeededScenario(lexicon, randomSeed(), { phase });
+      if (s) ready.push(s);
+      schedule();
+    }
+    return;
+  }
+
+  const { id, code, focus } = job;
+  try {
+    const onProgress = (done, total) => self.postMessage({ type: 'progress', id, done, total });
+    let scenario;
+    if (code) scenario = scenarioFromCode(code, lexicon, { onProgress });
+    else if (job.search) scenario = searchStep(job, onProgress);
+    else scenario = takeReady(focus) || generateSeededScenario(lexicon, randomSeed(), { onProgress, phase });
+    if (scenario !== undefined) {
+      jobs.shift();
+      self.postMessage({ type: 'result', id, scenario });
+    }
+  } catch (error) {
+    jobs.shift();
+    self.postMessage({ type: 'error', id, message: error.message });
+  }
+  schedule();
+}
+
+self.onmessage = (e) => {
+  const msg = e.data;
+  if (msg.type === 'init') {
+    lexicon = lexiconFromDawg(msg.dawg, msg.name);
+    phase = msg.phase;
+  } else if (msg.type === 'generate') {
+    const { id, code, focus, tag } = msg;
+    const skill = focus && weakestSkill(focus);
+    let search = null;
+    if (!code && tag) search = newSearch(s => s.tags.includes(tag), TAGGED_ATTEMPTS, () => null);
+    else if (!code && skill) {
+      search = newSearch(s => scenarioSkills(s).includes(skill), FOCUS_ATTEMPTS,
+        () => takeReady(focus) || generateSeededScenario(lexicon, randomSeed(), { phase }));
+    }
+    jobs.push({ id, code, focus, search });
+  } else if (msg.type === 'cancel') {
+    jobs = jobs.filter(job => job.id !== msg.id);
+  }
+  schedule();
+};
@@ -0,0 +1,54 @@
+// ─── SCENARIO GENERATOR CLIENT ──────────────────────────────────
+// Promise wrapper around scenario.worker.js, one worker per lexicon and
+// board kind: `phase` is a GAME_PHASES key (see engine/gamegen.js) or null
+// for word-drop boards. The worker starts filling its queue as soon as it
+// has the word graph, so most random requests resolve straight away.
+export function createScenarioGenerator(dawg, name, phase = null) {
+  const worker = new Worker(new URL('./scenario.worker.js', import.meta.url), { type: 'module' });
+  const pending = new Map();
+  let nextId = 1;
+
+  worker.onmessage = (e) => {
+    const { type, id } = e.data;
+    const job = pending.get(id);
+    if (!job) return;
+    if (type === 'progress') {
+      if (job.onProgress) job.onProgress(e.data.done, e.data.total);
+    } else if (type === 'result') {
+      pending.delete(id);
+      job.resolve(e.data.scenario);
+    } else if (type === 'error') {
+      pending.delete(id);
+      job.reject(new Error(e.data.message));
+    }
+  };
+  worker.postMessage({ type: 'init', dawg, name, phase });
+
+  return {
+    // Resolves to the scenario for `code` (null if it cannot be rebuilt),
+    // or to a random one when no code is given: one with `tag` (a
+    // SCENARIO_TAGS key; null if none turns up), or else one leaning
+    // towards `focus` if set. Returns the request id alongside the promise
+    // so the request can be cancelled.
+    generate(code = null, onProgress = null, { focus = null, tag = null } = {}) {
+      const id = nextId++;
+      const result = new Promise((resolve, reject) => {
+        pending.set(id, { resolve, reject, onProgress });
+        worker.postMessage({ type: 'generate', id, code, focus, tag });
+      });
+      return { id, result };
+    },
+    cancel(id) {
+      const job = pending.get(id);
+      if (!job) return;
+      pending.delete(id);
+      worker.postMessage({ type: 'cancel', id });
+      job.reject(new Error('Scenario request was cancelled.'));
+    },
+    terminate() {
+      worker.terminate();
+      pending.forEach(job => job.reject(new Error('Scenario generator was shut down.')));
+      pending.clear();
+    },
+  };
+}
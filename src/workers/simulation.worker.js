@@ -0,0 +1,30 @@
+import { lexiconFromDawg, simulatePlays, createRng } from "../engine/index.js";
+
+// ─── SIMULATION WORKER ──────────────────────────────────────────
+// Messages in:  { type: 'init', dawg }
+//               { type: 'simulate', id, board, rack, premiumsUsed, candidates, iterations, seed }
+// Messages out: { type: 'progress', id, done, total }
+//               { type: 'result', id, results } | { type: 'error', id, message }
+let lexicon = null;
+
+self.onmessage = (e) => {
+  const msg = e.data;
+  if (msg.type === 'init') {
+    lexicon = lexiconFromDawg(msg.dawg);
+    return;
+  }
+  if (msg.type !== 'simulate') return;
+
+  const { id, board, rack, premiumsUsed, candidates, iterations, seed } = msg;
+  try {
+    if (!lexicon) throw new Error('Simulator has no lexicon yet.');
+    const results = simulatePlays(board, rack, premiumsUsed, lexicon, candidates, {
+      iterations,
+      random: createRng(seed),
+      onProgress: (done, total) => self.postMessage({ type: 'progress', id, done, total }),
+    });
+    self.postMessage({ type: 'result', id, results });
+  } catch (error) {
+    self.postMessage({ type: 'error', id, message: error.message });
+  }
+};
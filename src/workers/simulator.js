@@ -0,0 +1,39 @@
+// ─── SIMULATOR CLIENT ───────────────────────────────────────────
+// Promise wrapper around simulation.worker.js. One worker per lexicon; the
+// compiled word graph is handed over once and each simulate() call gets its own id.
+export function createSimulator(dawg) {
+  const worker = new Worker(new URL('./simulation.worker.js', import.meta.url), { type: 'module' });
+  const pending = new Map();
+  let nextId = 1;
+
+  worker.onmessage = (e) => {
+    const { type, id } = e.data;
+    const job = pending.get(id);
+    if (!job) return;
+    if (type === 'progress') {
+      if (job.onProgress) job.onProgress(e.data.done, e.data.total);
+    } else if (type === 'result') {
+      pending.delete(id);
+      job.resolve(e.data.results);
+    } else if (type === 'error') {
+      pending.delete(id);
+      job.reject(new Error(e.data.message));
+    }
+  };
+  worker.postMessage({ type: 'init', dawg });
+
+  return {
+    simulate({ board, rack, premiumsUsed, candidates, iterations, seed }, onProgress = null) {
+      const id = nextId++;
+      return new Promise((resolve, reject) => {
+        pending.set(id, { resolve, reject, onProgress });
+        worker.postMessage({ type: 'simulate', id, board, rack, premiumsUsed, candidates, iterations, seed });
+      });
+    },
+    terminate() {
+      worker.terminate();
+      pending.forEach(job => job.reject(new Error('Simulator was shut down.')));
+      pending.clear();
+    },
+  };
+}
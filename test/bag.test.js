@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TILE_DISTRIBUTION, BLANK, bagFromCounts, drawTiles, subtractTiles, unseenTiles, createRng } from '../src/engine/index.js';
+import { boardWith } from './helpers.js';
+
+const total = (counts) => Object.values(counts).reduce((n, k) => n + k, 0);
+
+test('the full bag holds the standard 100 tiles', () => {
+  const bag = bagFromCounts(TILE_DISTRIBUTION);
+  assert.equal(bag.length, 100);
+  assert.equal(bag.filter(t => t === BLANK).length, 2);
+  assert.equal(bag.filter(t => t === 'E').length, 12);
+});
+
+test('drawing takes tiles out of the bag without changing it', () => {
+  const bag = bagFromCounts(TILE_DISTRIBUTION);
+  const { drawn, bag: rest } = drawTiles(bag, 7, createRng(5));
+  assert.equal(drawn.length, 7);
+  assert.equal(rest.length, 93);
+  assert.equal(bag.length, 100);
+  assert.deepEqual([...drawn, ...rest].sort(), [...bag].sort());
+});
+
+test('drawing from a short bag takes what is left', () => {
+  const { drawn, bag } = drawTiles(['A', 'B'], 7, createRng(5));
+  assert.deepEqual(drawn.sort(), ['A', 'B']);
+  assert.deepEqual(bag, []);
+});
+
+test('a seeded draw is repeatable', () => {
+  const bag = bagFromCounts(TILE_DISTRIBUTION);
+  assert.deepEqual(drawTiles(bag, 7, createRng(9)).drawn, drawTiles(bag, 7, createRng(9)).drawn);
+});
+
+test('a letter the pool has run out of spends a blank', () => {
+  assert.deepEqual(subtractTiles({ Z: 1, [BLANK]: 1 }, ['Z', 'Z']), { Z: 0, [BLANK]: 0 });
+  assert.deepEqual(subtractTiles({ A: 1, [BLANK]: 1 }, ['a']), { A: 1, [BLANK]: 0 });
+  assert.equal(subtractTiles({ Z: 1, [BLANK]: 0 }, ['Z', 'Z']), null);
+});
+
+test('unseen tiles leave out the board and the rack', () => {
+  const board = boardWith(['QUIz', 7, 7, true]);
+  const unseen = unseenTiles(board, ['E', 'E', BLANK]);
+  assert.equal(total(unseen), 100 - 7);
+  assert.equal(unseen.Q, 0);
+  assert.equal(unseen.Z, 1);
+  assert.equal(unseen.E, 10);
+  assert.equal(unseen[BLANK], 0);
+});
@@ -0,0 +1,114 @@
+import { BOARD_SIZE, CENTER, BLANK, isBoardEmpty, crossWordAt, scorePlay } from '../src/engine/index.js';
+
+// ─── BRUTE-FORCE REFERENCE ──────────────────────────────────────
+// A brute-force reference for the anchor-based generator in
+// src/engine/movegen.js: every lexicon word is tried at every square in
+// both directions. It must use a rack tile, not run into a tile at either
+// end and form only valid cross-words. It must also connect as
+// validatePlacement asks: run through a board tile or lie beside one, or
+// cover the centre square on an empty board. Blanks are tried for every
+// letter they could stand for, and come back in lower case. Far too slow
+// for the app; tests only.
+export function bruteForceMoves(board, rack, premiumsUsed, lexicon) {
+  const rackCount = {};
+  rack.forEach(t => { rackCount[t] = (rackCount[t] || 0) + 1; });
+  const plays = new Map();
+
+  // Every way of laying `word` with the rack, as the word with blank
+  // letters in lower case; [] if the rack can't cover it.
+  function spellings(word, squares) {
+    const out = [];
+    const walk = (i, spelled) => {
+      if (i === word.length) { out.push(spelled); return; }
+      const existing = board[squares[i][0]][squares[i][1]];
+      if (existing !== null) {
+        if (existing.toUpperCase() === word[i]) walk(i + 1, spelled + existing);
+        return;
+      }
+      if (rackCount[word[i]] > 0) {
+        rackCount[word[i]]--;
+        walk(i + 1, spelled + word[i]);
+        rackCount[word[i]]++;
+      }
+      if (rackCount[BLANK] > 0) {
+        rackCount[BLANK]--;
+        walk(i + 1, spelled + word[i].toLowerCase());
+        rackCount[BLANK]++;
+      }
+    };
+    walk(0, '');
+    return out;
+  }
+
+  // Running counts along each line, across then down, so a start can be
+  // checked in one step for board tiles under the word and for empty
+  // squares beside a tile, where a new tile forms a cross-word.
+  const lines = [board, board[0].map((_, c) => board.map(row => row[c]))];
+  const prefixCounts = (cells, counted) => {
+    const counts = [0];
+    cells.forEach((cell, i) => counts.push(counts[i] + (counted(i) ? 1 : 0)));
+    return counts;
+  };
+  const tilesBefore = lines.map(dirLines => dirLines.map(cells => prefixCounts(cells, i => cells[i] !== null)));
+  const besideBefore = lines.map((dirLines, dir) => dirLines.map((cells, line) => prefixCounts(cells, i =>
+    cells[i] === null && ((line > 0 && lines[dir][line - 1][i] !== null) || (line < BOARD_SIZE - 1 && lines[dir][line + 1][i] !== null)))));
+  const empty = isBoardEmpty(board);
+
+  // Board tiles under the word match it and the rack holds the rest,
+  // counting blanks for anything missing.
+  const rackLetters = new Array(26).fill(0);
+  rack.forEach(t => { if (t !== BLANK) rackLetters[t.charCodeAt(0) - 65]++; });
+  const blanks = rackCount[BLANK] || 0;
+  const short = new Array(26).fill(0);
+  function fitsLine(word, cells, start) {
+    let blanksNeeded = 0;
+    let ok = true;
+    for (let i = 0; i < word.length && ok; i++) {
+      const existing = cells[start + i];
+      if (existing !== null) {
+        ok = existing.toUpperCase() === word[i];
+      } else {
+        const k = word.charCodeAt(i) - 65;
+        if (++short[k] > rackLetters[k]) blanksNeeded++;
+        ok = blanksNeeded <= blanks;
+      }
+    }
+    short.fill(0);
+    return ok;
+  }
+
+  for (const word of lexicon.words) {
+    [true, false].forEach((isH, dir) => {
+      for (let line = 0; line < BOARD_SIZE; line++) {
+        const cells = lines[dir][line];
+        const counts = tilesBefore[dir][line];
+        const beside = besideBefore[dir][line];
+        for (let start = 0; start + word.length <= BOARD_SIZE; start++) {
+          const end = start + word.length;
+          const onBoard = counts[end] - counts[start];
+          if (onBoard === word.length) continue;
+          if (onBoard === 0 && beside[end] === beside[start] && !(empty && line === CENTER && start <= CENTER && end > CENTER)) continue;
+          if (start > 0 && cells[start - 1] !== null) continue;
+          if (end < BOARD_SIZE && cells[end] !== null) continue;
+          if (!fitsLine(word, cells, start)) continue;
+
+          const squares = [...word].map((_, i) => (isH ? [line, start + i] : [start + i, line]));
+          for (const spelled of spellings(word, squares)) {
+            const crossOk = squares.every(([r, c], i) => {
+              if (board[r][c] !== null) return true;
+              const cross = crossWordAt(board, r, c, spelled[i], isH).word;
+              return cross.length < 2 || lexicon.has(cross);
+            });
+            if (!crossOk) continue;
+            const [row, col] = squares[0];
+            const key = `${spelled}|${row}|${col}|${isH}`;
+            if (plays.has(key)) continue;
+            const score = scorePlay(spelled, squares, board, premiumsUsed, isH);
+            plays.set(key, { word: spelled, row, col, horizontal: isH, score, positions: squares });
+          }
+        }
+      }
+    });
+  }
+  return [...plays.values()];
+}
@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createClock, pressClock, clockTime, clockDisplayTime, overtimePenalties, formatClock, OVERTIME_PENALTY } from '../src/engine/index.js';
+
+const MINUTE = 60000;
+const LIMIT = 25 * MINUTE;
+
+// A stopped clock with each side having used `used` ms.
+function clockAt(used, limit = LIMIT) {
+  return { ...createClock(limit), used };
+}
+
+test('pressing the clock charges the running side and keeps the allowance', () => {
+  let clock = pressClock(createClock(LIMIT), 0, 1000);
+  clock = pressClock(clock, 1, 4000);
+  clock = pressClock(clock, null, 9000);
+  assert.deepEqual(clock, { used: [3000, 5000], running: null, since: null, limit: LIMIT });
+  assert.equal(clockTime(pressClock(clock, 0, 10000), 0, 12500), 5500);
+  assert.equal(clockDisplayTime(clock, 1, 0), LIMIT - 5000);
+  assert.equal(clockDisplayTime(clockAt([0, 5000], null), 1, 0), 5000);
+});
+
+test('no penalty within the allowance', () => {
+  assert.deepEqual(overtimePenalties(clockAt([LIMIT, LIMIT - 1]), 0), [0, 0]);
+});
+
+test('overtime is charged per minute or part of one', () => {
+  assert.deepEqual(overtimePenalties(clockAt([LIMIT + 1, LIMIT + MINUTE]), 0), [OVERTIME_PENALTY, OVERTIME_PENALTY]);
+  assert.deepEqual(overtimePenalties(clockAt([LIMIT + MINUTE + 1, LIMIT + 3.5 * MINUTE]), 0), [2 * OVERTIME_PENALTY, 4 * OVERTIME_PENALTY]);
+});
+
+test('the running side is charged up to now', () => {
+  const clock = pressClock(clockAt([LIMIT - 1000, 0]), 0, 0);
+  assert.deepEqual(overtimePenalties(clock, 1000), [0, 0]);
+  assert.deepEqual(overtimePenalties(clock, 1001), [OVERTIME_PENALTY, 0]);
+});
+
+test('an untimed clock never charges', () => {
+  assert.deepEqual(overtimePenalties(clockAt([10 * LIMIT, 0], null), 0), [0, 0]);
+});
+
+test('clock times read as m:ss, rounded up and signed in overtime', () => {
+  assert.equal(formatClock(LIMIT), '25:00');
+  assert.equal(formatClock(61001), '1:02');
+  assert.equal(formatClock(1), '0:01');
+  assert.equal(formatClock(0), '0:00');
+  assert.equal(formatClock(-500), '-0:01');
+  assert.equal(formatClock(-65000), '-1:05');
+});
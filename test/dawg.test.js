@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compileDawg, dawgWords, dawgWalk, dawgIsWord, dawgChild, DAWG_ROOT } from '../src/engine/index.js';
+import { loadTwl06 } from './helpers.js';
+
+const WORDS = ['CAT', 'CATS', 'SCAT', 'AT', 'RAT', 'RATS', 'BAT', 'BATS', 'ACT'];
+
+function isWord(edges, word) {
+  const node = dawgWalk(edges, DAWG_ROOT, word);
+  return node !== -1 && dawgIsWord(edges, node);
+}
+
+test('a compiled word list reads back sorted, upper-cased and without repeats', () => {
+  const edges = compileDawg([...WORDS, 'cat', 'AT']);
+  assert.deepEqual(dawgWords(edges), [...WORDS].sort());
+});
+
+test('an empty word list compiles to a graph with no words', () => {
+  const edges = compileDawg([]);
+  assert.deepEqual(dawgWords(edges), []);
+  assert.equal(dawgChild(edges, DAWG_ROOT, 'A'), -1);
+});
+
+test('words are found and prefixes, extensions and strangers are not', () => {
+  const edges = compileDawg(WORDS);
+  WORDS.forEach(w => assert.ok(isWord(edges, w), w));
+  ['C', 'CA', 'SCATS', 'TAC', 'DOG', ''].forEach(w => assert.ok(!isWord(edges, w), w));
+  assert.equal(dawgWalk(edges, DAWG_ROOT, 'CAX'), -1);
+  assert.notEqual(dawgWalk(edges, DAWG_ROOT, 'SC'), -1);
+});
+
+test('lower-case (blank) letters walk the same path as upper-case ones', () => {
+  const edges = compileDawg(WORDS);
+  ['cat', 'cATs', 'Scat', 'bAT'].forEach(w => {
+    assert.ok(isWord(edges, w), w);
+    assert.equal(dawgWalk(edges, DAWG_ROOT, w), dawgWalk(edges, DAWG_ROOT, w.toUpperCase()));
+  });
+  assert.ok(!isWord(edges, 'ca'));
+  assert.ok(!isWord(edges, 'dog'));
+});
+
+test('walking on from a node continues the word', () => {
+  const edges = compileDawg(WORDS);
+  const ca = dawgWalk(edges, DAWG_ROOT, 'CA');
+  assert.ok(dawgIsWord(edges, dawgWalk(edges, ca, 'T')));
+  assert.ok(dawgIsWord(edges, dawgWalk(edges, ca, 'ts')));
+  assert.equal(dawgWalk(edges, ca, 'R'), -1);
+});
+
+test('words sharing an ending share its nodes', () => {
+  const edges = compileDawg(WORDS);
+  const tails = ['CAT', 'RAT', 'BAT'].map(w => dawgWalk(edges, DAWG_ROOT, w));
+  assert.equal(new Set(tails).size, 1);
+});
+
+test('TWL06 reads back word for word', () => {
+  const lexicon = loadTwl06();
+  const words = dawgWords(lexicon.dawg);
+  assert.equal(words.length, lexicon.size);
+  assert.deepEqual(words, [...lexicon.words].sort());
+});
@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { defenseBreakdown, defenseScore, explainDefense } from '../src/engine/index.js';
+import { boardWith, positionsOf } from './helpers.js';
+
+const play = (word, r, c, horizontal) => ({ word, positions: positionsOf(word, r, c, horizontal) });
+
+test('only the new tiles of a play are scored', () => {
+  const board = boardWith(['CAT', 7, 6, true]);
+  const b = defenseBreakdown(play('CATS', 7, 6, true), board);
+  assert.deepEqual(b.blocks, []);
+  assert.deepEqual(b.lanes, [{ r: 7, c: 9, tw: [7, 14], points: -12 }]);
+  assert.deepEqual(b.centralitySquares, [{ r: 7, c: 9, dist: 2, points: -3 }]);
+  assert.equal(b.length, -8);
+  assert.equal(b.total, -12 - 3 - 8);
+});
+
+test('covering a premium square counts as blocking it', () => {
+  const b = defenseBreakdown(play('AT', 7, 7, true), boardWith());
+  assert.deepEqual(b.blocks, [{ r: 7, c: 7, premium: 'DW', points: 25 }]);
+});
+
+test('the breakdown totals to the defense score', () => {
+  const corner = play('AXE', 0, 1, true);
+  const b = defenseBreakdown(corner, boardWith());
+  const sum = (items) => items.reduce((n, i) => n + i.points, 0);
+  assert.equal(b.total, sum(b.blocks) + sum(b.lanes) + b.centrality + b.length);
+  assert.equal(defenseScore(corner, boardWith()), b.total);
+});
+
+test('newly opened DW and TW squares are reported without points', () => {
+  const b = defenseBreakdown(play('AXE', 0, 1, true), boardWith());
+  assert.deepEqual(b.opens, [{ r: 1, c: 1, premium: 'DW' }, { r: 0, c: 0, premium: 'TW' }]);
+});
+
+test('the explanation has a line per term, lanes grouped by TW', () => {
+  assert.deepEqual(explainDefense(defenseBreakdown(play('AXE', 0, 1, true), boardWith())), [
+    'Blocks the DL at D1 (+8)',
+    'Puts the TW at A1 within reach (−36)',
+    'Puts the TW at H1 within reach (−24)',
+    'Opens the DW at B2 for the opponent',
+    'Opens the TW at A1 for the opponent',
+    'Tiles sit away from the centre (−54)',
+    'Word length penalty (−6)',
+  ]);
+});
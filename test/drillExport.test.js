@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { gcgMove, drillNotation, drillGcg, formatBoardText, parseBoardText, decodeScenarioCode, passMove, BLANK } from '../src/engine/index.js';
+import { boardSvg } from '../src/components/boardImage.js';
+import { boardWith, positionsOf } from './helpers.js';
+
+const play = (word, r, c, horizontal, score) => ({ word, row: r, col: c, horizontal, score, positions: positionsOf(word, r, c, horizontal) });
+
+const board = boardWith(['CAT', 7, 6, true]);
+const drill = {
+  scenario: { code: 'S-1', lexicon: 'TWL06', board, rack: ['S', 'H', 'E', BLANK] },
+  offense: play('sCAT', 7, 5, true, 5),
+  bestOffense: play('CATS', 7, 6, true, 6),
+  defense: passMove(['S']),
+  bestDefense: play('SH', 8, 9, true, 7),
+};
+
+test('a .gcg move marks played-through tiles with dots', () => {
+  assert.equal(gcgMove(play('sCAT', 7, 5, true, 5), board), '8F s...');
+  assert.equal(gcgMove(drill.bestOffense, board), '8G ...S');
+  assert.equal(gcgMove(passMove(['S']), board), '-');
+});
+
+test('the notation write-up lists both answers of each round and the board', () => {
+  const lines = drillNotation(drill).split('\n');
+  assert.deepEqual(lines.slice(0, 3), [
+    'Scenario S-1 (TWL06) · rack SHE?',
+    'Offense: mine 8F sCAT 5 · best 8G CATS 6',
+    'Defense: mine - 0 · best 9J SH 7',
+  ]);
+  assert.deepEqual(parseBoardText(lines.slice(4).join('\n')), { board, rack: drill.scenario.rack });
+});
+
+test('the .gcg write-up has the best offense as its move and the position in a note', () => {
+  const lines = drillGcg(drill).trimEnd().split('\n');
+  assert.equal(lines[1], '#description Drill S-1 (TWL06)');
+  assert.equal(lines[4], '>player: SHE? 8G ...S +6 6');
+  assert.equal(lines[5], '#note Best offense. Mine: 8F sCAT 5. Best defense: 9J SH 7. Mine: - 0.');
+  const code = /^#note Position (\S+)$/.exec(lines[3])[1];
+  assert.deepEqual(decodeScenarioCode(code), { board, rack: drill.scenario.rack });
+});
+
+test('a text board reads back as written', () => {
+  const text = formatBoardText(boardWith(['QUIz', 0, 0, true], ['ZA', 3, 14, false]), ['A', BLANK]);
+  const { board: again, rack } = parseBoardText(text);
+  assert.equal(formatBoardText(again, rack), text);
+  assert.equal(text.split('\n').at(-1), 'Rack: A?');
+});
+
+test('the board image draws the board, the play and an escaped caption', () => {
+  const svg = boardSvg(board, { play: drill.bestOffense, playColor: '#123456', caption: 'CATS & <more>' });
+  assert.ok(svg.startsWith('<svg'));
+  assert.equal((svg.match(/fill="#123456"/g) || []).length, 1);
+  assert.ok(svg.includes('CATS &amp; &lt;more&gt;'));
+  assert.ok(!svg.includes('<more>'));
+});
@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { exchangeMove, passMove, findBestExchange, bagSize, leaveValue, analyzePosition, BLANK } from '../src/engine/index.js';
+import { lexiconOf, boardWith } from './helpers.js';
+
+test('an exchange is worth the leave it keeps', () => {
+  const move = exchangeMove(['Q', 'A', 'E', 'R', 'S', 'T', 'V'], ['Q', 'V']);
+  assert.equal(move.word, '-QV');
+  assert.deepEqual(move.leave, ['A', 'E', 'R', 'S', 'T']);
+  assert.equal(move.equity, leaveValue(['A', 'E', 'R', 'S', 'T']));
+  assert.equal(move.score, 0);
+});
+
+test('the best exchange keeps the best part of the rack', () => {
+  const rack = ['Q', 'V', 'W', 'A', 'E', 'I', 'O'];
+  const best = findBestExchange(rack);
+  assert.ok(best.exchange.length > 0);
+  for (let mask = 0; mask < (1 << rack.length) - 1; mask++) {
+    const kept = rack.filter((_, i) => mask & (1 << i));
+    assert.ok(leaveValue(kept) <= best.equity, kept.join(''));
+  }
+});
+
+test('a pass is worth nothing, however good the rack it keeps', () => {
+  const rack = [BLANK, BLANK, 'S', 'S', 'E', 'E', 'R'];
+  const pass = passMove(rack);
+  assert.equal(pass.equity, 0);
+  assert.ok(pass.leaveValue > 0);
+  assert.deepEqual(pass.leave, rack);
+});
+
+test('a good rack does not grade the pass as the best turn', () => {
+  // CATS is worth less than keeping ??SSEER, which is what a pass keeps.
+  const board = boardWith(['CAT', 7, 6, true]);
+  const rack = [BLANK, BLANK, 'S', 'S', 'E', 'E', 'R'];
+  const s = analyzePosition(board, rack, {}, lexiconOf(['CAT', 'CATS']), { minPlays: 1 });
+  assert.ok(s.bestEquity.equity < leaveValue(rack));
+  assert.ok(!s.bestEquityTurn.pass);
+  assert.ok(s.bestEquityTurn.equity > s.pass.equity);
+});
+
+test('the bag holds the unseen tiles less the opponent rack', () => {
+  const board = boardWith(['CAT', 7, 6, true]);
+  assert.equal(bagSize(board, ['A', 'E', 'I', 'O', 'U', 'R', 'S']), 100 - 3 - 7 - 7);
+});
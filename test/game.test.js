@@ -0,0 +1,132 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createBoard, createRng, applyTurn, passMove, rackValue, canChallenge, challengeLastPlay,
+  MAX_SCORELESS_TURNS, SINGLE_CHALLENGE_PENALTY,
+} from '../src/engine/index.js';
+import { lexiconOf, boardWith, positionsOf } from './helpers.js';
+
+const lexicon = lexiconOf(['CAT', 'AT', 'AA', 'TT']);
+
+// A game mid-way with the given board, racks and bag, player 0 to move.
+function gameOf({ board = createBoard(), racks, bag = ['E', 'I', 'O', 'U', 'L', 'N', 'R'], challengeRule = 'double' }) {
+  return { board, premiumsUsed: {}, bag, racks, scores: [0, 0], toMove: 0, moves: [], scoreless: 0, over: null, challengeRule, previous: null };
+}
+
+function play(word, r, c, horizontal, score) {
+  return { word, positions: positionsOf(word, r, c, horizontal), horizontal, score };
+}
+
+// ─── CHALLENGES ─────────────────────────────────────────────────
+
+test('a challenged phony goes back to the rack and its draw to the bag', () => {
+  const start = gameOf({ racks: [['X', 'A', 'T', 'S', 'E', 'N', 'D'], ['Q', 'V', 'W', 'K', 'J', 'F', 'B']] });
+  const played = applyTurn(start, play('XAT', 7, 6, true, 20), createRng(1));
+  assert.equal(played.racks[0].length, 7);
+  assert.equal(played.bag.length, 4);
+  assert.ok(canChallenge(played));
+
+  const { game, words, phonies } = challengeLastPlay(played, lexicon);
+  assert.deepEqual(words, ['XAT']);
+  assert.deepEqual(phonies, ['XAT']);
+  assert.deepEqual(game.racks, start.racks);
+  assert.deepEqual(game.bag, start.bag);
+  assert.deepEqual(game.board, start.board);
+  assert.deepEqual(game.scores, [0, 0]);
+  assert.equal(game.toMove, 1);
+  assert.equal(game.scoreless, 1);
+  const last = game.moves[game.moves.length - 1];
+  assert.equal(last.withdrawn, true);
+  assert.equal(last.score, 0);
+  assert.ok(!canChallenge(game));
+});
+
+test('a wrong challenge under double loses the challenger their turn', () => {
+  const start = gameOf({ racks: [['C', 'A', 'T', 'S', 'E', 'N', 'D'], ['Q', 'V', 'W', 'K', 'J', 'F', 'B']] });
+  const played = applyTurn(start, play('CAT', 7, 6, true, 10), createRng(1));
+  const { game, phonies } = challengeLastPlay(played, lexicon);
+  assert.deepEqual(phonies, []);
+  assert.deepEqual(game.scores, [10, 0]);
+  assert.deepEqual(game.racks, played.racks);
+  assert.equal(game.toMove, 0);
+  assert.equal(game.scoreless, 1);
+  const [upheld, lost] = game.moves.slice(-2);
+  assert.equal(upheld.challenged, true);
+  assert.equal(upheld.withdrawn, false);
+  assert.deepEqual({ player: lost.player, pass: lost.move.pass, score: lost.score }, { player: 1, pass: true, score: 0 });
+});
+
+test('a wrong challenge under single costs points for every word formed', () => {
+  const start = gameOf({
+    board: boardWith(['CAT', 7, 7, true]),
+    racks: [['A', 'T', 'S', 'E', 'N', 'D', 'R'], ['Q', 'V', 'W', 'K', 'J', 'F', 'B']],
+    challengeRule: 'single',
+  });
+  const played = applyTurn(start, play('AT', 8, 8, true, 6), createRng(1));
+  const { game, words, phonies } = challengeLastPlay(played, lexicon);
+  assert.deepEqual(words, ['AT', 'AA', 'TT']);
+  assert.deepEqual(phonies, []);
+  assert.deepEqual(game.scores, [6, -3 * SINGLE_CHALLENGE_PENALTY]);
+  // The challenger keeps the turn.
+  assert.equal(game.toMove, 1);
+  assert.equal(game.scoreless, 0);
+});
+
+// ─── GAME END ───────────────────────────────────────────────────
+
+test(`${MAX_SCORELESS_TURNS} scoreless turns in a row end the game, each side losing its rack`, () => {
+  let game = gameOf({ racks: [['C', 'A', 'T', 'S', 'E', 'N', 'D'], ['Q', 'V', 'W', 'K', 'J', 'F', 'B']] });
+  for (let i = 0; i < MAX_SCORELESS_TURNS - 1; i++) {
+    game = applyTurn(game, passMove(game.racks[game.toMove]));
+    assert.equal(game.over, null);
+  }
+  game = applyTurn(game, passMove(game.racks[game.toMove]));
+  const values = game.racks.map(rackValue);
+  assert.equal(game.over.reason, 'scoreless');
+  assert.deepEqual(game.over.adjustments, [-values[0], -values[1]]);
+  assert.deepEqual(game.scores, [-values[0], -values[1]]);
+  assert.equal(game.over.winner, 0);
+});
+
+test('a scoring play resets the scoreless count', () => {
+  const start = { ...gameOf({ racks: [['C', 'A', 'T', 'S', 'E', 'N', 'D'], ['Q', 'V', 'W', 'K', 'J', 'F', 'B']] }), scoreless: MAX_SCORELESS_TURNS - 1 };
+  const game = applyTurn(start, play('CAT', 7, 6, true, 10), createRng(1));
+  assert.equal(game.scoreless, 0);
+  assert.equal(game.over, null);
+});
+
+test('going out takes the value of the other rack from it and adds it to the winner', () => {
+  const start = gameOf({ board: boardWith(['C', 7, 7, true]), racks: [['A', 'T'], ['Q', 'Z']], bag: [] });
+  const game = applyTurn(start, play('CAT', 7, 7, true, 5));
+  assert.equal(game.over.reason, 'out');
+  assert.deepEqual(game.over.adjustments, [20, -20]);
+  assert.deepEqual(game.scores, [25, -20]);
+  assert.equal(game.over.winner, 0);
+});
+
+test('withdrawing a phony that went out undoes the rack penalties', () => {
+  const start = gameOf({ board: boardWith(['C', 7, 7, true]), racks: [['X', 'T'], ['Q', 'Z']], bag: [] });
+  const played = applyTurn(start, play('CXT', 7, 7, true, 13));
+  assert.equal(played.over.reason, 'out');
+  const { game } = challengeLastPlay(played, lexicon);
+  assert.equal(game.over, null);
+  assert.deepEqual(game.scores, [0, 0]);
+  assert.deepEqual(game.racks, start.racks);
+  assert.equal(game.toMove, 1);
+});
+
+test('a wrong challenge of the last play keeps the result but rescores the winner', () => {
+  const start = { ...gameOf({ board: boardWith(['C', 7, 7, true]), racks: [['A', 'T'], ['E', 'E']], bag: [], challengeRule: 'single' }), scores: [0, 13] };
+  const played = applyTurn(start, play('CAT', 7, 7, true, 5));
+  assert.deepEqual(played.scores, [7, 11]);
+  assert.equal(played.over.winner, 1);
+
+  const { game } = challengeLastPlay(played, lexicon);
+  assert.deepEqual(game.scores, [7, 11 - SINGLE_CHALLENGE_PENALTY]);
+  assert.equal(game.over.reason, 'out');
+  assert.equal(game.over.winner, 0);
+
+  const double = challengeLastPlay({ ...played, challengeRule: 'double' }, lexicon).game;
+  assert.deepEqual(double.scores, played.scores);
+  assert.equal(double.moves.length, played.moves.length);
+});
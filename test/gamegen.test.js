@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { playOutGame, GAME_PHASES, boardTiles, tileOf, createRng } from '../src/engine/index.js';
+import { loadTwl06 } from './helpers.js';
+
+const lexicon = loadTwl06();
+
+test('each phase plays a number of turns in its range', () => {
+  Object.entries(GAME_PHASES).forEach(([phase, { turns: [min, max] }], i) => {
+    const game = playOutGame(lexicon, { phase, random: createRng(30 + i) });
+    assert.ok(game.turn >= min && game.turn <= max, `${phase}: ${game.turn}`);
+    assert.equal(game.moves.length, game.turn);
+  });
+});
+
+test('every tile is on the board, on a rack or in the bag', () => {
+  const game = playOutGame(lexicon, { phase: 'mid', random: createRng(7) });
+  const tiles = [...boardTiles(game.board).map(tileOf), ...game.rack, ...game.opponentRack, ...game.bag];
+  assert.equal(tiles.length, 100);
+  assert.equal(game.rack.length, 7);
+});
+
+test('scores are from the side of the player to move', () => {
+  const game = playOutGame(lexicon, { phase: 'early', random: createRng(8) });
+  const toMove = game.turn % 2;
+  const total = (p) => game.moves.filter(m => m.player === p && m.play).reduce((n, m) => n + m.play.score, 0);
+  assert.deepEqual(game.scores, { player: total(toMove), opponent: total(1 - toMove) });
+  game.moves.filter(m => m.play).forEach(m => m.play.positions.forEach(([r, c]) => {
+    assert.ok(game.board[r][c] !== null);
+    assert.ok(game.premiumsUsed[`${r},${c}`]);
+  }));
+});
+
+test('a seeded game plays out the same every time', () => {
+  const a = playOutGame(lexicon, { phase: 'early', random: createRng(9) });
+  const b = playOutGame(lexicon, { phase: 'early', random: createRng(9) });
+  assert.deepEqual(b.board, a.board);
+  assert.deepEqual(b.rack, a.rack);
+  assert.deepEqual(b.scores, a.scores);
+});
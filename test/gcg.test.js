@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseGcg, createBoard, BLANK } from '../src/engine/index.js';
+import { boardWith } from './helpers.js';
+
+const GAME = [
+  '#character-encoding UTF-8',
+  '#player1 alice Alice Smith',
+  '#player2 bob Bob Jones',
+  '>alice: AEINRST 8D RETAINS +74 74',
+  '>bob: ?DEIOUX -DUX +0 0',
+  '>alice: EFGLOOW 9G FLOG +20 94',
+  '>alice: EFGLOOW -- -20 74',
+  '>bob: ?EIOOUY E6 OY.s +20 20',
+  '>alice: EFGLOOW - +0 74',
+  '>alice: (time) -10 64',
+].join('\n');
+
+const RETAINS = ['RETAINS', 7, 3, true];
+
+test('a .gcg game replays with its players, racks and moves', () => {
+  const { players, turns, error } = parseGcg(GAME);
+  assert.equal(error, undefined);
+  assert.deepEqual(players, ['alice', 'bob']);
+  assert.deepEqual(turns.map(t => [t.number, t.player, t.move]), [
+    [1, 'alice', '8D RETAINS +74 74'],
+    [2, 'bob', '-DUX +0 0'],
+    [3, 'alice', '9G FLOG +20 94'],
+    [4, 'bob', 'E6 OY.s +20 20'],
+    [5, 'alice', '- +0 74'],
+  ]);
+  assert.deepEqual(turns[1].rack, [BLANK, 'D', 'E', 'I', 'O', 'U', 'X']);
+  assert.deepEqual(turns[0].board, createBoard());
+});
+
+test('exchanges leave the board alone', () => {
+  const { turns } = parseGcg(GAME);
+  assert.deepEqual(turns[1].board, boardWith(RETAINS));
+  assert.deepEqual(turns[2].board, boardWith(RETAINS));
+});
+
+test('a withdrawn phony comes off the board before the next turn', () => {
+  const { turns } = parseGcg(GAME);
+  assert.deepEqual(turns[3].board, boardWith(RETAINS));
+});
+
+test('played-through tiles stay and blanks land in lower case', () => {
+  const { turns } = parseGcg(GAME);
+  assert.deepEqual(turns[4].board, boardWith(RETAINS, ['OYEs', 5, 4, false]));
+});
+
+test('unreadable games say which line failed', () => {
+  assert.deepEqual(parseGcg('>alice: AEINRST 8D RETAINS +74 74\n>bob: ABC - +0 0\n>alice: AEINRST -- -74 0'), { error: 'Line 3: a phony is taken back but there is no play to remove.' });
+  assert.deepEqual(parseGcg('>alice: AEINRST 8D RETAINS +74 74\n>bob: ABCDEFG 8D CAB +7 7'), { error: 'Line 2: 8D CAB clashes with R on the board.' });
+  assert.deepEqual(parseGcg('>alice: AEINRST Z9 RETAINS +74 74'), { error: 'Line 1: cannot read the move "Z9 RETAINS +74 74".' });
+  assert.deepEqual(parseGcg('#player1 alice'), { error: 'No moves with a rack were found.' });
+});
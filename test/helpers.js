@@ -0,0 +1,39 @@
+import { readFileSync } from 'node:fs';
+import { createLexicon, parseWordList, createBoard } from '../src/engine/index.js';
+
+// ─── TEST HELPERS ───────────────────────────────────────────────
+
+// A lexicon of just `words`, for hand-built positions. It goes by the
+// name 'test' in messages.
+export function lexiconOf(words) {
+  return createLexicon(words, 'test');
+}
+
+// TWL06 as shipped in public/, built once per test file.
+let twl06 = null;
+export function loadTwl06() {
+  if (!twl06) {
+    const text = readFileSync(new URL('../public/TWL06.txt', import.meta.url), 'utf8');
+    twl06 = createLexicon(parseWordList(text), 'TWL06');
+  }
+  return twl06;
+}
+
+// The squares a word covers from (r, c).
+export function positionsOf(word, r, c, horizontal) {
+  return [...word].map((_, i) => (horizontal ? [r, c + i] : [r + i, c]));
+}
+
+// A board with each [word, row, col, horizontal] written on it.
+export function boardWith(...words) {
+  const board = createBoard();
+  words.forEach(([word, r, c, horizontal]) => {
+    positionsOf(word, r, c, horizontal).forEach(([pr, pc], i) => { board[pr][pc] = word[i]; });
+  });
+  return board;
+}
+
+// The `placed` map validatePlacement takes: "r,c" → letter.
+export function placement(...tiles) {
+  return Object.fromEntries(tiles.map(([r, c, letter]) => [`${r},${c}`, letter]));
+}
@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadHistory, appendRound, clearHistory, summarize, accuracyTrend, TREND_BLOCK } from '../src/storage/history.js';
+
+// A history entry with each half answered right or wrong.
+function round(off, def) {
+  return { offense: { match: off }, defense: { match: def } };
+}
+
+// Node has no localStorage; the history only needs get and set.
+const stored = new Map();
+globalThis.localStorage = { getItem: key => stored.get(key) ?? null, setItem: (key, value) => stored.set(key, value) };
+
+test('appended rounds are saved and read back', () => {
+  let history = clearHistory();
+  history = appendRound(history, round(true, false));
+  history = appendRound(history, round(false, true));
+  assert.equal(history.length, 2);
+  assert.deepEqual(loadHistory(), history);
+  assert.deepEqual(clearHistory(), []);
+  assert.deepEqual(loadHistory(), []);
+});
+
+test('the summary counts right answers and averages timed rounds', () => {
+  const timed = (off, def, seconds) => ({ offense: { match: off, seconds }, defense: { match: def, seconds } });
+  const history = [timed(true, true, 3), timed(false, true, 7), round(true, false)];
+  assert.deepEqual(summarize(history), { played: 3, offOk: 2, defOk: 2, avgSeconds: 10 });
+  assert.deepEqual(summarize([]), { played: 0, offOk: 0, defOk: 0, avgSeconds: null });
+});
+
+test('the trend has its second point from the round after the first block', () => {
+  const block = Array.from({ length: TREND_BLOCK }, () => round(true, false));
+  assert.equal(accuracyTrend(block).length, 1);
+  assert.equal(accuracyTrend([...block, round(false, true)]).length, 2);
+});
+
+test('each trend point is the accuracy of its block', () => {
+  const history = [round(true, true), round(true, false), round(false, false), round(true, true), round(false, true)];
+  assert.deepEqual(accuracyTrend(history, 2), [
+    { from: 1, to: 2, off: 1, def: 0.5 },
+    { from: 3, to: 4, off: 0.5, def: 0.5 },
+    { from: 5, to: 5, off: 0, def: 1 },
+  ]);
+});
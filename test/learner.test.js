@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { reviewSchedule, dueReviews, REVIEW_INTERVALS, focusWeight, weakestSkill } from '../src/engine/index.js';
+
+const T0 = Date.parse('2026-01-01T00:00:00Z');
+const HOUR = 60 * 60 * 1000;
+
+// A history entry for `code` answered at `at` ms, right or wrong.
+function round(code, at, right, lexicon = 'TWL06') {
+  return { code, lexicon, at: new Date(at).toISOString(), offense: { match: right }, defense: { match: right } };
+}
+
+test('a miss comes back after the first interval', () => {
+  assert.deepEqual(reviewSchedule([round('S-A', T0, false)], 'TWL06'), [{ code: 'S-A', streak: 0, due: T0 + REVIEW_INTERVALS[0] }]);
+});
+
+test('each right answer pushes the review back by the next interval', () => {
+  const history = [round('S-A', T0, false)];
+  let at = T0;
+  for (let streak = 1; streak < REVIEW_INTERVALS.length; streak++) {
+    at += REVIEW_INTERVALS[streak - 1];
+    history.push(round('S-A', at, true));
+    assert.deepEqual(reviewSchedule(history, 'TWL06'), [{ code: 'S-A', streak, due: at + REVIEW_INTERVALS[streak] }]);
+  }
+});
+
+test('a position is done once every interval has been passed', () => {
+  const history = [round('S-A', T0, false), ...REVIEW_INTERVALS.map((_, i) => round('S-A', T0 + (i + 1) * HOUR, true))];
+  assert.deepEqual(reviewSchedule(history, 'TWL06'), []);
+});
+
+test('a new miss starts the schedule over', () => {
+  const history = [round('S-A', T0, false), round('S-A', T0 + HOUR, true), round('S-A', T0 + 2 * HOUR, false)];
+  assert.deepEqual(reviewSchedule(history, 'TWL06'), [{ code: 'S-A', streak: 0, due: T0 + 2 * HOUR + REVIEW_INTERVALS[0] }]);
+});
+
+test('half a round wrong counts as a miss', () => {
+  const history = [{ ...round('S-A', T0, true), defense: { match: false } }];
+  assert.equal(reviewSchedule(history, 'TWL06').length, 1);
+});
+
+test('right answers to positions never missed, other lexicons and codeless rounds are left out', () => {
+  const history = [round('S-A', T0, true), round('S-B', T0, false, 'CSW19'), round(null, T0, false)];
+  assert.deepEqual(reviewSchedule(history, 'TWL06'), []);
+});
+
+test('reviews come soonest first and only count as due once their time comes', () => {
+  const history = [round('S-A', T0, false), round('S-B', T0 - HOUR, false)];
+  assert.deepEqual(reviewSchedule(history, 'TWL06').map(r => r.code), ['S-B', 'S-A']);
+  assert.deepEqual(dueReviews(history, 'TWL06', T0 + REVIEW_INTERVALS[0] - 1).map(r => r.code), ['S-B']);
+  assert.deepEqual(dueReviews(history, 'TWL06', T0 + REVIEW_INTERVALS[0]).map(r => r.code), ['S-B', 'S-A']);
+});
+
+test('scenarios asking for weak skills weigh more', () => {
+  const focus = { hook: 0.8, premium: 0.1 };
+  assert.equal(focusWeight([], focus), 1);
+  assert.ok(focusWeight(['hook'], focus) > focusWeight(['premium'], focus));
+  assert.ok(focusWeight(['hook', 'premium'], focus) > focusWeight(['hook'], focus));
+});
+
+test('the weakest skill is the one with the highest weakness', () => {
+  assert.equal(weakestSkill({ premium: 0.2, hook: 0.7, parallel: 0.5, blockTW: 0.1 }), 'hook');
+  assert.equal(weakestSkill({}), null);
+});
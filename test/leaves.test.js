@@ -0,0 +1,20 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LEAVE_TABLE, leaveValue } from '../src/engine/index.js';
+
+test('every table key is already in char-code order', () => {
+  const unsorted = Object.keys(LEAVE_TABLE).filter(key => [...key].sort().join('') !== key);
+  assert.deepEqual(unsorted, []);
+});
+
+test('leaves are looked up whatever order the tiles come in', () => {
+  assert.equal(leaveValue(['Q', 'U', 'I']), -2.0);
+  assert.equal(leaveValue('NGI'), 4.0);
+  assert.equal(leaveValue(['S', '?', 'E']), 37.0);
+  assert.equal(leaveValue([]), 0);
+});
+
+test('leaves outside the table fall back to the heuristic', () => {
+  // A Q with no U costs more than its single-tile value.
+  assert.ok(leaveValue(['Q', 'V']) < LEAVE_TABLE.Q + LEAVE_TABLE.V);
+});
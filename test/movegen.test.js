@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findAllValidPlays, validatePlacement, BLANK } from '../src/engine/index.js';
+import { lexiconOf, boardWith } from './helpers.js';
+
+const lexicon = lexiconOf(['CAT', 'CATS', 'SCAT', 'ACT', 'AT', 'TA', 'AS', 'RETAINS', 'RETAINING', 'TAT']);
+const find = (words, rack) => findAllValidPlays(boardWith(...words), rack, {}, lexicon);
+const describe = (p) => `${p.word}@${p.row},${p.col}${p.horizontal ? 'H' : 'V'}`;
+
+test('finds words through, before and after board tiles', () => {
+  const plays = find([['A', 7, 7, true]], ['C', 'T', 'S']).map(describe);
+  assert.ok(plays.includes('CAT@7,6H'));
+  assert.ok(plays.includes('CAT@6,7V'));
+  assert.ok(plays.includes('CATS@7,6H'));
+  assert.ok(plays.includes('AT@7,7H'));
+  assert.ok(plays.includes('TA@7,6H'));
+});
+
+test('bridges the gap between two board tiles', () => {
+  const plays = find([['C', 7, 5, true], ['T', 7, 7, true]], ['A']).map(describe);
+  assert.deepEqual(plays.filter(p => p.startsWith('CAT')), ['CAT@7,5H']);
+});
+
+test('leaves out plays with a bad cross-word', () => {
+  // Any T beside the T at 8,8 would make TT.
+  const plays = find([['A', 7, 7, true], ['T', 8, 8, true]], ['C', 'A', 'T']).map(describe);
+  assert.ok(!plays.includes('CAT@6,7V'));
+  assert.ok(!plays.includes('CAT@7,6H'));
+  assert.ok(!plays.includes('AT@7,7V'));
+  assert.ok(plays.includes('TA@6,7V'));
+});
+
+test('every play found is one validatePlacement accepts at the same score', () => {
+  const board = boardWith(['CAT', 7, 6, true], ['TA', 8, 8, false]);
+  const rack = ['A', 'S', 'T', BLANK];
+  for (const p of findAllValidPlays(board, rack, {}, lexicon)) {
+    const placed = {};
+    p.positions.forEach(([r, c], i) => { if (board[r][c] === null) placed[`${r},${c}`] = p.word[i]; });
+    const v = validatePlacement(board, placed, {}, lexicon);
+    assert.equal(v.valid, true, describe(p));
+    assert.equal(v.word, p.word);
+    assert.equal(v.score, p.score);
+  }
+});
+
+test('blanks come back as lower-case letters scoring nothing', () => {
+  const plays = find([['A', 7, 7, true]], [BLANK, 'T']);
+  const blankCat = plays.find(p => describe(p) === 'cAT@7,6H');
+  assert.ok(blankCat);
+  assert.equal(blankCat.score, 2);
+});
+
+test('a play using the whole rack scores the bingo bonus', () => {
+  // RETAINI before the NG on the board: seven new tiles.
+  const board = boardWith(['NG', 7, 7, true]);
+  const plays = findAllValidPlays(board, [...'RETAINI'], {}, lexicon);
+  const bingo = plays.find(p => p.word === 'RETAINING');
+  assert.ok(bingo);
+  assert.equal(describe(bingo), 'RETAINING@7,0H');
+  // R on the TW, A on the DL, the centre DW already covered: 11 × 3 + 50.
+  assert.equal(bingo.score, 33 + 50);
+});
+
+test('finds parallel plays that only touch the board through cross-words', () => {
+  // AT under the T of CAT makes TA down without running through a tile.
+  const plays = find([['CAT', 7, 6, true]], ['A', 'T']).map(describe);
+  assert.ok(plays.includes('AT@8,8H'));
+  assert.ok(plays.includes('TA@8,7H')); // AT and TA down
+  // Touching a tile only at a corner forms no word and is no play.
+  assert.ok(!plays.includes('AT@8,9H'));
+});
+
+test('opening moves cover the centre square', () => {
+  const plays = find([], ['C', 'A', 'T']);
+  assert.ok(plays.length > 0);
+  assert.ok(plays.every(p => p.positions.some(([r, c]) => r === 7 && c === 7)));
+  assert.ok(plays.map(describe).includes('CAT@7,5H'));
+  assert.ok(plays.map(describe).includes('CAT@5,7V'));
+  assert.equal(plays.find(p => describe(p) === 'CAT@7,5H').score, 10);
+});
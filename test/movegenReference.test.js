@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findAllValidPlays, buildConnectedBoard, createRng, BLANK } from '../src/engine/index.js';
+import { bruteForceMoves } from './bruteForceMoves.js';
+import { loadTwl06, boardWith } from './helpers.js';
+
+// The anchor-based generator must find exactly the plays the brute-force
+// reference does, score for score, on fixed TWL06 positions.
+const lexicon = loadTwl06();
+const asSet = (plays) => new Set(plays.map(p => `${p.word} ${p.row},${p.col} ${p.horizontal ? 'H' : 'V'} ${p.score}`));
+
+function assertSamePlays(board, rack, premiumsUsed) {
+  const fast = asSet(findAllValidPlays(board, rack, premiumsUsed, lexicon));
+  const slow = asSet(bruteForceMoves(board, rack, premiumsUsed, lexicon));
+  assert.deepEqual([...fast].filter(p => !slow.has(p)), [], 'found only by the generator');
+  assert.deepEqual([...slow].filter(p => !fast.has(p)), [], 'found only by brute force');
+  assert.ok(fast.size > 0);
+}
+
+const seededBoard = (seed) => {
+  const random = createRng(seed);
+  let data = null;
+  while (!data) data = buildConnectedBoard(lexicon, random);
+  return data;
+};
+
+test('matches brute force on a hand-built board', () => {
+  const board = boardWith(['QUIET', 7, 5, true], ['ZONE', 4, 8, false], ['JO', 3, 9, true]);
+  assertSamePlays(board, [...'AEIRSTN'], {});
+});
+
+test('matches brute force on generated boards', () => {
+  const racks = [[...'AEINRST'], [...'QUXZJKV'], [...'EEOOAIU']];
+  [11, 12, 13].forEach((seed, i) => {
+    const { board, premiumsUsed } = seededBoard(seed);
+    assertSamePlays(board, racks[i], premiumsUsed);
+  });
+});
+
+test('matches brute force with blanks on the rack', () => {
+  const { board, premiumsUsed } = seededBoard(21);
+  assertSamePlays(board, ['E', 'R', 'T', 'S', BLANK], premiumsUsed);
+  const twoBlanks = boardWith(['HOUSE', 7, 5, true]);
+  assertSamePlays(twoBlanks, ['A', 'D', BLANK, BLANK], {});
+});
+
+test('matches brute force on an empty board', () => {
+  assertSamePlays(boardWith(), [...'AEINRST'], {});
+  assertSamePlays(boardWith(), ['Q', 'I', BLANK], {});
+});
@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { playCoordinate, squareName, formatPlay, moveLabel, parseCoordinate, samePlay, rankOf, exchangeMove, passMove } from '../src/engine/index.js';
+import { positionsOf } from './helpers.js';
+
+const play = (word, r, c, horizontal, score = 0) => ({ word, row: r, col: c, horizontal, score, positions: positionsOf(word, r, c, horizontal) });
+
+test('across plays name the row first and down plays the column', () => {
+  assert.equal(playCoordinate(play('QUIET', 7, 7, true)), '8H');
+  assert.equal(playCoordinate(play('QUIET', 0, 14, false)), 'O1');
+  assert.equal(squareName(14, 0), 'A15');
+});
+
+test('a play is written as coordinate, word and score', () => {
+  assert.equal(formatPlay(play('QUIEt', 7, 3, true, 24)), '8D QUIEt 24');
+  assert.equal(formatPlay(exchangeMove(['A', 'B', 'C', 'D'], ['A', 'B', 'C'])), '-ABC 0');
+  assert.equal(formatPlay(passMove(['A'])), '- 0');
+});
+
+test('turns that place nothing are labelled by what they did', () => {
+  assert.equal(moveLabel(play('ZONE', 7, 7, true)), 'ZONE');
+  assert.equal(moveLabel(exchangeMove(['Q', 'U', 'E'], ['Q', 'U'])), 'Exchange QU');
+  assert.equal(moveLabel(passMove(['Q'])), 'Pass');
+  assert.equal(moveLabel({ ...passMove(['Q']), timedOut: true }), 'Out of time');
+});
+
+test('coordinates parse back in either order and either case', () => {
+  assert.deepEqual(parseCoordinate('8H'), { row: 7, col: 7, horizontal: true });
+  assert.deepEqual(parseCoordinate(' o15 '), { row: 14, col: 14, horizontal: false });
+  ['', '16A', '0A', 'P8', 'H', '8'].forEach(text => assert.equal(parseCoordinate(text), null, text));
+});
+
+test('plays are the same when word and squares match, blanks aside', () => {
+  assert.ok(samePlay(play('QUIET', 7, 7, true), play('QUIeT', 7, 7, true)));
+  assert.ok(!samePlay(play('QUIET', 7, 7, true), play('QUIET', 7, 7, false)));
+  assert.ok(!samePlay(play('QUIET', 7, 7, true), play('QUITE', 7, 7, true)));
+});
+
+test('tied values share the better rank', () => {
+  assert.equal(rankOf(30, [40, 30, 30, 20]), 2);
+  assert.equal(rankOf(20, [40, 30, 30, 20]), 4);
+  assert.equal(rankOf(50, [40, 30]), 1);
+});
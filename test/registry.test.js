@@ -0,0 +1,97 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadLexicon, listLexicons, saveUploadedLexicon, deleteUploadedLexicon, BUILTIN_LEXICONS } from '../src/lexicons/registry.js';
+
+// ─── BROWSER STAND-INS ──────────────────────────────────────────
+// Node has neither IndexedDB nor a server for public/, so the registry
+// talks to an in-memory database and a fetch that serves `served`.
+const stores = new Map();
+const later = (request, result) => setTimeout(() => { request.result = result(); request.onsuccess(); });
+const db = {
+  objectStoreNames: { contains: name => stores.has(name) },
+  createObjectStore: name => stores.set(name, new Map()),
+  transaction: name => ({
+    objectStore: () => {
+      const store = stores.get(name);
+      const request = (result) => { const r = {}; later(r, result); return r; };
+      return {
+        get: key => request(() => store.get(key)),
+        put: (value, key) => request(() => store.set(key, value) && key),
+        delete: key => request(() => store.delete(key) && undefined),
+        getAllKeys: () => request(() => [...store.keys()]),
+      };
+    },
+  }),
+};
+globalThis.indexedDB = {
+  open: () => {
+    const request = {};
+    setTimeout(() => { request.result = db; request.onupgradeneeded(); request.onsuccess(); });
+    return request;
+  },
+};
+
+const served = { 'TWL06.txt': { text: 'cat\ncats\nDOG\nx\n', etag: '"1"' } };
+let downloads = 0;
+globalThis.fetch = async (url, { method = 'GET' } = {}) => {
+  const file = served[url.slice(1)];
+  if (!file) return new Response('<!doctype html>', { status: 404, headers: { 'content-type': 'text/html' } });
+  if (method === 'GET') downloads++;
+  return new Response(method === 'HEAD' ? null : file.text, { headers: { 'content-type': 'text/plain', etag: file.etag } });
+};
+
+const upload = (name, text) => ({ name, text: async () => text });
+// The graph is cached in the background; this lets that write finish.
+const settle = () => new Promise(resolve => setTimeout(resolve, 5));
+
+test('a built-in list loads under its id, short and odd entries dropped', async () => {
+  const lexicon = await loadLexicon('TWL06');
+  assert.equal(lexicon.name, 'TWL06');
+  assert.deepEqual([...lexicon.words].sort(), ['CAT', 'CATS', 'DOG']);
+});
+
+test('overlays add their words to the lexicon', async () => {
+  const lexicon = await loadLexicon('TWL06', ['modern']);
+  assert.ok(lexicon.has('SELFIE'));
+  assert.ok(lexicon.has('CAT'));
+  assert.ok(!(await loadLexicon('TWL06')).has('SELFIE'));
+});
+
+test('the compiled graph is reused until the list changes', async () => {
+  await loadLexicon('TWL06');
+  await settle();
+  const before = downloads;
+  assert.ok((await loadLexicon('TWL06')).has('DOG'));
+  assert.equal(downloads, before);
+
+  served['TWL06.txt'] = { text: 'cat\nbird\n', etag: '"2"' };
+  const changed = await loadLexicon('TWL06');
+  assert.equal(downloads, before + 1);
+  assert.ok(changed.has('BIRD'));
+  assert.ok(!changed.has('DOG'));
+});
+
+test('a built-in list missing from public/ is refused', async () => {
+  await assert.rejects(loadLexicon('CSW21'), /CSW21\.txt is not in public\//);
+});
+
+test('uploads are listed, loaded and deleted with their graphs', async () => {
+  const id = await saveUploadedLexicon(upload('mine.txt', 'QI\nZA\n'));
+  assert.equal(id, 'upload:mine');
+  const listed = await listLexicons();
+  assert.equal(listed.length, BUILTIN_LEXICONS.length + 1);
+  assert.deepEqual(listed.at(-1), { id, name: 'mine (uploaded)', uploaded: true });
+
+  assert.ok((await loadLexicon(id, ['modern'])).has('QI'));
+  await settle();
+  assert.ok([...stores.get('graphs').keys()].includes(`${id}+modern`));
+
+  await deleteUploadedLexicon(id);
+  assert.equal((await listLexicons()).length, BUILTIN_LEXICONS.length);
+  assert.ok(![...stores.get('graphs').keys()].some(k => k.startsWith(id)));
+  await assert.rejects(loadLexicon(id), /Lexicon "upload:mine" is not available\./);
+});
+
+test('an upload with no usable words is refused', async () => {
+  await assert.rejects(saveUploadedLexicon(upload('empty.txt', '1\n2\n')), /empty\.txt has no usable words\./);
+});
@@ -0,0 +1,24 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { scenarioFromCode, checkPosition, encodePositionCode } from '../src/engine/index.js';
+import { lexiconOf, boardWith } from './helpers.js';
+
+const lexicon = lexiconOf(['CAT', 'CATS']);
+const board = boardWith(['CAT', 7, 6, true]);
+
+test('a position code loads however few plays the rack has', () => {
+  const s = scenarioFromCode(encodePositionCode(board, ['S']), lexicon);
+  assert.ok(s);
+  assert.equal(s.validPlays.length, 1);
+  assert.equal(s.bestOffensive.word, 'CATS');
+  assert.equal(s.bestDefensive.word, 'CATS');
+});
+
+test('a position whose rack has no play is refused with a reason', () => {
+  assert.equal(checkPosition(board, ['Q'], lexicon), 'The rack has no play on this board.');
+  assert.equal(scenarioFromCode(encodePositionCode(board, ['Q']), lexicon), null);
+});
+
+test('a position with a word outside the lexicon is refused', () => {
+  assert.equal(checkPosition(boardWith(['DOG', 7, 6, true]), ['S'], lexicon), 'Not in test: DOG.');
+});
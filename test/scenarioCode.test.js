@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { encodeSeedCode, encodePositionCode, decodeScenarioCode, scenarioFromCode, BLANK } from '../src/engine/index.js';
+import { loadTwl06, boardWith } from './helpers.js';
+
+test('a position code decodes to the same board and rack', () => {
+  const board = boardWith(['QUIET', 7, 3, true], ['ZoNE', 3, 6, false], ['JO', 2, 14, false]);
+  const rack = ['A', 'E', BLANK, 'R', 'S', BLANK, 'T'];
+  const code = encodePositionCode(board, rack);
+  assert.deepEqual(decodeScenarioCode(code), { board, rack });
+  assert.match(code, /^P-[0-9A-Za-z]+-AE_RS_T$/);
+});
+
+test('position codes spell empty runs as numbers and blanks as lower case', () => {
+  const board = boardWith(['CAt', 7, 7, true]);
+  const code = encodePositionCode(board, ['R']);
+  assert.equal(code, 'P-112CAt110-R');
+  assert.deepEqual(decodeScenarioCode(code).board, board);
+});
+
+test('seed codes decode to their seed and phase', () => {
+  assert.deepEqual(decodeScenarioCode(encodeSeedCode(123456)), { seed: 123456 });
+  assert.deepEqual(decodeScenarioCode(encodeSeedCode(0xFFFFFFFF, 'late')), { seed: 0xFFFFFFFF, phase: 'late' });
+  assert.deepEqual(decodeScenarioCode(' s-3ld '), { seed: parseInt('3LD', 36) });
+  assert.equal(encodeSeedCode(35, 'mid'), 'G-MZ');
+});
+
+test('malformed codes decode to null', () => {
+  ['', 'S-', 'S-ZZZZZZZ', 'G-X1', 'P-225-', 'P-224-A', 'P-225-abc', 'X-1'].forEach(code => {
+    assert.equal(decodeScenarioCode(code), null, code);
+  });
+});
+
+test('a seed code rebuilds the same scenario', () => {
+  const lexicon = loadTwl06();
+  const code = encodeSeedCode(20240601);
+  const a = scenarioFromCode(code, lexicon);
+  const b = scenarioFromCode(code, lexicon);
+  assert.ok(a);
+  assert.equal(a.code, code);
+  assert.deepEqual(b.board, a.board);
+  assert.deepEqual(b.rack, a.rack);
+  assert.deepEqual(b.validPlays.map(p => p.word), a.validPlays.map(p => p.word));
+});
+
+test('a simulated-game seed code rebuilds the same scenario', () => {
+  const lexicon = loadTwl06();
+  const code = encodeSeedCode(77, 'mid');
+  const a = scenarioFromCode(code, lexicon);
+  const b = scenarioFromCode(code, lexicon);
+  assert.ok(a);
+  assert.equal(a.code, code);
+  assert.equal(a.game.phase, 'mid');
+  assert.deepEqual(b.board, a.board);
+  assert.deepEqual(b.rack, a.rack);
+  assert.deepEqual(b.game.scores, a.game.scores);
+});
+
+test('a scenario rebuilt from its position code is the same position', () => {
+  const lexicon = loadTwl06();
+  const seeded = scenarioFromCode(encodeSeedCode(20240601), lexicon);
+  const again = scenarioFromCode(encodePositionCode(seeded.board, seeded.rack), lexicon);
+  assert.deepEqual(again.board, seeded.board);
+  assert.deepEqual(again.rack, seeded.rack);
+  assert.equal(again.bestOffensive.score, seeded.bestOffensive.score);
+});
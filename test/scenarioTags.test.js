@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzePosition, createBoard, generateTaggedScenario, TAGGED_ATTEMPTS } from '../src/engine/index.js';
+import { lexiconOf, boardWith, loadTwl06 } from './helpers.js';
+
+const tagsOf = (board, rack, words) => analyzePosition(board, rack, {}, lexiconOf(words), { minPlays: 1 }).tags;
+
+// ─── TAGS ───────────────────────────────────────────────────────
+
+test('a rack that can go out in one play has a bingo available', () => {
+  assert.deepEqual(tagsOf(createBoard(), [...'RETAINS'], ['RETAINS', 'AT']), ['bingo']);
+  // Six letters of the rack are no bingo.
+  assert.deepEqual(tagsOf(createBoard(), [...'RETAIN'], ['RETAIN', 'AT']), []);
+});
+
+test('a best play onto a TW square uses it, hooks the word and blocks the lane', () => {
+  // SCAT with the S on the TW at 7,0.
+  const tags = tagsOf(boardWith(['CAT', 7, 1, true]), ['S'], ['CAT', 'SCAT', 'CATS']);
+  assert.deepEqual([...tags].sort(), ['blockTW', 'hook', 'usesTW']);
+});
+
+test('a best play under a board word is a parallel play', () => {
+  // AT under the AT of CAT, with AA and TT down.
+  assert.deepEqual(tagsOf(boardWith(['CAT', 7, 6, true]), ['A', 'T'], ['CAT', 'AT', 'AA', 'TT']), ['parallel']);
+});
+
+test('a Q best played or exchanged away is a Q dump', () => {
+  const board = boardWith(['AT', 7, 7, true]);
+  assert.ok(tagsOf(board, [...'QIEEOUV'], ['AT', 'QI', 'EAT', 'OAT']).includes('dumpQ'));
+  // No play takes the Q here, but exchanging it beats keeping it.
+  assert.ok(tagsOf(board, [...'QUEEOIV'], ['AT', 'EAT', 'OAT', 'VAT']).includes('dumpQ'));
+});
+
+// ─── TAGGED GENERATION ──────────────────────────────────────────
+
+test('tagged generation deals a scenario with the tag', () => {
+  const lexicon = loadTwl06();
+  const progress = [];
+  const s = generateTaggedScenario(lexicon, 'parallel', { onProgress: (done, total) => progress.push([done, total]) });
+  assert.ok(s);
+  assert.ok(s.tags.includes('parallel'));
+  assert.ok(s.code);
+  progress.forEach(([done, total], i) => assert.deepEqual([done, total], [i + 1, TAGGED_ATTEMPTS]));
+});
+
+test('tagged generation deals simulated-game positions for a phase', () => {
+  const s = generateTaggedScenario(loadTwl06(), 'hook', { phase: 'mid' });
+  assert.ok(s);
+  assert.ok(s.tags.includes('hook'));
+  assert.equal(s.game.phase, 'mid');
+});
@@ -0,0 +1,102 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { encodeSeedCode } from '../src/engine/index.js';
+import { createScenarioGenerator } from '../src/workers/scenarioGenerator.js';
+import { loadTwl06 } from './helpers.js';
+
+// ─── WORKER STAND-INS ───────────────────────────────────────────
+// The worker script runs in this thread with `self` standing in for its
+// global scope; what it posts back is collected in `sent`.
+const sent = [];
+let notify = () => {};
+globalThis.self = { postMessage: (msg) => { sent.push(msg); notify(); } };
+await import('../src/workers/scenario.worker.js');
+const post = (msg) => self.onmessage({ data: msg });
+
+// Resolves to the first message for `id` that `matches`.
+function reply(id, matches = () => true) {
+  return new Promise(resolve => {
+    notify = () => {
+      const msg = sent.find(m => m.id === id && matches(m));
+      if (msg) { notify = () => {}; resolve(msg); }
+    };
+    notify();
+  });
+}
+const isAnswer = (m) => m.type === 'result' || m.type === 'error';
+
+const lexicon = loadTwl06();
+post({ type: 'init', dawg: lexicon.dawg, name: lexicon.name, phase: null });
+
+test('a code request is answered with that scenario', async () => {
+  const code = encodeSeedCode(20240601);
+  post({ type: 'generate', id: 1, code, focus: null, tag: null });
+  const msg = await reply(1, isAnswer);
+  assert.equal(msg.type, 'result');
+  assert.equal(msg.scenario.code, code);
+});
+
+test('a random request is answered with a scenario', async () => {
+  post({ type: 'generate', id: 2, code: null, focus: null, tag: null });
+  const msg = await reply(2, isAnswer);
+  assert.equal(msg.type, 'result');
+  assert.ok(msg.scenario.rack.length > 0);
+});
+
+test('a cancelled search stops between tries and the next request is served', async () => {
+  post({ type: 'generate', id: 3, code: null, focus: null, tag: 'no-such-tag' });
+  await reply(3, m => m.type === 'progress');
+  post({ type: 'cancel', id: 3 });
+  post({ type: 'generate', id: 4, code: null, focus: null, tag: null });
+  assert.equal((await reply(4, isAnswer)).type, 'result');
+  assert.ok(!sent.some(m => m.id === 3 && isAnswer(m)));
+  const tries = sent.filter(m => m.id === 3 && m.type === 'progress');
+  assert.ok(tries.length < tries[0].total);
+});
+
+// ─── CLIENT ─────────────────────────────────────────────────────
+// A Worker that records what the client posts and answers when told.
+class FakeWorker {
+  constructor() { this.posted = []; FakeWorker.last = this; }
+  postMessage(msg) { this.posted.push(msg); }
+  terminate() { this.terminated = true; }
+}
+
+test('the client matches replies to requests and passes on progress', async () => {
+  globalThis.Worker = FakeWorker;
+  const generator = createScenarioGenerator(new Uint32Array(1), 'test', 'mid');
+  const worker = FakeWorker.last;
+  assert.deepEqual(worker.posted[0], { type: 'init', dawg: new Uint32Array(1), name: 'test', phase: 'mid' });
+
+  const progress = [];
+  const a = generator.generate(null, (done, total) => progress.push([done, total]), { tag: 'bingo' });
+  const b = generator.generate('S-1');
+  assert.deepEqual(worker.posted.slice(1), [
+    { type: 'generate', id: a.id, code: null, focus: null, tag: 'bingo' },
+    { type: 'generate', id: b.id, code: 'S-1', focus: null, tag: null },
+  ]);
+
+  worker.onmessage({ data: { type: 'progress', id: a.id, done: 1, total: 100 } });
+  worker.onmessage({ data: { type: 'error', id: b.id, message: 'No scenario.' } });
+  worker.onmessage({ data: { type: 'result', id: a.id, scenario: 'found' } });
+  assert.equal(await a.result, 'found');
+  await assert.rejects(b.result, /No scenario\./);
+  assert.deepEqual(progress, [[1, 100]]);
+});
+
+test('the client rejects cancelled and shut-down requests', async () => {
+  globalThis.Worker = FakeWorker;
+  const generator = createScenarioGenerator(new Uint32Array(1), 'test');
+  const worker = FakeWorker.last;
+  const a = generator.generate();
+  const b = generator.generate();
+  generator.cancel(a.id);
+  assert.deepEqual(worker.posted.at(-1), { type: 'cancel', id: a.id });
+  await assert.rejects(a.result, /cancelled/);
+
+  // A late reply to a cancelled request is ignored.
+  worker.onmessage({ data: { type: 'result', id: a.id, scenario: 'late' } });
+  generator.terminate();
+  assert.ok(worker.terminated);
+  await assert.rejects(b.result, /shut down/);
+});
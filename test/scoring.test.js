@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { scorePlay, scoreOneWord, createBoard } from '../src/engine/index.js';
+import { boardWith, positionsOf } from './helpers.js';
+
+test('letter and word premiums count for new tiles', () => {
+  // Q on the DL at 7,3, the word through the centre DW.
+  const positions = positionsOf('QAT', 7, 3, true);
+  assert.equal(scoreOneWord('QAT', positions, createBoard(), {}), 22);
+  const centre = positionsOf('QAT', 7, 5, true);
+  assert.equal(scoreOneWord('QAT', centre, createBoard(), {}), 24);
+});
+
+test('premiums under tiles already on the board do not count again', () => {
+  const board = boardWith(['A', 7, 7, true]);
+  assert.equal(scorePlay('CAT', positionsOf('CAT', 7, 6, true), board, {}, true), 5);
+});
+
+test('spent premium squares score as plain squares', () => {
+  assert.equal(scoreOneWord('QAT', positionsOf('QAT', 7, 3, true), createBoard(), { '7,3': true }), 12);
+});
+
+test('a designated blank scores nothing but keeps the word multiplier', () => {
+  assert.equal(scoreOneWord('qAT', positionsOf('qAT', 7, 5, true), createBoard(), {}), 4);
+});
+
+test('using all seven tiles adds the 50-point bingo bonus', () => {
+  // R E T(DL) A I N S(DW): 8 × 2 + 50.
+  assert.equal(scorePlay('RETAINS', positionsOf('RETAINS', 7, 1, true), createBoard(), {}, true), 66);
+  assert.equal(scorePlay('RETAINs', positionsOf('RETAINs', 7, 1, true), createBoard(), {}, true), 64);
+  // Seven letters through a board tile are only six new tiles.
+  const board = boardWith(['R', 7, 1, true]);
+  assert.equal(scorePlay('RETAINS', positionsOf('RETAINS', 7, 1, true), board, {}, true), 16);
+});
+
+test('adds the cross-words a play forms', () => {
+  const board = boardWith(['CAT', 7, 6, true]);
+  // AT on row 8 under the T: AT (A on DL) plus TA down.
+  assert.equal(scorePlay('AT', positionsOf('AT', 8, 8, true), board, {}, true), 6);
+});
@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { simulatePlays, findAllValidPlays, createRng } from '../src/engine/index.js';
+import { lexiconOf, loadTwl06, boardWith } from './helpers.js';
+
+test('with no reply possible the spread is the play score', () => {
+  // The Q and both blanks are on the board, and the Q on the bottom row
+  // can't start QIS downwards, so no reply is possible.
+  const lexicon = lexiconOf(['QIS']);
+  const board = boardWith(['QI', 14, 7, true], ['ee', 0, 0, true]);
+  const candidates = findAllValidPlays(board, ['S'], {}, lexicon);
+  const [result] = simulatePlays(board, ['S'], {}, lexicon, candidates, { iterations: 3, random: createRng(1) });
+  assert.equal(result.play, candidates[0]);
+  assert.equal(result.avgReply, 0);
+  assert.equal(result.spread, candidates[0].score);
+  assert.equal(result.samples, 3);
+});
+
+test('every candidate faces the same opponent racks', () => {
+  const lexicon = loadTwl06();
+  const board = boardWith(['QUIET', 7, 5, true]);
+  const plays = findAllValidPlays(board, [...'AEIRSTN'], {}, lexicon).slice(0, 2);
+  const progress = [];
+  const options = { iterations: 2, random: createRng(4) };
+  const results = simulatePlays(board, [...'AEIRSTN'], {}, lexicon, plays, { ...options, onProgress: (done, total) => progress.push([done, total]) });
+  assert.deepEqual(progress, [[1, 4], [2, 4], [3, 4], [4, 4]]);
+  results.forEach(r => assert.equal(r.spread, r.play.score - r.avgReply));
+
+  // The same candidate twice, on one set of racks, must come out the same.
+  const [a, b] = simulatePlays(board, [...'AEIRSTN'], {}, lexicon, [plays[0], plays[0]], { iterations: 2, random: createRng(4) });
+  assert.equal(a.avgReply, b.avgReply);
+  assert.equal(a.avgReply, results[0].avgReply);
+});
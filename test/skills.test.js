@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { playSkills, scenarioSkills, passMove } from '../src/engine/index.js';
+import { boardWith, positionsOf } from './helpers.js';
+
+function play(word, r, c, horizontal) {
+  return { word, positions: positionsOf(word, r, c, horizontal), horizontal };
+}
+
+// ─── HOOKS ──────────────────────────────────────────────────────
+
+test('a tile on the end of a board word, across it, is a hook', () => {
+  // S under CAT down: CATS down the column, SH across.
+  const board = boardWith(['CAT', 4, 7, false]);
+  assert.ok(playSkills(play('SH', 7, 7, true), board).includes('hook'));
+  // The same tile before the word, for SCAT.
+  assert.ok(playSkills(play('SH', 3, 7, true), board).includes('hook'));
+});
+
+test('lengthening a board word along its own line is a hook', () => {
+  const board = boardWith(['CAT', 7, 6, true]);
+  assert.ok(playSkills(play('CATS', 7, 6, true), board).includes('hook'));
+  assert.ok(playSkills(play('SCAT', 7, 5, true), board).includes('hook'));
+});
+
+test('two-letter board words take hooks too', () => {
+  const board = boardWith(['AT', 6, 7, false]);
+  // E under AT makes ATE down.
+  assert.ok(playSkills(play('EH', 8, 7, true), board).includes('hook'));
+  assert.ok(playSkills(play('ATE', 6, 7, false), board).includes('hook'));
+});
+
+test('building on a single board tile is no hook', () => {
+  const board = boardWith(['A', 7, 7, true]);
+  assert.ok(!playSkills(play('CAT', 7, 6, true), board).includes('hook'));
+  assert.ok(!playSkills(play('CAT', 6, 7, false), board).includes('hook'));
+});
+
+// ─── OTHER SKILLS ───────────────────────────────────────────────
+
+test('two or more new tiles forming cross-words make a parallel play', () => {
+  // AT under the AT of CAT: AA and TT down.
+  const board = boardWith(['CAT', 7, 6, true]);
+  const skills = playSkills(play('AT', 8, 7, true), board);
+  assert.ok(skills.includes('parallel'));
+  assert.ok(!playSkills(play('CATS', 7, 6, true), board).includes('parallel'));
+});
+
+test('word premiums count for any tile, letter premiums for heavy ones', () => {
+  // The A of AT on the DW at 4,4.
+  assert.ok(playSkills(play('AT', 4, 4, true), boardWith(['T', 4, 5, true])).includes('premium'));
+  // Z on the DL at 7,3 counts, E on it does not.
+  const board = boardWith(['A', 7, 4, true]);
+  assert.ok(playSkills(play('ZAX', 7, 3, true), board).includes('premium'));
+  assert.ok(!playSkills(play('EAR', 7, 3, true), board).includes('premium'));
+});
+
+test('a new tile on a TW square blocks its lane', () => {
+  const board = boardWith(['CAT', 7, 1, true]);
+  const skills = playSkills(play('SCAT', 7, 0, true), board);
+  assert.ok(skills.includes('blockTW'));
+  assert.ok(skills.includes('premium'));
+});
+
+test('a pass shows no skills', () => {
+  assert.deepEqual(playSkills(passMove(['A', 'B']), boardWith(['CAT', 7, 6, true])), []);
+});
+
+test('a scenario asks for the offense skills of its best plays and the defense skills of its best block', () => {
+  const board = boardWith(['CAT', 7, 1, true]);
+  const hookPlay = play('CATS', 7, 1, true);
+  const blockPlay = play('SCAT', 7, 0, true);
+  const skills = scenarioSkills({ board, bestOffensive: hookPlay, bestEquity: hookPlay, bestDefensive: blockPlay });
+  assert.ok(skills.includes('hook'));
+  assert.ok(skills.includes('blockTW'));
+  // SCAT's premium is an offense skill, so the defensive play does not bring it.
+  assert.ok(!skills.includes('premium'));
+});
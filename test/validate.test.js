@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validatePlacement, createBoard } from '../src/engine/index.js';
+import { lexiconOf, boardWith, placement } from './helpers.js';
+
+const lexicon = lexiconOf(['CAT', 'CA', 'AT', 'TA', 'XU', 'CATS']);
+
+test('rejects an empty placement and tiles off one line', () => {
+  const board = boardWith(['CAT', 7, 6, true]);
+  assert.equal(validatePlacement(board, {}, {}, lexicon).valid, false);
+  const v = validatePlacement(board, placement([8, 6, 'A'], [9, 7, 'T']), {}, lexicon);
+  assert.deepEqual(v, { valid: false, error: 'Tiles must all be in one row or one column.' });
+});
+
+test('rejects a gap between placed tiles', () => {
+  const board = boardWith(['CAT', 7, 6, true]);
+  const v = validatePlacement(board, placement([8, 5, 'A'], [8, 7, 'T']), {}, lexicon);
+  assert.deepEqual(v, { valid: false, error: 'There is a gap in your word.' });
+});
+
+test('a board tile fills the space between placed tiles', () => {
+  const board = boardWith(['A', 7, 7, true]);
+  const v = validatePlacement(board, placement([7, 6, 'C'], [7, 8, 'T']), {}, lexicon);
+  assert.equal(v.valid, true);
+  assert.equal(v.word, 'CAT');
+  assert.deepEqual(v.positions, [[7, 6], [7, 7], [7, 8]]);
+});
+
+test('checks and scores every cross-word', () => {
+  const board = boardWith(['CAT', 7, 6, true]);
+  // AT along row 8: A under the T makes TA down, on the DL at 8,8.
+  const v = validatePlacement(board, placement([8, 8, 'A'], [8, 9, 'T']), {}, lexicon);
+  assert.equal(v.valid, true);
+  assert.equal(v.word, 'AT');
+  assert.equal(v.score, 3 + 3);
+
+  // CA along row 8: the A makes TA down, but the C makes AC.
+  const bad = validatePlacement(board, placement([8, 7, 'C'], [8, 8, 'A']), {}, lexicon);
+  assert.deepEqual(bad, { valid: false, error: 'Cross-word "AC" is not valid.' });
+});
+
+test('names the whole word when board tiles extend the placed letters', () => {
+  const board = boardWith(['CA', 7, 6, true]);
+  const v = validatePlacement(board, placement([7, 8, 'X']), {}, lexicon);
+  assert.equal(v.valid, false);
+  assert.match(v.error, /"CAX" is not a valid word\. \(Your letters X combined/);
+});
+
+test('a single tile reads in the direction of the longer word', () => {
+  const across = boardWith(['AT', 7, 7, true], ['A', 8, 6, true]);
+  const h = validatePlacement(across, placement([7, 6, 'C']), {}, lexicon);
+  assert.equal(h.word, 'CAT');
+  assert.equal(h.horizontal, true);
+
+  const down = boardWith(['AT', 7, 7, false], ['A', 6, 8, false]);
+  const v = validatePlacement(down, placement([6, 7, 'C']), {}, lexicon);
+  assert.equal(v.word, 'CAT');
+  assert.equal(v.horizontal, false);
+
+  // Two words of one length: across wins, the other is a cross-word.
+  const tie = boardWith(['A', 7, 8, true], ['A', 8, 7, true]);
+  const t = validatePlacement(tie, placement([7, 7, 'C']), {}, lexicon);
+  assert.equal(t.horizontal, true);
+  assert.equal(t.word, 'CA');
+});
+
+test('the opening word must cover the centre square', () => {
+  const off = validatePlacement(createBoard(), placement([0, 0, 'A'], [0, 1, 'T']), {}, lexicon);
+  assert.deepEqual(off, { valid: false, error: 'The first word must cover the centre square.' });
+  const on = validatePlacement(createBoard(), placement([7, 7, 'A'], [7, 8, 'T']), {}, lexicon);
+  assert.equal(on.valid, true);
+  assert.equal(on.score, 4); // DW on the centre
+});
+
+test('a word away from every tile does not connect', () => {
+  const board = boardWith(['CAT', 7, 6, true]);
+  const v = validatePlacement(board, placement([0, 0, 'A'], [0, 1, 'T']), {}, lexicon);
+  assert.deepEqual(v, { valid: false, error: 'Your word must connect to the existing board.' });
+});
+
+test('phonies are listed instead of refused when allowed', () => {
+  const board = boardWith(['CAT', 7, 6, true]);
+  const v = validatePlacement(board, placement([8, 6, 'X'], [8, 7, 'U']), {}, lexicon, { allowPhonies: true });
+  assert.equal(v.valid, true);
+  assert.deepEqual(v.phonies, ['CX', 'AU']);
+});
@@ -0,0 +1,85 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { wordsFromRack, hookWords, gradeWordList, makeWordDrill, findBingos, WORD_DRILLS, BINGO_TIERS, createRng } from '../src/engine/index.js';
+import { lexiconOf, loadTwl06, boardWith } from './helpers.js';
+
+const lexicon = lexiconOf(['AT', 'TA', 'CAT', 'ACT', 'CATS', 'SCAT', 'TACT', 'CATE']);
+
+test('a rack spells every word it holds the tiles for, longest first', () => {
+  assert.deepEqual(wordsFromRack(lexicon, ['C', 'A', 'T', 'S']), ['CATS', 'SCAT', 'ACT', 'CAT', 'AT', 'TA']);
+  assert.deepEqual(wordsFromRack(lexicon, ['C', 'A', 'T', 'S'], 3), ['CATS', 'SCAT', 'ACT', 'CAT']);
+  // TACT needs a second T.
+  assert.ok(!wordsFromRack(lexicon, ['T', 'A', 'C', 'E']).includes('TACT'));
+});
+
+test('hooks are the words one letter makes at either end', () => {
+  assert.deepEqual(hookWords(lexicon, 'CAT'), ['CATE', 'CATS', 'SCAT']);
+  assert.deepEqual(hookWords(lexicon, 'ACT'), ['TACT']);
+  assert.deepEqual(hookWords(lexicon, 'CATS'), []);
+});
+
+test('a word list scores a point per word found, less one per wrong guess', () => {
+  const result = gradeWordList({ answers: ['ACT', 'CAT', 'TA'] }, ['cat', 'ta', 'dog', 'cat']);
+  assert.deepEqual(result, { found: ['CAT', 'TA'], wrong: ['DOG'], missed: ['ACT'], score: 1, possible: 3 });
+  assert.equal(gradeWordList({ answers: ['CAT'] }, ['DOG', 'COW']).score, 0);
+});
+
+test('every mode deals questions the lexicon answers', () => {
+  const twl = loadTwl06();
+  const random = createRng(5);
+  Object.keys(WORD_DRILLS).filter(mode => mode !== 'bingo').forEach(mode => {
+    const q = makeWordDrill(mode, twl, random);
+    assert.ok(q, mode);
+    assert.equal(q.mode, mode);
+    assert.equal(q.timeLimit, WORD_DRILLS[mode].timeLimit);
+    if (mode === 'challenge') {
+      assert.equal(q.valid, twl.has(q.word));
+      return;
+    }
+    assert.ok(q.answers.length > 0, mode);
+    q.answers.forEach(w => assert.ok(twl.has(w), `${mode}: ${w}`));
+  });
+});
+
+test('anagram answers use only the tiles shown', () => {
+  const q = makeWordDrill('anagram', loadTwl06(), createRng(9));
+  q.answers.forEach(w => {
+    assert.ok(w.length >= 4);
+    const left = [...q.tiles];
+    [...w].forEach(ch => { const at = left.indexOf(ch); assert.notEqual(at, -1, w); left.splice(at, 1); });
+  });
+});
+
+test('short-word answers fit the pattern shown', () => {
+  const q = makeWordDrill('threes', loadTwl06(), createRng(3));
+  q.answers.forEach(w => assert.ok([...w].every((ch, i) => q.tiles[i] === '?' || q.tiles[i] === ch), w));
+});
+
+test('an empty lexicon has no questions', () => {
+  assert.equal(makeWordDrill('anagram', lexiconOf([]), createRng(1)), null);
+});
+
+// ─── BINGOS ─────────────────────────────────────────────────────
+
+test('bingos are the rack anagrams and the longer words through board tiles', () => {
+  // GANTRIES runs from the G of GO; the anagrams have nowhere to go.
+  const bingoLexicon = lexiconOf(['GO', 'GANTRIES', 'RETAINS', 'STAINER']);
+  const board = boardWith(['GO', 7, 7, false]);
+  const { words, fits } = findBingos(board, [...'AEINRST'], {}, bingoLexicon);
+  assert.deepEqual(words, ['GANTRIES', 'RETAINS', 'STAINER']);
+  assert.equal(fits.GANTRIES.row, 7);
+  assert.equal(fits.GANTRIES.col, 7);
+  assert.equal(fits.RETAINS, null);
+  assert.equal(fits.STAINER, null);
+});
+
+test('every bingo question has a bingo to find', () => {
+  const twl = loadTwl06();
+  Object.keys(BINGO_TIERS).forEach((tier, i) => {
+    const q = makeWordDrill('bingo', twl, createRng(40 + i), { tier });
+    assert.ok(q, tier);
+    assert.equal(q.tier, tier);
+    assert.ok(q.answers.length > 0, tier);
+    assert.deepEqual(Object.keys(q.fits).sort(), q.answers);
+  });
+});